@@ -0,0 +1,341 @@
+/* js/components/AccentColor.js */
+
+/**
+ * ===================================================================
+ * AccentColor.js - Color de Acento Personalizado
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Opcional: el sitio usa el azul de siempre hasta que se elige un color
+ * - Genera una paleta accesible (tono base, fuerte y suave) a partir del color
+ *   y la ajusta al fondo de cada tema (WCAG AA: 4.5:1 texto, 3:1 UI)
+ * - Aplica la paleta como variables CSS (--primary-*, enlaces, foco) en <html>
+ * - Selector de color y botón "quitar" junto a los controles de tema
+ * - En el formulario de contacto, casilla para usar el "color favorito"
+ * - Se guarda en storage y se sincroniza entre pestañas
+ * - Temas con customAccent: false (alto contraste) conservan sus colores
+ *
+ * Uso:
+ * import AccentColor from './components/AccentColor.js';
+ * const accent = new AccentColor();
+ * document.dispatchEvent(new CustomEvent('setAccent', { detail: { color: '#C0563F' } }));
+ * document.dispatchEvent(new CustomEvent('setAccent', { detail: { color: null } })); // quitar
+ *
+ * HTML requerido: .navbar-controls (opcional: #favoriteColor + #favoriteColorAccent)
+ * ===================================================================
+ */
+
+import { getItem, setItem, removeItem, onChange } from '../utils/storage.js';
+import { getTheme, DEFAULT_LIGHT_THEME, DEFAULT_DARK_THEME } from '../config/themes.js';
+import {
+    normalizeHex,
+    contrastRatio,
+    buildAccentPalette,
+    paletteToProperties
+} from '../utils/colorPalette.js';
+
+/**
+ * Clave de storage del color elegido
+ */
+const STORAGE_KEY = 'accentColor';
+
+/**
+ * Color que muestra el selector si no se puede leer --primary-color
+ */
+const FALLBACK_COLOR = '#4A90C2';
+
+class AccentColor {
+    /**
+     * Constructor - Aplica el color guardado y crea los controles
+     */
+    constructor() {
+        // Elementos del DOM
+        this.htmlElement = document.documentElement;
+        this.controls = document.querySelector('.navbar-controls');
+        this.favoriteInput = document.getElementById('favoriteColor');
+        this.favoriteToggle = document.getElementById('favoriteColorAccent');
+        this.input = null;
+        this.resetButton = null;
+
+        // Variables CSS puestas en <html> (para poder quitarlas)
+        this.appliedProperties = [];
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+        this.unsubscribeStorage = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa el componente
+     */
+    init() {
+        // Primero aplicar: los controles leen el color resultante
+        this.apply();
+
+        if (this.controls) {
+            this.createControls();
+        }
+
+        this.bindEvents();
+        this.syncControls();
+
+        console.log('✅ AccentColor inicializado correctamente');
+    }
+
+    /**
+     * Crea el selector de color y el botón para quitarlo
+     */
+    createControls() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'accent-picker';
+        wrapper.innerHTML = `
+            <label class="sr-only" for="accentPicker">Color de acento del sitio</label>
+            <input type="color" class="accent-picker-input" id="accentPicker">
+            <button type="button"
+                    class="accent-picker-reset"
+                    aria-label="Quitar color de acento"
+                    title="Quitar color de acento"
+                    hidden>✕</button>`;
+
+        // Junto al selector de temas si existe
+        const themePicker = this.controls.querySelector('.theme-picker');
+        if (themePicker) {
+            themePicker.after(wrapper);
+        } else {
+            this.controls.appendChild(wrapper);
+        }
+
+        this.input = wrapper.querySelector('.accent-picker-input');
+        this.resetButton = wrapper.querySelector('.accent-picker-reset');
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    bindEvents() {
+        const { signal } = this.abortController;
+
+        if (this.input) {
+            // Vista previa mientras se arrastra; se guarda al confirmar
+            this.input.addEventListener('input', () => this.apply(this.input.value), { signal });
+            this.input.addEventListener('change', () => this.setAccent(this.input.value), { signal });
+            this.resetButton.addEventListener('click', () => this.resetAccent(), { signal });
+        }
+
+        // Casilla opcional del formulario de contacto
+        if (this.favoriteInput && this.favoriteToggle) {
+            this.favoriteToggle.addEventListener('change', () => {
+                if (this.favoriteToggle.checked) {
+                    this.setAccent(this.favoriteInput.value);
+                } else {
+                    this.resetAccent();
+                }
+            }, { signal });
+
+            this.favoriteInput.addEventListener('change', () => {
+                if (this.favoriteToggle.checked) {
+                    this.setAccent(this.favoriteInput.value);
+                }
+            }, { signal });
+        }
+
+        // Cada tema tiene su fondo: se recalcula la paleta
+        document.addEventListener('themeChanged', () => {
+            this.apply();
+            this.syncControls();
+        }, { signal });
+
+        // API por eventos, como 'setTheme'
+        document.addEventListener('setAccent', (e) => {
+            if (!e.detail) return;
+
+            if (e.detail.color) {
+                this.setAccent(e.detail.color);
+            } else {
+                this.resetAccent();
+            }
+        }, { signal });
+
+        // Cambios hechos en otras pestañas
+        this.unsubscribeStorage = onChange(STORAGE_KEY, ({ external }) => {
+            if (!external) return;
+
+            this.apply();
+            this.syncControls();
+        });
+    }
+
+    /**
+     * Aplica la paleta del color indicado (o del guardado) al tema actual
+     * @param {string|null} [color] - Sin indicar: el color guardado
+     * @returns {Object|null} Paleta aplicada o null si se usan los colores del tema
+     */
+    apply(color = this.getAccent()) {
+        const theme = getTheme(this.htmlElement.getAttribute('data-theme'));
+        const hex = normalizeHex(color);
+
+        // Quitar la paleta anterior: vuelven los colores del tema
+        this.appliedProperties.forEach(property => this.htmlElement.style.removeProperty(property));
+        this.appliedProperties = [];
+
+        if (!hex || !theme || theme.customAccent === false) {
+            this.htmlElement.removeAttribute('data-accent');
+            return null;
+        }
+
+        const palette = buildAccentPalette(hex, theme.themeColor);
+        const properties = paletteToProperties(palette, theme.themeColor);
+
+        Object.entries(properties).forEach(([property, value]) => {
+            this.htmlElement.style.setProperty(property, value);
+        });
+
+        this.appliedProperties = Object.keys(properties);
+        this.htmlElement.setAttribute('data-accent', 'custom');
+
+        return palette;
+    }
+
+    /**
+     * Método público: Elegir color de acento
+     * @param {string} color - Hexadecimal (#RGB o #RRGGBB)
+     * @returns {boolean} false si el color no es válido
+     */
+    setAccent(color) {
+        const hex = normalizeHex(color);
+
+        if (!hex) {
+            console.error(`❌ AccentColor: Color inválido: ${color}`);
+            return false;
+        }
+
+        setItem(STORAGE_KEY, hex);
+        this.apply();
+        this.syncControls();
+        this.dispatchChange();
+
+        console.log(`🎨 Color de acento: ${hex}`);
+        return true;
+    }
+
+    /**
+     * Método público: Volver a los colores del tema
+     */
+    resetAccent() {
+        removeItem(STORAGE_KEY);
+        this.apply();
+        this.syncControls();
+        this.dispatchChange();
+
+        console.log('🎨 Color de acento: el del tema');
+    }
+
+    /**
+     * Método público: Color elegido
+     * @returns {string|null} #RRGGBB o null si se usan los colores del tema
+     */
+    getAccent() {
+        return normalizeHex(getItem(STORAGE_KEY));
+    }
+
+    /**
+     * Método público: Contraste del color en los temas claro y oscuro
+     * @param {string} [color] - Sin indicar: el color guardado
+     * @returns {Object|null} { light, dark } con el color ajustado y su contraste
+     */
+    getContrastReport(color = this.getAccent()) {
+        const hex = normalizeHex(color);
+        if (!hex) return null;
+
+        const report = {};
+
+        [DEFAULT_LIGHT_THEME, DEFAULT_DARK_THEME].forEach(themeId => {
+            const background = getTheme(themeId).themeColor;
+            const palette = buildAccentPalette(hex, background);
+
+            report[themeId] = {
+                background,
+                color: palette.base,
+                ratio: palette.contrast,
+                originalRatio: Math.round(contrastRatio(hex, background) * 100) / 100,
+                adjusted: palette.base !== hex
+            };
+        });
+
+        return report;
+    }
+
+    /**
+     * Refleja el color actual en el selector, el botón y la casilla del formulario
+     */
+    syncControls() {
+        const accent = this.getAccent();
+
+        if (this.input) {
+            this.input.value = (accent || this.getThemeColor()).toLowerCase();
+            this.resetButton.hidden = !accent;
+            this.input.title = this.describe(accent);
+        }
+
+        if (this.favoriteInput && this.favoriteToggle) {
+            this.favoriteToggle.checked = Boolean(accent)
+                && accent === normalizeHex(this.favoriteInput.value);
+        }
+    }
+
+    /**
+     * Texto de ayuda del selector con el contraste resultante
+     * @param {string|null} accent
+     * @returns {string}
+     */
+    describe(accent) {
+        if (!accent) return 'Color de acento del sitio (el del tema)';
+
+        const { light, dark } = this.getContrastReport(accent);
+        const adjusted = light.adjusted || dark.adjusted ? ' · ajustado para cumplir WCAG AA' : '';
+
+        return `Color de acento ${accent} · contraste ${light.ratio}:1 en claro, ${dark.ratio}:1 en oscuro${adjusted}`;
+    }
+
+    /**
+     * Color primario actual del tema (para mostrar en el selector)
+     * @returns {string}
+     */
+    getThemeColor() {
+        const value = getComputedStyle(this.htmlElement).getPropertyValue('--primary-color');
+        return normalizeHex(value) || FALLBACK_COLOR;
+    }
+
+    /**
+     * Dispatch evento custom para otros componentes
+     */
+    dispatchChange() {
+        const color = this.getAccent();
+
+        document.dispatchEvent(new CustomEvent('accentChanged', {
+            detail: {
+                color,
+                contrast: this.getContrastReport(color)
+            }
+        }));
+    }
+
+    /**
+     * Limpieza de listeners (no quita el color aplicado)
+     */
+    cleanup() {
+        this.abortController.abort();
+
+        if (this.unsubscribeStorage) {
+            this.unsubscribeStorage();
+            this.unsubscribeStorage = null;
+        }
+
+        console.log('🗑️ AccentColor: Destruido');
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default AccentColor;
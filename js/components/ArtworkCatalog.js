@@ -0,0 +1,423 @@
+/* js/components/ArtworkCatalog.js */
+
+/**
+ * ===================================================================
+ * ArtworkCatalog.js - Catálogo de Obras desde JSON
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Carga data/artworks.json con fetch
+ * - Valida cada registro contra el esquema (data/artworks.schema.json)
+ * - Descarta registros inválidos; en modo debug los detalla en consola
+ * - Genera las tarjetas .gallery-item de #galleryGrid
+ * - Entrega los datos completos de cada obra al Lightbox y al ProcessViewer
+ * - Sin #galleryGrid (ej: tecnicas.html) solo carga los datos
+ * - Dispatch del evento 'galleryRendered' con las obras válidas
+ *
+ * Uso:
+ * import ArtworkCatalog from './components/ArtworkCatalog.js';
+ * const catalog = new ArtworkCatalog({ debug: true });
+ * await catalog.load();
+ * catalog.getLightboxData('paisaje01');
+ * ===================================================================
+ */
+
+import { ARTWORK_CATEGORIES, ARTWORK_DIMENSION_UNITS } from '../config/constants.js';
+import { escapeHtml, resolveSitePath } from '../utils/helpers.js';
+
+/**
+ * Campos obligatorios de cada obra
+ */
+const REQUIRED_FIELDS = ['id', 'title', 'date', 'technique', 'category', 'image'];
+
+/**
+ * Formato válido para los identificadores (kebab-case, ej: paisaje01)
+ */
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Formato válido para las rutas de imagen
+ */
+const IMAGE_PATTERN = /^assets\/images\/.+\.(jpg|jpeg|png|webp)$/;
+
+/**
+ * Formato de fecha: AAAA-MM o AAAA-MM-DD
+ */
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?$/;
+
+class ArtworkCatalog {
+    /**
+     * Constructor - Prepara el catálogo
+     * @param {Object} options
+     * @param {string} [options.dataUrl] - URL del JSON de obras
+     * @param {boolean} [options.debug=false] - Detallar en consola los registros inválidos
+     */
+    constructor(options = {}) {
+        // Elementos del DOM
+        this.grid = document.getElementById('galleryGrid');
+
+        // Configuración
+        this.dataUrl = options.dataUrl || resolveSitePath('data/artworks.json');
+        this.debug = Boolean(options.debug);
+
+        // Estado del catálogo
+        this.artworks = [];
+        this.errors = [];
+    }
+
+    /**
+     * Carga, valida y renderiza las obras
+     * @returns {Promise<Object[]>} - Obras válidas
+     */
+    async load() {
+        this.setLoading(true);
+
+        try {
+            const response = await fetch(this.dataUrl);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} al cargar ${this.dataUrl}`);
+            }
+
+            const data = await response.json();
+            const { artworks, errors } = ArtworkCatalog.validate(data);
+
+            this.artworks = artworks;
+            this.errors = errors;
+
+            this.reportErrors();
+
+            if (this.grid) {
+                this.render(artworks);
+
+                // Notificar a otros módulos (galería, lightbox, etc.)
+                this.grid.dispatchEvent(new CustomEvent('galleryRendered', {
+                    detail: { artworks, errors },
+                    bubbles: true
+                }));
+            }
+
+            console.log(`✅ ArtworkCatalog: ${artworks.length} obras cargadas`);
+
+        } catch (error) {
+            console.error('❌ ArtworkCatalog: Error cargando obras:', error);
+            this.renderMessage('No se pudieron cargar las obras. Por favor, recarga la página.');
+
+        } finally {
+            this.setLoading(false);
+        }
+
+        return this.artworks;
+    }
+
+    /**
+     * Valida el documento completo de obras
+     * Los registros inválidos se descartan; los válidos se conservan
+     * @param {Object} data - Contenido de artworks.json
+     * @returns {{artworks: Object[], errors: string[]}}
+     */
+    static validate(data) {
+        const errors = [];
+        const artworks = [];
+
+        if (!data || !Array.isArray(data.artworks)) {
+            return {
+                artworks,
+                errors: ['El documento debe tener una propiedad "artworks" de tipo array']
+            };
+        }
+
+        const seenIds = new Set();
+
+        data.artworks.forEach((record, index) => {
+            const recordErrors = ArtworkCatalog.validateArtwork(record);
+
+            if (recordErrors.length === 0 && seenIds.has(record.id)) {
+                recordErrors.push(`id duplicado "${record.id}"`);
+            }
+
+            if (recordErrors.length > 0) {
+                const label = record && record.id ? `"${record.id}"` : `#${index}`;
+                recordErrors.forEach(message => errors.push(`Obra ${label}: ${message}`));
+                return;
+            }
+
+            seenIds.add(record.id);
+            artworks.push(record);
+        });
+
+        return { artworks, errors };
+    }
+
+    /**
+     * Valida una obra individual
+     * @param {Object} record - Registro a validar
+     * @returns {string[]} - Lista de errores (vacía si es válido)
+     */
+    static validateArtwork(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['el registro debe ser un objeto'];
+        }
+
+        const errors = [];
+        const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+        const isImagePath = (value) => typeof value === 'string' && IMAGE_PATTERN.test(value);
+
+        // 1. Campos obligatorios
+        REQUIRED_FIELDS.forEach(field => {
+            if (record[field] === undefined || record[field] === null) {
+                errors.push(`falta el campo obligatorio "${field}"`);
+            }
+        });
+
+        if (errors.length > 0) return errors;
+
+        // 2. Formato de cada campo
+        if (typeof record.id !== 'string' || !ID_PATTERN.test(record.id)) {
+            errors.push(`"id" debe estar en formato kebab-case (recibido: ${JSON.stringify(record.id)})`);
+        }
+
+        ['title', 'technique'].forEach(field => {
+            if (!isNonEmptyString(record[field])) {
+                errors.push(`"${field}" debe ser un texto no vacío`);
+            }
+        });
+
+        if (typeof record.date !== 'string' || !DATE_PATTERN.test(record.date)) {
+            errors.push(`"date" debe tener formato AAAA-MM o AAAA-MM-DD (recibido: ${JSON.stringify(record.date)})`);
+        }
+
+        if (!ARTWORK_CATEGORIES[record.category]) {
+            errors.push(`"category" inválida: ${JSON.stringify(record.category)}`);
+        }
+
+        if (!isImagePath(record.image)) {
+            errors.push(`"image" debe ser una ruta bajo assets/images/ (jpg, png o webp)`);
+        }
+
+        // 3. Campos opcionales
+        ['paper', 'description', 'imageAlt'].forEach(field => {
+            if (record[field] !== undefined && typeof record[field] !== 'string') {
+                errors.push(`"${field}" debe ser texto`);
+            }
+        });
+
+        if (record.dimensions !== undefined) {
+            const { width, height, unit } = record.dimensions || {};
+            const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+            if (!isPositive(width) || !isPositive(height)) {
+                errors.push(`"dimensions" debe tener "width" y "height" numéricos mayores a 0`);
+            }
+
+            if (unit !== undefined && !ARTWORK_DIMENSION_UNITS.includes(unit)) {
+                errors.push(`"dimensions.unit" inválida: ${JSON.stringify(unit)}`);
+            }
+        }
+
+        if (record.steps !== undefined) {
+            if (!Array.isArray(record.steps)) {
+                errors.push(`"steps" debe ser un array`);
+            } else {
+                record.steps.forEach((step, index) => {
+                    if (!step || !isImagePath(step.image)) {
+                        errors.push(`"steps[${index}].image" debe ser una ruta bajo assets/images/`);
+                    }
+                    if (step && step.caption !== undefined && typeof step.caption !== 'string') {
+                        errors.push(`"steps[${index}].caption" debe ser texto`);
+                    }
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Informa los registros descartados
+     * En modo debug se lista cada error; si no, solo un resumen
+     */
+    reportErrors() {
+        if (this.errors.length === 0) return;
+
+        console.warn(`⚠️ ArtworkCatalog: ${this.errors.length} error(es) de validación en artworks.json`);
+
+        if (!this.debug) return;
+
+        console.groupCollapsed('🐛 ArtworkCatalog: Detalle de registros descartados');
+        this.errors.forEach(error => console.warn(`   • ${error}`));
+        console.groupEnd();
+    }
+
+    /**
+     * Renderiza las tarjetas de la galería
+     * @param {Object[]} artworks - Obras a mostrar
+     */
+    render(artworks) {
+        if (!this.grid) return;
+
+        if (artworks.length === 0) {
+            this.renderMessage('Aún no hay obras publicadas.');
+            return;
+        }
+
+        this.grid.innerHTML = artworks.map(artwork => this.createCard(artwork)).join('');
+    }
+
+    /**
+     * Genera el HTML de una tarjeta de obra
+     * @param {Object} artwork - Obra validada
+     * @returns {string} - HTML de la tarjeta
+     */
+    createCard(artwork) {
+        const category = ARTWORK_CATEGORIES[artwork.category];
+        const alt = artwork.imageAlt || artwork.title;
+
+        return `
+            <article class="gallery-item" data-category="${artwork.category}" data-id="${escapeHtml(artwork.id)}">
+                <div class="gallery-image">
+                    <img data-src="${escapeHtml(resolveSitePath(artwork.image))}"
+                         alt="${escapeHtml(alt)}"
+                         class="artwork-img">
+                    <div class="gallery-overlay">
+                        <button class="view-artwork"
+                                type="button"
+                                data-artwork="${escapeHtml(artwork.id)}"
+                                aria-label="Ver obra en detalle: ${escapeHtml(artwork.title)}">
+                            Ver Obra
+                        </button>
+                    </div>
+                </div>
+                <div class="gallery-info">
+                    <h3 class="artwork-title">${escapeHtml(artwork.title)}</h3>
+                    <p class="artwork-technique">${escapeHtml(artwork.technique)}</p>
+                    <span class="artwork-category" aria-label="Categoría">${category.label}</span>
+                </div>
+            </article>`;
+    }
+
+    /**
+     * Muestra un mensaje ocupando toda la galería (error o vacío)
+     * data-source="catalog": Gallery no añade su propio estado vacío encima
+     * @param {string} message - Texto a mostrar
+     */
+    renderMessage(message) {
+        if (!this.grid) return;
+
+        this.grid.innerHTML = `
+            <div class="gallery-empty" data-source="catalog">
+                <div class="gallery-empty-icon" aria-hidden="true">🎨</div>
+                <p class="gallery-empty-message">${escapeHtml(message)}</p>
+            </div>`;
+    }
+
+    /**
+     * Activa/desactiva el estado de carga de la galería
+     * @param {boolean} isLoading
+     */
+    setLoading(isLoading) {
+        if (!this.grid) return;
+
+        this.grid.setAttribute('aria-busy', isLoading);
+    }
+
+    /**
+     * Obtiene todas las obras válidas
+     * @returns {Object[]}
+     */
+    getArtworks() {
+        return this.artworks;
+    }
+
+    /**
+     * Busca una obra por su id
+     * @param {string} id
+     * @returns {Object|undefined}
+     */
+    getArtworkById(id) {
+        return this.artworks.find(artwork => artwork.id === id);
+    }
+
+    /**
+     * Datos de una obra en el formato que muestra el Lightbox
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    getLightboxData(id) {
+        const artwork = this.getArtworkById(id);
+
+        if (!artwork) {
+            if (this.debug) {
+                console.warn(`🐛 ArtworkCatalog: No existe la obra "${id}" en artworks.json. Ids disponibles:`,
+                    this.artworks.map(item => item.id));
+            }
+            return null;
+        }
+
+        return {
+            id: artwork.id,
+            src: resolveSitePath(artwork.image),
+            alt: artwork.imageAlt || artwork.title,
+            title: artwork.title,
+            description: artwork.description || '',
+            technique: artwork.technique,
+            category: ARTWORK_CATEGORIES[artwork.category].label,
+            date: ArtworkCatalog.formatDate(artwork.date),
+            paper: artwork.paper || '',
+            dimensions: ArtworkCatalog.formatDimensions(artwork.dimensions),
+            steps: (artwork.steps || []).map(step => ({
+                src: resolveSitePath(step.image),
+                caption: step.caption || ''
+            }))
+        };
+    }
+
+    /**
+     * Secuencia de pasos de una obra en el formato del ProcessViewer
+     * @param {string} id
+     * @returns {{title: string, steps: Object[]}|null} - null si la obra no tiene pasos
+     */
+    getProcess(id) {
+        const data = this.getLightboxData(id);
+
+        if (!data || data.steps.length === 0) return null;
+
+        return { title: data.title, steps: data.steps };
+    }
+
+    /**
+     * Formatea la fecha de creación (ej: "marzo de 2024")
+     * @param {string} date - AAAA-MM o AAAA-MM-DD
+     * @returns {string}
+     */
+    static formatDate(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        const options = day
+            ? { year: 'numeric', month: 'long', day: 'numeric' }
+            : { year: 'numeric', month: 'long' };
+
+        return new Intl.DateTimeFormat('es-PE', options).format(new Date(year, month - 1, day || 1));
+    }
+
+    /**
+     * Formatea las dimensiones (ej: "30 × 40 cm")
+     * @param {Object} [dimensions]
+     * @returns {string}
+     */
+    static formatDimensions(dimensions) {
+        if (!dimensions) return '';
+
+        return `${dimensions.width} × ${dimensions.height} ${dimensions.unit || 'cm'}`;
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.artworks = [];
+        this.errors = [];
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default ArtworkCatalog;
@@ -0,0 +1,491 @@
+/* js/components/AttachmentManager.js */
+
+/**
+ * ===================================================================
+ * AttachmentManager.js - Adjuntos del Formulario de Contacto
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Acepta JPEG, PNG y WebP (comprobando el contenido, no solo la extensión)
+ * - Límite real por archivo, por número de archivos y de tamaño total
+ * - Miniaturas con botón para quitar cada archivo
+ * - Fotos demasiado pesadas (móviles: 8-12 MB) se reducen con canvas
+ * - Corrige la orientación EXIF y elimina el GPS antes de adjuntar
+ * - Las selecciones sucesivas se suman a las anteriores
+ *
+ * Los archivos procesados sustituyen a los originales en input.files,
+ * así el envío y la vista previa usan siempre la versión segura.
+ *
+ * Uso:
+ * import AttachmentManager from './components/AttachmentManager.js';
+ * const attachments = new AttachmentManager('attachments', { maxFiles: 5 });
+ * await attachments.whenReady();
+ * attachments.getFiles(); // File[]
+ *
+ * HTML requerido: input[type="file"]#attachments, #attachmentList
+ * (opcional: #attachmentSummary, #attachmentStatus)
+ * ===================================================================
+ */
+
+import { escapeHtml, formatFileSize } from '../utils/helpers.js';
+import { readImageMetadata, stripMetadata, resizeImage } from '../utils/imageProcessing.js';
+
+/**
+ * Formatos admitidos
+ */
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Extensión por formato (al recodificar puede cambiar el formato)
+ */
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+
+/**
+ * Límites por defecto
+ */
+const DEFAULT_OPTIONS = {
+    maxFileSize: 5 * 1024 * 1024,
+    maxTotalSize: 15 * 1024 * 1024,
+    maxFiles: 5,
+    maxDimension: 2560
+};
+
+class AttachmentManager {
+    /**
+     * Constructor - Inicializa los adjuntos
+     * @param {string} inputId - ID del input type="file"
+     * @param {Object} options
+     * @param {number} [options.maxFileSize=5MB] - Peso máximo por archivo (tras procesar)
+     * @param {number} [options.maxTotalSize=15MB] - Peso máximo de todos los archivos
+     * @param {number} [options.maxFiles=5] - Número máximo de archivos
+     * @param {number} [options.maxDimension=2560] - Lado largo máximo al reducir (px)
+     */
+    constructor(inputId = 'attachments', options = {}) {
+        // Elementos del DOM
+        this.input = document.getElementById(inputId);
+        this.form = this.input ? this.input.form : null;
+        this.list = document.getElementById('attachmentList');
+        this.summary = document.getElementById('attachmentSummary');
+        this.status = document.getElementById('attachmentStatus');
+
+        // Configuración
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        // Estado
+        this.items = [];
+        this.nextId = 1;
+        this.queue = Promise.resolve();
+
+        // Sin DataTransfer no se puede reescribir input.files (navegadores antiguos)
+        this.canSyncInput = this.supportsDataTransfer();
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+
+        // Verificar que los elementos existen
+        if (!this.input || !this.list) {
+            console.warn('AttachmentManager: Elementos requeridos no encontrados (input de archivos o attachmentList)');
+            return;
+        }
+
+        this.init();
+    }
+
+    /**
+     * Inicializa event listeners
+     */
+    init() {
+        const { signal } = this.abortController;
+
+        // 1. Nueva selección de archivos
+        this.input.addEventListener('change', () => {
+            this.addFiles(Array.from(this.input.files || []));
+        }, { signal });
+
+        // 2. Quitar un archivo
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-attachment]');
+            if (button) {
+                this.remove(Number(button.dataset.removeAttachment));
+            }
+        }, { signal });
+
+        // 3. "Limpiar todo" vacía la lista
+        if (this.form) {
+            this.form.addEventListener('reset', () => this.clear(), { signal });
+        }
+
+        this.render();
+
+        console.log('✅ AttachmentManager inicializado correctamente');
+    }
+
+    /**
+     * Método público: Añade archivos y los procesa en segundo plano
+     * @param {File[]} files
+     * @returns {Promise<void>} - Se resuelve cuando terminan de procesarse
+     */
+    addFiles(files) {
+        const rejected = [];
+
+        files.forEach(file => {
+            if (!ACCEPTED_TYPES.includes(file.type)) {
+                rejected.push(`${file.name}: formato no admitido (usa JPG, PNG o WebP)`);
+                return;
+            }
+
+            // Los que fallaron siguen en la lista (con su error) pero no ocupan hueco
+            const activeCount = this.items.filter(item => item.status !== 'error').length;
+            if (activeCount >= this.options.maxFiles) {
+                rejected.push(`${file.name}: máximo ${this.options.maxFiles} archivos`);
+                return;
+            }
+
+            if (this.isDuplicate(file)) {
+                rejected.push(`${file.name}: ya está adjunto`);
+                return;
+            }
+
+            const item = {
+                id: this.nextId++,
+                original: file,
+                file: null,
+                status: 'processing',
+                notes: [],
+                error: '',
+                previewUrl: null
+            };
+
+            this.items.push(item);
+            this.queue = this.queue.then(() => this.processItem(item));
+        });
+
+        // El input tiene ahora solo la última selección: restaurar la lista completa
+        this.syncInput();
+        this.render();
+
+        if (rejected.length > 0) {
+            this.announce(`⚠️ No se adjuntó: ${rejected.join('; ')}`);
+        }
+
+        return this.queue;
+    }
+
+    /**
+     * Procesa un archivo de la cola y comprueba los límites
+     * @param {Object} item
+     */
+    async processItem(item) {
+        let prepared = null;
+        let failed = false;
+
+        try {
+            prepared = await this.prepareFile(item.original);
+        } catch (error) {
+            failed = true;
+            console.error(`AttachmentManager: Error procesando ${item.original.name}:`, error);
+        }
+
+        // Quitado mientras se procesaba
+        if (!this.items.includes(item)) return;
+
+        if (failed) {
+            this.reject(item, 'no se pudo procesar la imagen en este navegador');
+        } else if (!prepared) {
+            this.reject(item, 'no es una imagen JPG, PNG o WebP válida');
+        } else if (prepared.file.size > this.options.maxFileSize) {
+            this.reject(item, `supera ${formatFileSize(this.options.maxFileSize)} incluso reducida`);
+        } else if (this.getTotalSize() + prepared.file.size > this.options.maxTotalSize) {
+            this.reject(item, `se pasaría del total de ${formatFileSize(this.options.maxTotalSize)}`);
+        } else {
+            const { file, notes } = prepared;
+
+            item.file = file;
+            item.notes = notes;
+            item.status = 'ready';
+            item.previewUrl = URL.createObjectURL(file);
+
+            this.announce(`✅ ${item.original.name} adjuntada${notes.length ? ` (${notes.join(', ').toLowerCase()})` : ''}`);
+        }
+
+        this.syncInput();
+        this.render();
+    }
+
+    /**
+     * Marca un archivo como no adjuntado
+     * @param {Object} item
+     * @param {string} reason
+     */
+    reject(item, reason) {
+        item.status = 'error';
+        item.error = reason;
+        this.announce(`⚠️ ${item.original.name}: ${reason}`);
+    }
+
+    /**
+     * Prepara un archivo para adjuntarlo
+     * - Pesado o girado por EXIF: se recodifica con canvas (sin metadatos)
+     * - Con EXIF/XMP: se eliminan los metadatos sin recomprimir
+     * @param {File} original
+     * @returns {Promise<{file: File, notes: string[]}|null>} - null si el contenido no es una imagen admitida
+     */
+    async prepareFile(original) {
+        const buffer = await original.arrayBuffer();
+        const metadata = readImageMetadata(buffer);
+        const notes = [];
+
+        if (!metadata.type) return null;
+
+        const isOversized = original.size > this.options.maxFileSize;
+        const isRotated = metadata.orientation !== 1;
+
+        if (isOversized || isRotated) {
+            const { blob } = await resizeImage(original, {
+                maxBytes: this.options.maxFileSize,
+                maxDimension: this.options.maxDimension,
+                orientation: metadata.orientation,
+                type: metadata.type
+            });
+
+            if (isOversized) {
+                notes.push(`Reducida de ${formatFileSize(original.size)} a ${formatFileSize(blob.size)}`);
+            }
+            if (isRotated) {
+                notes.push('Orientación corregida');
+            }
+            if (metadata.hasGps) {
+                notes.push('Ubicación GPS eliminada');
+            }
+
+            return { file: this.createFile(blob, original), notes };
+        }
+
+        if (metadata.hasMetadata) {
+            if (metadata.hasGps) {
+                notes.push('Ubicación GPS eliminada');
+            }
+
+            const blob = new Blob([stripMetadata(buffer)], { type: metadata.type });
+            return { file: this.createFile(blob, original), notes };
+        }
+
+        return { file: original, notes };
+    }
+
+    /**
+     * Crea el File final conservando el nombre (con la extensión del nuevo formato)
+     * @param {Blob} blob
+     * @param {File} original
+     * @returns {File}
+     */
+    createFile(blob, original) {
+        const extension = EXTENSIONS[blob.type];
+        const baseName = original.name.replace(/\.[^.]+$/, '');
+        const name = extension ? `${baseName}.${extension}` : original.name;
+
+        return new File([blob], name, { type: blob.type, lastModified: original.lastModified });
+    }
+
+    /**
+     * Método público: Quita un archivo
+     * @param {number} id
+     */
+    remove(id) {
+        const index = this.items.findIndex(item => item.id === id);
+        if (index === -1) return;
+
+        const [item] = this.items.splice(index, 1);
+        this.revokePreview(item);
+
+        this.syncInput();
+        this.render();
+        this.announce(`🗑️ Se quitó ${item.original.name}`);
+
+        // Mantener el foco en la lista (o volver al input si quedó vacía)
+        const buttons = this.list.querySelectorAll('[data-remove-attachment]');
+        const next = buttons[Math.min(index, buttons.length - 1)];
+        (next || this.input).focus();
+    }
+
+    /**
+     * Método público: Quita todos los archivos
+     */
+    clear() {
+        this.items.forEach(item => this.revokePreview(item));
+        this.items = [];
+
+        this.syncInput();
+        this.render();
+    }
+
+    /**
+     * Método público: Archivos listos para enviar
+     * @returns {File[]}
+     */
+    getFiles() {
+        return this.items
+            .filter(item => item.status === 'ready')
+            .map(item => item.file);
+    }
+
+    /**
+     * Método público: Espera a que termine el procesamiento pendiente
+     * @returns {Promise<File[]>}
+     */
+    async whenReady() {
+        let pending;
+
+        // Pueden añadirse archivos mientras se espera
+        do {
+            pending = this.queue;
+            await pending;
+        } while (pending !== this.queue);
+
+        return this.getFiles();
+    }
+
+    /**
+     * Método público: ¿Hay archivos procesándose?
+     * @returns {boolean}
+     */
+    isProcessing() {
+        return this.items.some(item => item.status === 'processing');
+    }
+
+    /**
+     * Peso total de los archivos listos
+     * @returns {number}
+     */
+    getTotalSize() {
+        return this.getFiles().reduce((total, file) => total + file.size, 0);
+    }
+
+    /**
+     * Comprueba si el archivo ya se seleccionó antes
+     * @param {File} file
+     * @returns {boolean}
+     */
+    isDuplicate(file) {
+        return this.items.some(({ original }) =>
+            original.name === file.name
+            && original.size === file.size
+            && original.lastModified === file.lastModified);
+    }
+
+    /**
+     * Escribe los archivos procesados en el input
+     */
+    syncInput() {
+        if (this.canSyncInput) {
+            const transfer = new DataTransfer();
+            this.getFiles().forEach(file => transfer.items.add(file));
+            this.input.files = transfer.files;
+        }
+
+        // Avisar al resto del formulario (progreso, vista previa...)
+        this.input.dispatchEvent(new Event('input', { bubbles: true }));
+        this.input.dispatchEvent(new CustomEvent('attachmentsChanged', {
+            detail: { files: this.getFiles(), processing: this.isProcessing() },
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Pinta la lista de archivos y el resumen
+     */
+    render() {
+        this.list.hidden = this.items.length === 0;
+        this.list.innerHTML = this.items.map(item => this.renderItem(item)).join('');
+
+        if (this.summary) {
+            const total = this.getTotalSize();
+            const { maxFiles, maxTotalSize } = this.options;
+
+            this.summary.textContent = this.items.length === 0
+                ? ''
+                : `${this.getFiles().length} de ${maxFiles} archivos · ${formatFileSize(total)} de ${formatFileSize(maxTotalSize)}`;
+            this.summary.classList.toggle('is-near-limit', total > maxTotalSize * 0.9);
+        }
+    }
+
+    /**
+     * HTML de un archivo de la lista
+     * @param {Object} item
+     * @returns {string}
+     */
+    renderItem(item) {
+        const name = escapeHtml(item.original.name);
+
+        let thumbnail = '<span class="attachment-thumb attachment-thumb-placeholder" aria-hidden="true">⏳</span>';
+        let meta = 'Procesando…';
+
+        if (item.status === 'ready') {
+            thumbnail = `<img class="attachment-thumb" src="${item.previewUrl}" alt="" width="64" height="64">`;
+            meta = [formatFileSize(item.file.size), ...item.notes].map(escapeHtml).join(' · ');
+        } else if (item.status === 'error') {
+            thumbnail = '<span class="attachment-thumb attachment-thumb-placeholder" aria-hidden="true">⚠️</span>';
+            meta = `No se adjuntó: ${escapeHtml(item.error)}`;
+        }
+
+        return `
+            <li class="attachment-item is-${item.status}">
+                ${thumbnail}
+                <div class="attachment-info">
+                    <span class="attachment-name">${name}</span>
+                    <small class="attachment-meta">${meta}</small>
+                </div>
+                <button type="button" class="attachment-remove" data-remove-attachment="${item.id}" aria-label="Quitar ${name}">×</button>
+            </li>`;
+    }
+
+    /**
+     * Mensaje para el usuario (región aria-live)
+     * @param {string} message
+     */
+    announce(message) {
+        if (this.status) {
+            this.status.textContent = message;
+        }
+    }
+
+    /**
+     * Libera la URL temporal de la miniatura
+     * @param {Object} item
+     */
+    revokePreview(item) {
+        if (item.previewUrl) {
+            URL.revokeObjectURL(item.previewUrl);
+            item.previewUrl = null;
+        }
+    }
+
+    /**
+     * Comprueba si se puede construir un FileList con DataTransfer
+     * @returns {boolean}
+     */
+    supportsDataTransfer() {
+        try {
+            return typeof DataTransfer === 'function' && Boolean(new DataTransfer().items);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.abortController.abort();
+        this.items.forEach(item => this.revokePreview(item));
+
+        console.log('🗑️ AttachmentManager: Destruido');
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default AttachmentManager;
@@ -0,0 +1,428 @@
+/* js/components/FormDraft.js */
+
+/**
+ * ===================================================================
+ * FormDraft.js - Borrador Automático de Formularios
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Guarda todos los campos en localStorage al escribir o cambiar
+ *   (texto, selects, radios, grupos de checkboxes, range, color, fechas)
+ * - Al volver ofrece "¿Restaurar tu borrador del <fecha>?"
+ * - Botones para guardar y descartar el borrador a mano
+ * - Los borradores caducan tras un periodo configurable
+ * - Clave versionada: si cambia el formulario se sube DRAFT_VERSION
+ *   y los borradores con la forma antigua se ignoran y se eliminan
+ *
+ * Uso:
+ * import FormDraft from './components/FormDraft.js';
+ * const draft = new FormDraft('contactForm', { maxAgeDays: 7 });
+ *
+ * HTML requerido: #contactForm, #saveDraftBtn (opcional: #discardDraftBtn, #draftStatus)
+ * ===================================================================
+ */
+
+import { getItem, setItem, removeItem } from '../utils/storage.js';
+import { debounce } from '../utils/helpers.js';
+
+/**
+ * Versión de la forma del borrador
+ * Subirla cuando se añadan, quiten o renombren campos del formulario
+ */
+const DRAFT_VERSION = 1;
+
+/**
+ * Días que se conserva un borrador por defecto
+ */
+const DEFAULT_MAX_AGE_DAYS = 7;
+
+/**
+ * Espera tras la última tecla antes de guardar (ms)
+ */
+const AUTOSAVE_DELAY = 500;
+
+/**
+ * Campos que nunca se guardan
+ */
+const EXCLUDED_TYPES = ['file', 'password', 'submit', 'reset', 'button', 'image', 'fieldset', 'output'];
+
+class FormDraft {
+    /**
+     * Constructor - Prepara el autoguardado
+     * @param {string} formId - ID del formulario
+     * @param {Object} options
+     * @param {number} [options.maxAgeDays=7] - Días hasta que caduca un borrador
+     */
+    constructor(formId = 'contactForm', options = {}) {
+        // Elementos del DOM
+        this.form = document.getElementById(formId);
+        this.saveButton = document.getElementById('saveDraftBtn');
+        this.discardButton = document.getElementById('discardDraftBtn');
+        this.status = document.getElementById('draftStatus');
+        this.banner = null;
+
+        // Configuración
+        this.storageKey = `drafts.${formId}.v${DRAFT_VERSION}`;
+        this.legacyKeyPrefix = `drafts.${formId}.v`;
+        this.maxAge = (options.maxAgeDays ?? DEFAULT_MAX_AGE_DAYS) * 24 * 60 * 60 * 1000;
+
+        // Estado: mientras se pregunta si restaurar, no se sobrescribe el borrador guardado
+        this.isAwaitingDecision = false;
+
+        // Hay cambios del usuario sin guardar (flush solo guarda entonces)
+        this.isDirty = false;
+
+        // Guardado con debounce mientras se escribe
+        this.scheduleSave = debounce(() => this.save(), AUTOSAVE_DELAY);
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+
+        // Verificar que los elementos existen
+        if (!this.form) {
+            console.warn(`FormDraft: Formulario no encontrado. ID esperado: "${formId}"`);
+            return;
+        }
+
+        this.init();
+    }
+
+    /**
+     * Inicializa listeners y comprueba si hay un borrador previo
+     */
+    init() {
+        const { signal } = this.abortController;
+
+        this.removeLegacyDrafts();
+
+        // 1. Autoguardado
+        this.form.addEventListener('input', () => this.handleChange(), { signal });
+        this.form.addEventListener('change', () => this.handleChange(), { signal });
+
+        // 2. No perder lo último escrito al cerrar o cambiar de pestaña
+        window.addEventListener('pagehide', () => this.flush(), { signal });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        }, { signal });
+
+        // 3. Acciones explícitas
+        if (this.saveButton) {
+            this.saveButton.addEventListener('click', () => {
+                this.isAwaitingDecision = false;
+                this.removeBanner();
+                this.save({ announce: true });
+            }, { signal });
+        }
+
+        if (this.discardButton) {
+            this.discardButton.addEventListener('click', () => this.discard(), { signal });
+        }
+
+        // "Limpiar todo" también elimina el borrador
+        this.form.addEventListener('reset', () => this.discard({ silent: true }), { signal });
+
+        // 4. Ofrecer el borrador guardado
+        const draft = this.load();
+        if (draft) {
+            this.offerRestore(draft);
+        }
+        this.updateDiscardButton(Boolean(draft));
+
+        console.log('✅ FormDraft inicializado correctamente');
+    }
+
+    /**
+     * Programa el guardado tras un cambio del usuario
+     */
+    handleChange() {
+        if (this.isAwaitingDecision) return;
+
+        this.isDirty = true;
+        this.scheduleSave();
+    }
+
+    /**
+     * Guarda inmediatamente si hay un guardado pendiente
+     */
+    flush() {
+        if (this.isAwaitingDecision || !this.isDirty) return;
+
+        this.scheduleSave.cancel();
+        this.save();
+    }
+
+    /**
+     * Método público: Guardar el borrador
+     * @param {Object} [options]
+     * @param {boolean} [options.announce=false] - Mostrar confirmación al usuario
+     * @returns {boolean} - true si se guardó
+     */
+    save({ announce = false } = {}) {
+        const fields = this.serialize();
+        const now = Date.now();
+
+        this.isDirty = false;
+
+        const saved = setItem(this.storageKey, {
+            version: DRAFT_VERSION,
+            savedAt: now,
+            expiresAt: now + this.maxAge,
+            fields
+        });
+
+        this.updateDiscardButton(saved);
+
+        if (announce) {
+            this.setStatus(saved
+                ? `💾 Borrador guardado a las ${this.formatTime(now)}`
+                : '⚠️ No se pudo guardar el borrador en este navegador');
+        }
+
+        return saved;
+    }
+
+    /**
+     * Lee el borrador guardado si existe, tiene la versión actual y no caducó
+     * @returns {Object|null}
+     */
+    load() {
+        const draft = getItem(this.storageKey);
+
+        if (!draft || draft.version !== DRAFT_VERSION || typeof draft.fields !== 'object') {
+            return null;
+        }
+
+        if (!draft.expiresAt || Date.now() > draft.expiresAt) {
+            removeItem(this.storageKey);
+            return null;
+        }
+
+        return draft;
+    }
+
+    /**
+     * Método público: Rellenar el formulario con un borrador
+     * @param {Object} draft - Borrador leído con load()
+     */
+    restore(draft) {
+        this.applyFields(draft.fields);
+
+        this.form.dispatchEvent(new CustomEvent('draftRestored', {
+            detail: { savedAt: draft.savedAt },
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Método público: Eliminar el borrador guardado
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] - No mostrar confirmación
+     */
+    discard({ silent = false } = {}) {
+        this.scheduleSave.cancel();
+        this.isAwaitingDecision = false;
+        this.isDirty = false;
+        removeItem(this.storageKey);
+        this.removeBanner();
+        this.updateDiscardButton(false);
+
+        if (!silent) {
+            this.setStatus('🗑️ Borrador descartado');
+        }
+    }
+
+    /**
+     * Convierte los campos en un objeto serializable
+     * - Texto, select, range, color, fechas: string
+     * - Grupo de checkboxes: array de valores marcados
+     * - Checkbox suelto: boolean
+     * - Radios: valor marcado o ''
+     * @returns {Object}
+     */
+    serialize() {
+        const fields = {};
+
+        this.getFieldGroups().forEach((elements, name) => {
+            const [first] = elements;
+
+            if (first.type === 'radio') {
+                const checked = elements.find(element => element.checked);
+                fields[name] = checked ? checked.value : '';
+            } else if (first.type === 'checkbox' && elements.length > 1) {
+                fields[name] = elements.filter(element => element.checked).map(element => element.value);
+            } else if (first.type === 'checkbox') {
+                fields[name] = first.checked;
+            } else if (first.type === 'select-multiple') {
+                fields[name] = Array.from(first.selectedOptions).map(option => option.value);
+            } else {
+                fields[name] = first.value;
+            }
+        });
+
+        return fields;
+    }
+
+    /**
+     * Aplica valores guardados a los campos (los que ya no existen se ignoran)
+     * @param {Object} fields
+     */
+    applyFields(fields) {
+        this.getFieldGroups().forEach((elements, name) => {
+            if (!(name in fields)) return;
+
+            const value = fields[name];
+            const [first] = elements;
+
+            if (first.type === 'radio') {
+                elements.forEach(element => { element.checked = element.value === value; });
+            } else if (first.type === 'checkbox' && Array.isArray(value)) {
+                elements.forEach(element => { element.checked = value.includes(element.value); });
+            } else if (first.type === 'checkbox') {
+                first.checked = Boolean(value);
+            } else if (first.type === 'select-multiple' && Array.isArray(value)) {
+                Array.from(first.options).forEach(option => { option.selected = value.includes(option.value); });
+            } else if (typeof value === 'string') {
+                first.value = value;
+            }
+
+            // Avisar a los scripts de la página (contador de caracteres, valor del range...)
+            elements.forEach(element => {
+                element.dispatchEvent(new Event('input', { bubbles: true }));
+            });
+        });
+    }
+
+    /**
+     * Campos del formulario agrupados por name
+     * @returns {Map<string, HTMLElement[]>}
+     */
+    getFieldGroups() {
+        const groups = new Map();
+
+        Array.from(this.form.elements).forEach(element => {
+            if (!element.name || EXCLUDED_TYPES.includes(element.type)) return;
+            if (element.dataset.draft === 'off') return;
+
+            if (!groups.has(element.name)) {
+                groups.set(element.name, []);
+            }
+            groups.get(element.name).push(element);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Muestra el aviso para restaurar o descartar el borrador
+     * @param {Object} draft
+     */
+    offerRestore(draft) {
+        this.isAwaitingDecision = true;
+
+        this.banner = document.createElement('div');
+        this.banner.className = 'draft-banner';
+        this.banner.setAttribute('role', 'region');
+        this.banner.setAttribute('aria-label', 'Borrador guardado');
+        this.banner.innerHTML = `
+            <p class="draft-banner-text">
+                📝 ¿Restaurar tu borrador del <time datetime="${new Date(draft.savedAt).toISOString()}">${this.formatDate(draft.savedAt)}</time>?
+            </p>
+            <div class="draft-banner-actions">
+                <button type="button" class="btn btn-primary" data-draft-action="restore">Restaurar</button>
+                <button type="button" class="btn btn-secondary" data-draft-action="discard">Descartar</button>
+            </div>`;
+
+        this.banner.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-draft-action]');
+            if (!button) return;
+
+            if (button.dataset.draftAction === 'restore') {
+                this.isAwaitingDecision = false;
+                this.removeBanner();
+                this.restore(draft);
+                this.setStatus('✅ Borrador restaurado');
+            } else {
+                this.discard();
+            }
+        }, { signal: this.abortController.signal });
+
+        // Justo después del título del formulario
+        const heading = this.form.querySelector('h2');
+        if (heading) {
+            heading.after(this.banner);
+        } else {
+            this.form.prepend(this.banner);
+        }
+    }
+
+    /**
+     * Quita el aviso de restauración
+     */
+    removeBanner() {
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
+        }
+    }
+
+    /**
+     * Muestra u oculta el botón "Descartar borrador"
+     * @param {boolean} hasDraft
+     */
+    updateDiscardButton(hasDraft) {
+        if (this.discardButton) {
+            this.discardButton.hidden = !hasDraft;
+        }
+    }
+
+    /**
+     * Mensaje de estado junto a los botones
+     * @param {string} message
+     */
+    setStatus(message) {
+        if (this.status) {
+            this.status.textContent = message;
+        }
+    }
+
+    /**
+     * Elimina borradores de versiones anteriores del formulario
+     */
+    removeLegacyDrafts() {
+        for (let version = 0; version < DRAFT_VERSION; version++) {
+            removeItem(`${this.legacyKeyPrefix}${version}`);
+        }
+    }
+
+    /**
+     * Fecha legible (ej: "19 de octubre de 2025, 10:32")
+     * @param {number} timestamp
+     * @returns {string}
+     */
+    formatDate(timestamp) {
+        return new Intl.DateTimeFormat('es-PE', { dateStyle: 'long', timeStyle: 'short' }).format(timestamp);
+    }
+
+    /**
+     * Hora legible (ej: "10:32")
+     * @param {number} timestamp
+     * @returns {string}
+     */
+    formatTime(timestamp) {
+        return new Intl.DateTimeFormat('es-PE', { timeStyle: 'short' }).format(timestamp);
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.flush();
+        this.abortController.abort();
+        this.removeBanner();
+
+        console.log('🗑️ FormDraft: Destruido');
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default FormDraft;
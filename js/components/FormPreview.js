@@ -0,0 +1,443 @@
+/* js/components/FormPreview.js */
+
+/**
+ * ===================================================================
+ * FormPreview.js - Vista Previa de la Consulta
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Resumen legible de lo escrito en el formulario, agrupado por fieldset
+ * - Etiquetas tomadas de los <label>/<legend> del propio formulario
+ * - Radios y checkboxes con su texto visible, horas de práctica,
+ *   muestra del color favorito y miniaturas de las imágenes adjuntas
+ * - Enlaces "Editar" que vuelven a cada sección del formulario
+ * - Diálogo accesible: foco atrapado, ESC para cerrar, devuelve el foco
+ *
+ * Uso:
+ * import FormPreview from './components/FormPreview.js';
+ * const preview = new FormPreview('contactForm');
+ * preview.open();
+ *
+ * HTML requerido: #contactForm con .form-fieldset y #previewBtn
+ * ===================================================================
+ */
+
+import { escapeHtml, formatFileSize, trapFocus, openModal, closeModal } from '../utils/helpers.js';
+import { parseDate } from '../utils/validators.js';
+
+/**
+ * Campos que no se muestran en el resumen
+ */
+const IGNORED_TYPES = ['submit', 'reset', 'button', 'image', 'fieldset', 'output', 'password'];
+
+class FormPreview {
+    /**
+     * Constructor - Prepara la vista previa
+     * @param {string} formId - ID del formulario
+     */
+    constructor(formId = 'contactForm') {
+        // Elementos del DOM
+        this.form = document.getElementById(formId);
+        this.trigger = document.getElementById('previewBtn');
+
+        // Estado
+        this.isOpen = false;
+        this.lastFocused = null;
+        this.objectUrls = [];
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+
+        // Verificar que los elementos existen
+        if (!this.form || !this.trigger) {
+            console.warn('FormPreview: Elementos requeridos no encontrados (formulario o previewBtn)');
+            return;
+        }
+
+        this.init();
+    }
+
+    /**
+     * Crea el diálogo e inicializa los event listeners
+     */
+    init() {
+        const { signal } = this.abortController;
+
+        this.createDialog();
+
+        this.trigger.addEventListener('click', () => this.open(), { signal });
+        this.closeButton.addEventListener('click', () => this.close(), { signal });
+        this.editButton.addEventListener('click', () => this.close(), { signal });
+
+        this.submitButton.addEventListener('click', () => {
+            this.close({ restoreFocus: false });
+            this.form.requestSubmit();
+        }, { signal });
+
+        // "Editar" de cada sección
+        this.body.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-edit-section]');
+            if (!link) return;
+
+            e.preventDefault();
+            this.editSection(link.dataset.editSection);
+        }, { signal });
+
+        // Clic en el fondo oscuro cierra
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) {
+                this.close();
+            }
+        }, { signal });
+
+        this.dialog.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+        console.log('✅ FormPreview inicializado correctamente');
+    }
+
+    /**
+     * Crea el marcado del diálogo y lo añade al body
+     */
+    createDialog() {
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'form-preview';
+        this.dialog.id = 'formPreview';
+        this.dialog.setAttribute('role', 'dialog');
+        this.dialog.setAttribute('aria-labelledby', 'formPreviewTitle');
+        this.dialog.setAttribute('aria-hidden', 'true');
+
+        this.dialog.innerHTML = `
+            <div class="form-preview-content">
+                <header class="form-preview-header">
+                    <h2 class="form-preview-title" id="formPreviewTitle">👀 Vista previa de tu consulta</h2>
+                    <button type="button" class="form-preview-close" aria-label="Cerrar vista previa">
+                        <span aria-hidden="true">&times;</span>
+                    </button>
+                </header>
+
+                <div class="form-preview-body"></div>
+
+                <footer class="form-preview-actions">
+                    <button type="button" class="btn btn-secondary" data-preview-action="edit">✏️ Seguir editando</button>
+                    <button type="button" class="btn btn-primary" data-preview-action="submit">📤 Enviar consulta</button>
+                </footer>
+            </div>`;
+
+        document.body.appendChild(this.dialog);
+
+        this.body = this.dialog.querySelector('.form-preview-body');
+        this.closeButton = this.dialog.querySelector('.form-preview-close');
+        this.editButton = this.dialog.querySelector('[data-preview-action="edit"]');
+        this.submitButton = this.dialog.querySelector('[data-preview-action="submit"]');
+    }
+
+    /**
+     * Método público: Abrir la vista previa con los datos actuales
+     */
+    open() {
+        this.render();
+
+        this.lastFocused = document.activeElement;
+        this.isOpen = true;
+        openModal(this.dialog, { bodyClass: 'form-preview-open', initialFocus: this.closeButton });
+    }
+
+    /**
+     * Método público: Cerrar la vista previa
+     * @param {Object} [options]
+     * @param {boolean} [options.restoreFocus=true] - Devolver el foco al botón que la abrió
+     */
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.revokeObjectUrls();
+
+        closeModal(this.dialog, {
+            bodyClass: 'form-preview-open',
+            returnFocus: restoreFocus ? this.lastFocused : null
+        });
+        this.lastFocused = null;
+    }
+
+    /**
+     * Cierra y lleva al usuario a una sección del formulario
+     * @param {string} index - Posición del fieldset
+     */
+    editSection(index) {
+        const fieldset = this.getSections()[Number(index)];
+        if (!fieldset) return;
+
+        this.close({ restoreFocus: false });
+
+        fieldset.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        const firstField = fieldset.querySelector('input:not([type="hidden"]), select, textarea');
+        if (firstField) {
+            firstField.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Secciones principales del formulario
+     * @returns {HTMLFieldSetElement[]}
+     */
+    getSections() {
+        return Array.from(this.form.querySelectorAll('.form-fieldset'));
+    }
+
+    /**
+     * Genera el resumen completo
+     */
+    render() {
+        this.revokeObjectUrls();
+
+        this.body.innerHTML = this.getSections().map((fieldset, index) => {
+            const legend = fieldset.querySelector('.fieldset-legend');
+            const title = legend ? this.cleanText(legend) : `Sección ${index + 1}`;
+            const rows = this.getSectionFields(fieldset)
+                .map(elements => this.renderRow(elements))
+                .filter(Boolean)
+                .join('');
+
+            return `
+                <section class="preview-section">
+                    <header class="preview-section-header">
+                        <h3 class="preview-section-title">${escapeHtml(title)}</h3>
+                        <a href="#" class="preview-edit" data-edit-section="${index}"
+                           aria-label="Editar ${escapeHtml(title)}">✏️ Editar</a>
+                    </header>
+                    ${rows
+                        ? `<dl class="preview-list">${rows}</dl>`
+                        : '<p class="preview-empty">Sin datos en esta sección.</p>'}
+                </section>`;
+        }).join('');
+    }
+
+    /**
+     * Campos de un fieldset agrupados por name (en orden del formulario)
+     * @param {HTMLFieldSetElement} fieldset
+     * @returns {HTMLElement[][]}
+     */
+    getSectionFields(fieldset) {
+        const groups = new Map();
+
+        Array.from(fieldset.elements).forEach(element => {
+            if (!element.name || IGNORED_TYPES.includes(element.type)) return;
+
+            if (!groups.has(element.name)) {
+                groups.set(element.name, []);
+            }
+            groups.get(element.name).push(element);
+        });
+
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Genera el par <dt>/<dd> de un campo
+     * Los campos opcionales vacíos no se muestran
+     * @param {HTMLElement[]} elements - Elementos con el mismo name
+     * @returns {string}
+     */
+    renderRow(elements) {
+        const [first] = elements;
+        const label = this.getLabel(elements);
+        const isRequired = elements.some(element => element.required);
+        const value = this.renderValue(elements);
+
+        if (!value && !isRequired) return '';
+
+        const valueHtml = value || '<span class="preview-missing">⚠️ Falta completar</span>';
+
+        return `
+            <div class="preview-row" data-field="${escapeHtml(first.name)}">
+                <dt>${escapeHtml(label)}</dt>
+                <dd>${valueHtml}</dd>
+            </div>`;
+    }
+
+    /**
+     * HTML del valor de un campo según su tipo ('' si está vacío)
+     * @param {HTMLElement[]} elements
+     * @returns {string}
+     */
+    renderValue(elements) {
+        const [first] = elements;
+
+        switch (first.type) {
+            case 'radio': {
+                const checked = elements.find(element => element.checked);
+                return checked ? escapeHtml(this.getOptionText(checked)) : '';
+            }
+
+            case 'checkbox': {
+                // Checkbox suelto (ej: privacidad): Sí / No
+                if (elements.length === 1 && first.id) {
+                    return first.checked ? '✅ Sí' : (first.required ? '' : 'No');
+                }
+                const checked = elements.filter(element => element.checked);
+                if (checked.length === 0) return '';
+                return `<ul class="preview-tags">${checked
+                    .map(element => `<li>${escapeHtml(this.getOptionText(element))}</li>`)
+                    .join('')}</ul>`;
+            }
+
+            case 'select-one': {
+                const option = first.selectedOptions[0];
+                return option && option.value ? escapeHtml(option.textContent.trim()) : '';
+            }
+
+            case 'range': {
+                // Usar el texto que ya muestra la página (ej: "2 horas")
+                const display = document.getElementById(`${first.id}Value`);
+                return escapeHtml(display ? display.textContent.trim() : first.value);
+            }
+
+            case 'color':
+                return `<span class="preview-color">
+                    <span class="preview-color-swatch" style="background-color: ${escapeHtml(first.value)}" aria-hidden="true"></span>
+                    ${escapeHtml(first.value.toUpperCase())}
+                </span>`;
+
+            case 'date': {
+                const date = parseDate(first.value);
+                return date
+                    ? escapeHtml(new Intl.DateTimeFormat('es-PE', { dateStyle: 'long' }).format(date))
+                    : '';
+            }
+
+            case 'file':
+                return this.renderFiles(first.files);
+
+            case 'textarea':
+                return first.value.trim()
+                    ? `<p class="preview-message">${escapeHtml(first.value.trim())}</p>`
+                    : '';
+
+            default:
+                return escapeHtml(first.value.trim());
+        }
+    }
+
+    /**
+     * Miniaturas de las imágenes adjuntas
+     * @param {FileList} files
+     * @returns {string}
+     */
+    renderFiles(files) {
+        if (!files || files.length === 0) return '';
+
+        const canPreview = typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function';
+
+        return `<ul class="preview-files">${Array.from(files).map(file => {
+            let thumbnail = '';
+
+            if (canPreview && file.type.startsWith('image/')) {
+                const url = URL.createObjectURL(file);
+                this.objectUrls.push(url);
+                thumbnail = `<img src="${url}" alt="" class="preview-thumbnail">`;
+            }
+
+            return `
+                <li class="preview-file">
+                    ${thumbnail}
+                    <span class="preview-file-name">${escapeHtml(file.name)}</span>
+                    <small class="preview-file-size">${formatFileSize(file.size)}</small>
+                </li>`;
+        }).join('')}</ul>`;
+    }
+
+    /**
+     * Etiqueta visible de un campo
+     * - Campo con id: su <label for>
+     * - Grupo de radios/checkboxes: la <legend> de su fieldset
+     * - Checkbox suelto sin <label for>: el texto de su label
+     * @param {HTMLElement[]} elements
+     * @returns {string}
+     */
+    getLabel(elements) {
+        const [first] = elements;
+
+        if (first.id && !['radio', 'checkbox'].includes(first.type)) {
+            const label = this.form.querySelector(`label[for="${first.id}"]`);
+            if (label) return this.cleanText(label);
+        }
+
+        if (elements.length > 1 || first.type === 'radio') {
+            const fieldset = first.closest('fieldset');
+            const legend = fieldset ? fieldset.querySelector('legend') : null;
+            if (legend) return this.cleanText(legend);
+        }
+
+        if (first.type === 'checkbox') {
+            return this.getOptionText(first);
+        }
+
+        return first.name;
+    }
+
+    /**
+     * Texto visible de un radio/checkbox
+     * @param {HTMLInputElement} element
+     * @returns {string}
+     */
+    getOptionText(element) {
+        const label = element.closest('label');
+        if (!label) return element.value;
+
+        const text = label.querySelector('.radio-text, .checkbox-text');
+        return this.cleanText(text || label);
+    }
+
+    /**
+     * Texto de un elemento sin el asterisco de obligatorio ni espacios extra
+     * @param {HTMLElement} element
+     * @returns {string}
+     */
+    cleanText(element) {
+        const clone = element.cloneNode(true);
+        clone.querySelectorAll('.required').forEach(node => node.remove());
+        return clone.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Libera las URLs temporales de las miniaturas
+     */
+    revokeObjectUrls() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+
+    /**
+     * Maneja el teclado dentro del diálogo
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (!this.isOpen) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            trapFocus(this.dialog, e);
+        }
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.close({ restoreFocus: false });
+        this.abortController.abort();
+
+        if (this.dialog) {
+            this.dialog.remove();
+        }
+
+        console.log('🗑️ FormPreview: Destruido');
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default FormPreview;
@@ -0,0 +1,373 @@
+/* js/components/FormProgress.js */
+
+/**
+ * ===================================================================
+ * FormProgress.js - Medidor de Completitud del Formulario
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Calcula el % completado ponderando obligatorios (peso 3) y opcionales (peso 1)
+ * - Un campo solo cuenta si tiene valor y pasa la validación (FormValidator)
+ * - Los opcionales con valor por defecto (range, color, radio marcado)
+ *   solo cuentan cuando el usuario los cambia o los toca
+ * - Lista de comprobación por fieldset (completado / en progreso / pendiente)
+ * - Anuncios "polite" para lectores de pantalla, como máximo uno cada 4 s
+ *
+ * Uso:
+ * import FormProgress from './components/FormProgress.js';
+ * const progress = new FormProgress('contactForm', { validator });
+ * progress.getProgress(); // { percentage: 40, sections: [...] }
+ *
+ * HTML requerido: #progressPercentage, #formProgress (opcional: #formChecklist)
+ * ===================================================================
+ */
+
+import { escapeHtml, throttle } from '../utils/helpers.js';
+import { isEmpty } from '../utils/validators.js';
+
+/**
+ * Peso de cada tipo de campo en el porcentaje
+ */
+const REQUIRED_WEIGHT = 3;
+const OPTIONAL_WEIGHT = 1;
+
+/**
+ * Intervalo mínimo entre anuncios para lectores de pantalla (ms)
+ */
+const ANNOUNCE_INTERVAL = 4000;
+
+/**
+ * Campos que no cuentan para el progreso
+ */
+const IGNORED_TYPES = ['submit', 'reset', 'button', 'image', 'fieldset', 'output', 'hidden'];
+
+class FormProgress {
+    /**
+     * Constructor - Inicializa el medidor
+     * @param {string} formId - ID del formulario
+     * @param {Object} options
+     * @param {FormValidator} [options.validator] - Validador para decidir si un campo está completo
+     */
+    constructor(formId = 'contactForm', options = {}) {
+        // Elementos del DOM
+        this.form = document.getElementById(formId);
+        this.percentageLabel = document.getElementById('progressPercentage');
+        this.progressText = document.getElementById('progressText');
+        this.fill = document.getElementById('formProgress');
+        this.progressBar = this.fill ? this.fill.closest('.progress-bar') : null;
+        this.checklist = document.getElementById('formChecklist');
+        this.announcer = null;
+
+        // Dependencias
+        this.validator = options.validator || null;
+
+        // Estado
+        this.sections = [];
+        this.interacted = new Set();
+        this.lastPercentage = null;
+        this.lastAnnounced = null;
+
+        // Anuncios limitados en frecuencia (siempre se anuncia el último valor)
+        this.announce = throttle((percentage) => this.speak(percentage), ANNOUNCE_INTERVAL);
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+
+        // Verificar que los elementos existen
+        if (!this.form || !this.percentageLabel) {
+            console.warn('FormProgress: Elementos requeridos no encontrados (formulario o progressPercentage)');
+            return;
+        }
+
+        this.init();
+    }
+
+    /**
+     * Inicializa secciones y event listeners
+     */
+    init() {
+        const { signal } = this.abortController;
+
+        this.collectSections();
+        this.setupAccessibility();
+
+        const handleChange = (e) => {
+            if (e.target && e.target.name) {
+                this.interacted.add(e.target.name);
+            }
+            this.update();
+        };
+
+        this.form.addEventListener('input', handleChange, { signal });
+        this.form.addEventListener('change', handleChange, { signal });
+
+        // Un borrador restaurado cuenta como datos del usuario
+        this.form.addEventListener('draftRestored', () => {
+            this.sections.forEach(section => {
+                section.fields.forEach((elements, name) => this.interacted.add(name));
+            });
+            this.update();
+        }, { signal });
+
+        // El reset ocurre después del evento
+        this.form.addEventListener('reset', () => {
+            setTimeout(() => {
+                this.interacted.clear();
+                this.update();
+            }, 0);
+        }, { signal });
+
+        this.update({ silent: true });
+
+        console.log('✅ FormProgress inicializado correctamente');
+    }
+
+    /**
+     * Agrupa los campos de cada .form-fieldset por name
+     */
+    collectSections() {
+        this.sections = Array.from(this.form.querySelectorAll('.form-fieldset')).map((fieldset, index) => {
+            const legend = fieldset.querySelector('.fieldset-legend');
+            const fields = new Map();
+
+            Array.from(fieldset.elements).forEach(element => {
+                if (!element.name || IGNORED_TYPES.includes(element.type)) return;
+
+                if (!fields.has(element.name)) {
+                    fields.set(element.name, []);
+                }
+                fields.get(element.name).push(element);
+            });
+
+            return {
+                index,
+                title: legend ? legend.textContent.trim() : `Sección ${index + 1}`,
+                fields
+            };
+        });
+    }
+
+    /**
+     * Barra con role="progressbar" y región aria-live para los anuncios
+     */
+    setupAccessibility() {
+        if (this.progressBar) {
+            this.progressBar.setAttribute('role', 'progressbar');
+            this.progressBar.setAttribute('aria-valuemin', '0');
+            this.progressBar.setAttribute('aria-valuemax', '100');
+            if (this.progressText) {
+                this.progressBar.setAttribute('aria-labelledby', this.progressText.id);
+            }
+        }
+
+        this.announcer = document.createElement('p');
+        this.announcer.className = 'sr-only';
+        this.announcer.setAttribute('role', 'status');
+        this.announcer.setAttribute('aria-live', 'polite');
+        this.form.appendChild(this.announcer);
+    }
+
+    /**
+     * Método público: Recalcula y pinta el progreso
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] - No anunciar a lectores de pantalla
+     */
+    update({ silent = false } = {}) {
+        const progress = this.getProgress();
+
+        this.percentageLabel.textContent = `${progress.percentage}%`;
+
+        if (this.fill) {
+            this.fill.style.width = `${progress.percentage}%`;
+        }
+
+        if (this.progressBar) {
+            this.progressBar.setAttribute('aria-valuenow', progress.percentage);
+        }
+
+        this.renderChecklist(progress.sections);
+
+        if (!silent && progress.percentage !== this.lastPercentage) {
+            this.announce(progress.percentage);
+        }
+
+        this.lastPercentage = progress.percentage;
+    }
+
+    /**
+     * Método público: Estado de completitud
+     * @returns {{percentage: number, sections: Object[]}}
+     */
+    getProgress() {
+        let totalWeight = 0;
+        let completedWeight = 0;
+
+        const sections = this.sections.map(section => {
+            const summary = {
+                index: section.index,
+                title: section.title,
+                total: 0,
+                completed: 0,
+                missingRequired: []
+            };
+
+            section.fields.forEach((elements, name) => {
+                const { required, complete } = this.getFieldState(name, elements);
+                const weight = required ? REQUIRED_WEIGHT : OPTIONAL_WEIGHT;
+
+                totalWeight += weight;
+                summary.total++;
+
+                if (complete) {
+                    completedWeight += weight;
+                    summary.completed++;
+                } else if (required) {
+                    summary.missingRequired.push(name);
+                }
+            });
+
+            return summary;
+        });
+
+        const percentage = totalWeight === 0 ? 0 : Math.round((completedWeight / totalWeight) * 100);
+
+        return { percentage, sections };
+    }
+
+    /**
+     * Decide si un campo está completo
+     * @param {string} name
+     * @param {HTMLElement[]} elements
+     * @returns {{required: boolean, complete: boolean}}
+     */
+    getFieldState(name, elements) {
+        const status = this.validator
+            ? this.validator.getFieldStatus(name)
+            : null;
+
+        const required = status ? status.required : elements.some(element => element.required);
+        const empty = status ? status.empty : this.isEmpty(elements);
+        const valid = status ? status.valid : true;
+
+        if (empty || !valid) {
+            return { required, complete: false };
+        }
+
+        // Opcionales con valor inicial: solo cuentan si el usuario los cambió
+        if (!required && !this.interacted.has(name) && this.isDefaultValue(elements)) {
+            return { required, complete: false };
+        }
+
+        return { required, complete: true };
+    }
+
+    /**
+     * Vacío sin validador: sin texto o sin ninguna opción marcada
+     * @param {HTMLElement[]} elements
+     * @returns {boolean}
+     */
+    isEmpty(elements) {
+        const [first] = elements;
+
+        if (first.type === 'checkbox' || first.type === 'radio') {
+            return !elements.some(element => element.checked);
+        }
+
+        if (first.type === 'file') {
+            return !first.files || first.files.length === 0;
+        }
+
+        return isEmpty(first.value);
+    }
+
+    /**
+     * Comprueba si el campo sigue con el valor que trae el HTML
+     * @param {HTMLElement[]} elements
+     * @returns {boolean}
+     */
+    isDefaultValue(elements) {
+        return elements.every(element => {
+            if (element.type === 'checkbox' || element.type === 'radio') {
+                return element.checked === element.defaultChecked;
+            }
+
+            if (element.tagName === 'SELECT') {
+                return Array.from(element.options).every(option => option.selected === option.defaultSelected);
+            }
+
+            if (element.type === 'file') {
+                return !element.files || element.files.length === 0;
+            }
+
+            // El navegador normaliza el color a minúsculas (#4A90C2 → #4a90c2)
+            if (element.type === 'color') {
+                return element.value.toLowerCase() === element.defaultValue.toLowerCase();
+            }
+
+            return element.value === element.defaultValue;
+        });
+    }
+
+    /**
+     * Pinta la lista de comprobación por sección
+     * @param {Object[]} sections
+     */
+    renderChecklist(sections) {
+        if (!this.checklist) return;
+
+        this.checklist.innerHTML = sections.map(section => {
+            const state = section.completed === section.total
+                ? 'complete'
+                : section.missingRequired.length === 0 && section.completed > 0
+                    ? 'partial'
+                    : 'pending';
+
+            const icon = { complete: '✅', partial: '🟡', pending: '⬜' }[state];
+            const stateLabel = {
+                complete: 'completa',
+                partial: 'obligatorios listos',
+                pending: section.missingRequired.length > 0
+                    ? `faltan ${section.missingRequired.length} obligatorio(s)`
+                    : 'pendiente'
+            }[state];
+
+            return `
+                <li class="checklist-item is-${state}">
+                    <span class="checklist-icon" aria-hidden="true">${icon}</span>
+                    <span class="checklist-title">${escapeHtml(section.title)}</span>
+                    <span class="checklist-count">${section.completed}/${section.total}</span>
+                    <span class="sr-only">(${stateLabel})</span>
+                </li>`;
+        }).join('');
+    }
+
+    /**
+     * Escribe el anuncio en la región aria-live
+     * @param {number} percentage
+     */
+    speak(percentage) {
+        if (!this.announcer || percentage === this.lastAnnounced) return;
+
+        this.lastAnnounced = percentage;
+        this.announcer.textContent = percentage === 100
+            ? 'Formulario completo al 100%'
+            : `Formulario completado al ${percentage}%`;
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.announce.cancel();
+        this.abortController.abort();
+
+        if (this.announcer) {
+            this.announcer.remove();
+        }
+
+        console.log('🗑️ FormProgress: Destruido');
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default FormProgress;
@@ -0,0 +1,440 @@
+/* js/components/FormSubmission.js */
+
+/**
+ * ===================================================================
+ * FormSubmission.js - Envío del Formulario de Contacto
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Envía cuando FormValidator confirma el formulario ('validSubmit')
+ * - Transportes intercambiables (fetch, mailto, mock): se usa el primero disponible
+ * - Payload con campos y adjuntos ya procesados (multipart en fetch)
+ * - Reintentos con espera exponencial ante errores temporales
+ * - Sin conexión: guarda la consulta en una cola y la reenvía al volver online
+ * - Estado visible junto a #submitBtn (enviando, enviado, en cola, error)
+ * - Tras un envío correcto limpia el formulario (y con él el borrador)
+ *
+ * Uso:
+ * import FormSubmission from './components/FormSubmission.js';
+ * const submission = new FormSubmission('contactForm', {
+ *     transports: [createFetchTransport({ endpoint }), createMailtoTransport({ to })],
+ *     attachments: attachmentManager
+ * });
+ *
+ * Eventos (en el formulario): submissionSent, submissionQueued, submissionFailed
+ *
+ * HTML requerido: #contactForm, #submitBtn (opcional: #submitStatus)
+ * ===================================================================
+ */
+
+import { escapeHtml, getBackoffDelay } from '../utils/helpers.js';
+import { enqueue, getQueued, dequeue } from '../utils/outbox.js';
+
+/**
+ * Reintentos por defecto tras el primer intento
+ */
+const DEFAULT_RETRIES = 3;
+
+/**
+ * Espera del primer reintento (ms); luego se duplica
+ */
+const DEFAULT_RETRY_DELAY = 1000;
+
+/**
+ * Iconos de cada estado
+ */
+const STATUS_ICONS = {
+    sending: '⏳',
+    retrying: '🔁',
+    success: '✅',
+    queued: '📥',
+    error: '⚠️'
+};
+
+class FormSubmission {
+    /**
+     * Constructor - Prepara el envío
+     * @param {string} formId - ID del formulario
+     * @param {Object} options
+     * @param {Object[]} options.transports - Transportes por orden de preferencia
+     * @param {AttachmentManager} [options.attachments] - Adjuntos procesados
+     * @param {number} [options.retries=3] - Reintentos ante errores temporales
+     * @param {number} [options.retryDelay=1000] - Espera del primer reintento (ms)
+     */
+    constructor(formId = 'contactForm', options = {}) {
+        // Elementos del DOM
+        this.form = document.getElementById(formId);
+        this.submitButton = document.getElementById('submitBtn');
+        this.status = document.getElementById('submitStatus');
+
+        // Dependencias y configuración
+        this.transports = options.transports || [];
+        this.attachments = options.attachments || null;
+        this.retries = options.retries ?? DEFAULT_RETRIES;
+        this.retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+
+        // Estado
+        this.isSending = false;
+        this.isFlushing = false;
+        this.lastPayload = null;
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+
+        // Verificar que los elementos existen
+        if (!this.form || !this.submitButton) {
+            console.warn('FormSubmission: Elementos requeridos no encontrados (formulario o submitBtn)');
+            return;
+        }
+
+        if (!this.getTransport()) {
+            console.warn('FormSubmission: Ningún transporte disponible, el formulario no se podrá enviar');
+        }
+
+        this.init();
+    }
+
+    /**
+     * Inicializa event listeners y reenvía lo que quedó pendiente
+     */
+    init() {
+        const { signal } = this.abortController;
+
+        // Región de estado junto al botón de envío
+        if (!this.status) {
+            this.status = document.createElement('div');
+            this.status.id = 'submitStatus';
+            this.submitButton.after(this.status);
+        }
+        this.status.classList.add('submit-status');
+        this.status.setAttribute('role', 'status');
+        this.status.setAttribute('aria-live', 'polite');
+
+        // 1. Formulario válido (FormValidator ya bloqueó el envío nativo)
+        this.form.addEventListener('validSubmit', (e) => this.handleValidSubmit(e.detail.formData), { signal });
+
+        // 2. Acciones del mensaje de estado (reintentar, enviar por correo)
+        this.status.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-submit-action]');
+            if (button) this.handleAction(button.dataset.submitAction);
+        }, { signal });
+
+        // 3. Cola sin conexión
+        window.addEventListener('online', () => this.flushQueue(), { signal });
+
+        if (navigator.onLine) {
+            this.flushQueue();
+        }
+
+        console.log('✅ FormSubmission inicializado correctamente');
+    }
+
+    /**
+     * Envía el formulario validado
+     * @param {FormData} formData
+     */
+    async handleValidSubmit(formData) {
+        if (this.isSending) return;
+
+        this.setSending(true);
+
+        try {
+            let files = null;
+
+            if (this.attachments) {
+                if (this.attachments.isProcessing()) {
+                    this.renderStatus('sending', 'Terminando de preparar las imágenes…');
+                }
+                files = await this.attachments.whenReady();
+            }
+
+            await this.submit(this.buildPayload(formData, files));
+        } finally {
+            this.setSending(false);
+        }
+    }
+
+    /**
+     * Método público: Construye el payload de una consulta
+     * @param {FormData} formData
+     * @param {File[]|null} [files] - Adjuntos procesados (por defecto, los del FormData)
+     * @returns {{id: string, createdAt: number, fields: Object, attachments: File[]}}
+     */
+    buildPayload(formData, files = null) {
+        const fields = {};
+        const attachments = [];
+
+        formData.forEach((value, name) => {
+            if (typeof value !== 'string') {
+                // Un input file vacío aporta un File sin nombre
+                if (value.name) attachments.push(value);
+                return;
+            }
+
+            if (name in fields) {
+                fields[name] = [].concat(fields[name], value);
+            } else {
+                fields[name] = value;
+            }
+        });
+
+        return {
+            id: this.createId(),
+            createdAt: Date.now(),
+            fields,
+            attachments: files || attachments
+        };
+    }
+
+    /**
+     * Envía un payload con el mejor transporte disponible
+     * @param {Object} payload
+     */
+    async submit(payload) {
+        const transport = this.getTransport();
+        this.lastPayload = payload;
+
+        if (!transport) {
+            this.handleFailure(new Error('El envío no está disponible en este momento'), null);
+            return;
+        }
+
+        // Sin conexión: directamente a la cola
+        if (!navigator.onLine && transport.queueable) {
+            await this.queue(payload);
+            return;
+        }
+
+        this.renderStatus('sending', 'Enviando tu consulta…');
+
+        try {
+            const result = await this.sendWithRetry(transport, payload);
+            this.handleSuccess(result, transport);
+        } catch (error) {
+            if (error.retryable && transport.queueable) {
+                await this.queue(payload);
+            } else {
+                this.handleFailure(error, transport);
+            }
+        }
+    }
+
+    /**
+     * Intenta enviar y reintenta con espera exponencial si el error es temporal
+     * @param {Object} transport
+     * @param {Object} payload
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] - No mostrar los reintentos
+     * @returns {Promise<Object>} Resultado del transporte
+     */
+    async sendWithRetry(transport, payload, { silent = false } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await transport.send(payload);
+            } catch (error) {
+                const canRetry = error.retryable && attempt < this.retries && navigator.onLine;
+                if (!canRetry) throw error;
+
+                const delay = getBackoffDelay(attempt, { base: this.retryDelay });
+
+                if (!silent) {
+                    this.renderStatus('retrying', `${error.message}. Reintentando en ${Math.ceil(delay / 1000)} s (${attempt + 1}/${this.retries})…`);
+                }
+
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Guarda la consulta para enviarla al recuperar la conexión
+     * @param {Object} payload
+     */
+    async queue(payload) {
+        try {
+            await enqueue({ id: payload.id, queuedAt: Date.now(), payload });
+        } catch (error) {
+            console.error('FormSubmission: No se pudo guardar en la cola:', error);
+            this.handleFailure(new Error('Sin conexión y no se pudo guardar la consulta para más tarde'), null);
+            return;
+        }
+
+        this.renderStatus('queued', navigator.onLine
+            ? 'El servidor no responde ahora. Tu consulta quedó guardada y se reenviará sola la próxima vez que visites la página.'
+            : 'Estás sin conexión. Tu consulta quedó guardada y se enviará sola cuando vuelvas a estar en línea.');
+        this.form.reset();
+        this.dispatch('submissionQueued', { id: payload.id });
+    }
+
+    /**
+     * Método público: Reenvía las consultas guardadas sin conexión
+     * @returns {Promise<number>} Número de consultas enviadas
+     */
+    async flushQueue() {
+        const transport = this.getTransport();
+        if (this.isFlushing || !transport || !transport.queueable) return 0;
+
+        this.isFlushing = true;
+        let sentCount = 0;
+
+        try {
+            const entries = await getQueued();
+
+            for (const entry of entries) {
+                try {
+                    await this.sendWithRetry(transport, entry.payload, { silent: true });
+                    await dequeue(entry.id);
+                    sentCount++;
+                    this.dispatch('submissionSent', { id: entry.id, transport: transport.name, queued: true });
+                } catch (error) {
+                    // Temporal: se queda en la cola para el próximo 'online'
+                    if (error.retryable) break;
+
+                    await dequeue(entry.id);
+                    this.lastPayload = entry.payload;
+                    this.handleFailure(error, transport);
+                }
+            }
+        } catch (error) {
+            console.error('FormSubmission: Error leyendo la cola:', error);
+        } finally {
+            this.isFlushing = false;
+        }
+
+        if (sentCount > 0) {
+            this.renderStatus('success', sentCount === 1
+                ? 'Tu consulta guardada sin conexión ya se envió.'
+                : `Tus ${sentCount} consultas guardadas sin conexión ya se enviaron.`);
+        }
+
+        return sentCount;
+    }
+
+    /**
+     * Envío correcto
+     * @param {Object} result
+     * @param {Object} transport
+     */
+    handleSuccess(result, transport) {
+        this.lastPayload = null;
+
+        if (result.manual) {
+            // mailto: el envío lo termina el usuario en su correo, no se borra nada
+            this.renderStatus('success', 'Se abrió tu programa de correo con la consulta. Revísala y envíala desde allí para completar el contacto.');
+        } else {
+            this.renderStatus('success', '¡Gracias! Tu consulta se envió correctamente. Te responderé lo antes posible.');
+            this.form.reset();
+        }
+
+        this.dispatch('submissionSent', { id: result.id, transport: transport.name, queued: false });
+    }
+
+    /**
+     * Envío fallido: mensaje con opciones para reintentar o usar el correo
+     * @param {Error} error
+     * @param {Object|null} transport - Transporte que falló
+     */
+    handleFailure(error, transport) {
+        const mailto = this.transports.find(item => item.name === 'mailto' && item.isAvailable());
+        const actions = [];
+
+        if (this.lastPayload && transport) {
+            actions.push({ action: 'retry', label: '🔁 Reintentar' });
+        }
+        if (this.lastPayload && mailto && mailto !== transport) {
+            actions.push({ action: 'mailto', label: '✉️ Enviar por correo' });
+        }
+
+        this.renderStatus('error', `No se pudo enviar tu consulta: ${error.message}.`, actions);
+        this.dispatch('submissionFailed', { message: error.message, transport: transport ? transport.name : null });
+    }
+
+    /**
+     * Botones del mensaje de estado
+     * @param {string} action - 'retry' | 'mailto'
+     */
+    async handleAction(action) {
+        if (this.isSending || !this.lastPayload) return;
+
+        this.setSending(true);
+
+        try {
+            if (action === 'retry') {
+                await this.submit(this.lastPayload);
+            } else if (action === 'mailto') {
+                const mailto = this.transports.find(item => item.name === 'mailto');
+                const result = await mailto.send(this.lastPayload);
+                this.handleSuccess(result, mailto);
+            }
+        } finally {
+            this.setSending(false);
+        }
+    }
+
+    /**
+     * Primer transporte disponible
+     * @returns {Object|null}
+     */
+    getTransport() {
+        return this.transports.find(transport => transport.isAvailable()) || null;
+    }
+
+    /**
+     * Estado de carga del botón de envío
+     * @param {boolean} isSending
+     */
+    setSending(isSending) {
+        this.isSending = isSending;
+        this.submitButton.disabled = isSending;
+        this.submitButton.classList.toggle('is-loading', isSending);
+        this.submitButton.setAttribute('aria-busy', String(isSending));
+    }
+
+    /**
+     * Pinta el mensaje de estado
+     * @param {string} type - sending | retrying | success | queued | error
+     * @param {string} message
+     * @param {Array<{action: string, label: string}>} [actions]
+     */
+    renderStatus(type, message, actions = []) {
+        this.status.className = `submit-status is-${type}`;
+        this.status.innerHTML = `
+            <span class="submit-status-icon" aria-hidden="true">${STATUS_ICONS[type]}</span>
+            <span class="submit-status-message">${escapeHtml(message)}</span>
+            ${actions.map(({ action, label }) => `
+                <button type="button" class="submit-status-action" data-submit-action="${action}">${label}</button>
+            `).join('')}`;
+    }
+
+    /**
+     * Identificador único de la consulta (también sirve como clave de idempotencia)
+     * @returns {string}
+     */
+    createId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Emite un evento en el formulario
+     * @param {string} name
+     * @param {Object} detail
+     */
+    dispatch(name, detail) {
+        this.form.dispatchEvent(new CustomEvent(name, { detail, bubbles: true }));
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.abortController.abort();
+
+        console.log('🗑️ FormSubmission: Destruido');
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default FormSubmission;
@@ -1 +1,607 @@
-/* js/components/FormValidator.js */
\ No newline at end of file
+/* js/components/FormValidator.js */
+
+/**
+ * ===================================================================
+ * FormValidator.js - Validación Declarativa de Formularios
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Lee las restricciones del HTML: required, minlength, maxlength, pattern,
+ *   type="email"/"number", min y max
+ * - Reglas personalizadas con data-rules="phone-pe not-past-date at-least-one"
+ *   (en el campo o en el <fieldset> de un grupo de checkboxes)
+ * - Mensajes propios con data-error-<regla> (ej: data-error-pattern, data-error-at-least-one)
+ * - Valida en blur, mientras se escribe (si el campo ya mostró error) y al enviar
+ * - Rellena los <span id="<campo>Error">, marca aria-invalid y enfoca el primer error
+ * - Dispatch de 'fieldValidated' por campo y 'validSubmit' cuando todo es correcto
+ *
+ * Uso:
+ * import FormValidator from './components/FormValidator.js';
+ * const validator = new FormValidator('contactForm');
+ * validator.validateForm();
+ *
+ * HTML requerido: <form novalidate> con campos con name (ver contacto.html)
+ * ===================================================================
+ */
+
+import {
+    isEmpty,
+    isEmail,
+    isPeruvianPhone,
+    isInternationalPhone,
+    isNotPastDate,
+    hasLength
+} from '../utils/validators.js';
+
+/**
+ * Reglas personalizadas disponibles en data-rules
+ * - validate(value, field): true si es válido
+ * - runOnEmpty: también se evalúa si el campo está vacío
+ */
+const CUSTOM_RULES = {
+    'phone-pe': {
+        validate: (value) => isPeruvianPhone(value) || isInternationalPhone(value),
+        message: 'Introduce un teléfono válido: celular peruano (999 123 456), fijo (01 234 5678) o internacional con código de país'
+    },
+    'not-past-date': {
+        validate: (value) => isNotPastDate(value),
+        message: 'La fecha no puede ser anterior a hoy'
+    },
+    'at-least-one': {
+        validate: (value, field) => field.elements.some(element => element.checked),
+        message: 'Selecciona al menos una opción',
+        runOnEmpty: true
+    }
+};
+
+/**
+ * Tipos de elemento que no se validan
+ */
+const IGNORED_TYPES = ['submit', 'reset', 'button', 'image', 'fieldset', 'output'];
+
+/**
+ * Tipos que se validan con 'change' en lugar de 'input'
+ */
+const CHANGE_TYPES = ['checkbox', 'radio', 'select-one', 'select-multiple', 'file', 'date', 'time', 'color', 'range'];
+
+class FormValidator {
+    /**
+     * Constructor - Inicializa el validador
+     * @param {string} formId - ID del formulario
+     * @param {Object} options
+     * @param {Object} [options.rules] - Reglas extra: { nombre: { validate, message, runOnEmpty } }
+     */
+    constructor(formId = 'contactForm', options = {}) {
+        // Elementos del DOM
+        this.form = document.getElementById(formId);
+        this.feedback = this.form ? this.form.querySelector('.form-feedback') : null;
+
+        // Reglas disponibles (las de options pueden sobrescribir las propias)
+        this.rules = { ...CUSTOM_RULES, ...(options.rules || {}) };
+
+        // Estado: campos agrupados por name
+        this.fields = new Map();
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+
+        // Verificar que los elementos existen
+        if (!this.form) {
+            console.warn(`FormValidator: Formulario no encontrado. ID esperado: "${formId}"`);
+            return;
+        }
+
+        this.init();
+    }
+
+    /**
+     * Inicializa campos y event listeners
+     */
+    init() {
+        const { signal } = this.abortController;
+
+        this.collectFields();
+
+        // 1. Al salir de un campo
+        this.form.addEventListener('focusout', (e) => {
+            const field = this.getFieldFor(e.target);
+            if (!field) return;
+
+            // En un grupo, esperar a que el foco salga del grupo completo
+            if (e.relatedTarget && field.elements.includes(e.relatedTarget)) return;
+
+            field.touched = true;
+            this.validateField(field.name);
+        }, { signal });
+
+        // 2. Mientras se escribe: solo si el campo ya fue visitado (sin molestar antes)
+        this.form.addEventListener('input', (e) => {
+            const field = this.getFieldFor(e.target);
+            if (!field || CHANGE_TYPES.includes(e.target.type)) return;
+
+            if (field.touched || field.error) {
+                this.validateField(field.name);
+            }
+        }, { signal });
+
+        // 3. Selects, checkboxes, fechas...: al cambiar
+        this.form.addEventListener('change', (e) => {
+            const field = this.getFieldFor(e.target);
+            if (!field || !CHANGE_TYPES.includes(e.target.type)) return;
+
+            field.touched = true;
+            this.validateField(field.name);
+        }, { signal });
+
+        // 4. Envío
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e), { signal });
+
+        // 5. Limpiar errores al reiniciar (el reset ocurre después del evento)
+        this.form.addEventListener('reset', () => {
+            setTimeout(() => this.reset(), 0);
+        }, { signal });
+
+        console.log('✅ FormValidator inicializado correctamente');
+    }
+
+    /**
+     * Agrupa los elementos del formulario por name
+     * (un grupo de radios/checkboxes con el mismo name es un solo campo)
+     */
+    collectFields() {
+        this.fields.clear();
+
+        Array.from(this.form.elements).forEach(element => {
+            if (!element.name || IGNORED_TYPES.includes(element.type)) return;
+
+            if (!this.fields.has(element.name)) {
+                this.fields.set(element.name, {
+                    name: element.name,
+                    elements: [],
+                    touched: false,
+                    error: null
+                });
+            }
+
+            this.fields.get(element.name).elements.push(element);
+        });
+
+        this.fields.forEach(field => {
+            field.isGroup = field.elements.length > 1
+                || (['checkbox', 'radio'].includes(field.elements[0].type) && !field.elements[0].id);
+            field.ruleSource = field.isGroup
+                ? field.elements[0].closest('fieldset') || field.elements[0]
+                : field.elements[0];
+            field.container = field.elements[0].closest('.form-group');
+        });
+    }
+
+    /**
+     * Busca el campo al que pertenece un elemento
+     * @param {HTMLElement} element
+     * @returns {Object|undefined}
+     */
+    getFieldFor(element) {
+        if (!element || !element.name) return undefined;
+
+        const field = this.fields.get(element.name);
+        return field && field.elements.includes(element) ? field : undefined;
+    }
+
+    /**
+     * Valor actual de un campo ('' si está vacío)
+     * @param {Object} field
+     * @returns {string}
+     */
+    getValue(field) {
+        const [element] = field.elements;
+
+        if (field.isGroup || element.type === 'radio') {
+            return field.elements.filter(el => el.checked).map(el => el.value).join(',');
+        }
+
+        if (element.type === 'checkbox') {
+            return element.checked ? element.value : '';
+        }
+
+        if (element.type === 'file') {
+            return element.files && element.files.length > 0 ? String(element.files.length) : '';
+        }
+
+        return element.value;
+    }
+
+    /**
+     * Método público: Valida un campo y muestra/limpia su error
+     * @param {string} name - Atributo name del campo
+     * @returns {boolean} - true si es válido
+     */
+    validateField(name) {
+        const field = this.fields.get(name);
+        if (!field) return true;
+
+        const message = this.getErrorMessage(field);
+        field.error = message;
+        this.renderFieldState(field);
+
+        this.form.dispatchEvent(new CustomEvent('fieldValidated', {
+            detail: { name, valid: !message, message },
+            bubbles: true
+        }));
+
+        return !message;
+    }
+
+    /**
+     * Método público: Estado de un campo sin mostrar errores
+     * Campos "obligatorios" incluye los que tienen reglas como at-least-one
+     * @param {string} name - Atributo name del campo
+     * @returns {{required: boolean, empty: boolean, valid: boolean}|null}
+     */
+    getFieldStatus(name) {
+        const field = this.fields.get(name);
+        if (!field) return null;
+
+        const required = field.elements.some(element => element.required)
+            || this.getFieldRules(field).some(ruleName => this.rules[ruleName].runOnEmpty);
+
+        return {
+            required,
+            empty: isEmpty(this.getValue(field)),
+            valid: !this.getErrorMessage(field)
+        };
+    }
+
+    /**
+     * Método público: Valida todo el formulario
+     * @returns {boolean} - true si todos los campos son válidos
+     */
+    validateForm() {
+        let isValid = true;
+
+        this.fields.forEach(field => {
+            field.touched = true;
+            if (!this.validateField(field.name)) {
+                isValid = false;
+            }
+        });
+
+        return isValid;
+    }
+
+    /**
+     * Calcula el primer error de un campo
+     * @param {Object} field
+     * @returns {string|null} - Mensaje de error o null si es válido
+     */
+    getErrorMessage(field) {
+        const element = field.elements[0];
+        const source = field.ruleSource;
+        const value = this.getValue(field);
+        const empty = isEmpty(value);
+        const customRules = this.getFieldRules(field);
+
+        // 1. Obligatorio
+        if (empty && field.elements.some(el => el.required)) {
+            return this.message(source, 'required', this.requiredMessage(element));
+        }
+
+        // 2. Reglas que se evalúan aunque el campo esté vacío
+        for (const ruleName of customRules) {
+            const rule = this.rules[ruleName];
+            if (rule.runOnEmpty && !rule.validate(value, field)) {
+                return this.message(source, ruleName, rule.message);
+            }
+        }
+
+        // Un campo opcional vacío es válido
+        if (empty || field.isGroup) return null;
+
+        // 3. Restricciones del HTML
+        const constraintError = this.checkConstraints(element, value);
+        if (constraintError) return constraintError;
+
+        // 4. Reglas personalizadas
+        for (const ruleName of customRules) {
+            const rule = this.rules[ruleName];
+            if (!rule.runOnEmpty && !rule.validate(value, field)) {
+                return this.message(source, ruleName, rule.message);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Comprueba los atributos de validación nativos del elemento
+     * @param {HTMLElement} element
+     * @param {string} value
+     * @returns {string|null}
+     */
+    checkConstraints(element, value) {
+        const type = element.type;
+
+        if (type === 'email' && !isEmail(value)) {
+            return this.message(element, 'type', 'Introduce un correo válido (ej: nombre@correo.com)');
+        }
+
+        if (type === 'number' && !Number.isFinite(Number(value))) {
+            return this.message(element, 'type', 'Introduce un número válido');
+        }
+
+        const minLength = Number(element.getAttribute('minlength'));
+        if (minLength && !hasLength(value, minLength)) {
+            const current = value.trim().length;
+            return this.message(element, 'minlength',
+                `Escribe al menos ${minLength} caracteres (llevas ${current})`);
+        }
+
+        const maxLength = Number(element.getAttribute('maxlength'));
+        if (maxLength && !hasLength(value, 0, maxLength)) {
+            return this.message(element, 'maxlength', `Máximo ${maxLength} caracteres`);
+        }
+
+        const pattern = element.getAttribute('pattern');
+        if (pattern && !this.matchesPattern(pattern, value)) {
+            return this.message(element, 'pattern', element.title || 'El formato no es válido');
+        }
+
+        const rangeError = this.checkRange(element, value);
+        if (rangeError) return rangeError;
+
+        return null;
+    }
+
+    /**
+     * Comprueba min/max en números, fechas y horas
+     * @param {HTMLElement} element
+     * @param {string} value
+     * @returns {string|null}
+     */
+    checkRange(element, value) {
+        const min = element.getAttribute('min');
+        const max = element.getAttribute('max');
+        if (min === null && max === null) return null;
+
+        const type = element.type;
+
+        if (type === 'number' || type === 'range') {
+            const number = Number(value);
+            if (min !== null && number < Number(min)) {
+                return this.message(element, 'min', `El valor mínimo es ${min}`);
+            }
+            if (max !== null && number > Number(max)) {
+                return this.message(element, 'max', `El valor máximo es ${max}`);
+            }
+            return null;
+        }
+
+        if (type === 'date' || type === 'time') {
+            // AAAA-MM-DD y HH:MM se pueden comparar como texto
+            const unit = type === 'date' ? 'fecha' : 'hora';
+            if (min !== null && value < min) {
+                return this.message(element, 'min', `La ${unit} debe ser igual o posterior a ${this.formatLimit(min, type)}`);
+            }
+            if (max !== null && value > max) {
+                return this.message(element, 'max', `La ${unit} debe ser igual o anterior a ${this.formatLimit(max, type)}`);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Formatea un límite de fecha/hora para el mensaje
+     * @param {string} limit
+     * @param {string} type - 'date' o 'time'
+     * @returns {string}
+     */
+    formatLimit(limit, type) {
+        if (type !== 'date') return limit;
+
+        const [year, month, day] = limit.split('-');
+        return `${day}/${month}/${year}`;
+    }
+
+    /**
+     * Evalúa el atributo pattern como lo hace el navegador (coincidencia completa)
+     * @param {string} pattern
+     * @param {string} value
+     * @returns {boolean}
+     */
+    matchesPattern(pattern, value) {
+        try {
+            return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+        } catch (error) {
+            console.warn(`FormValidator: pattern inválido "${pattern}"`, error);
+            return true;
+        }
+    }
+
+    /**
+     * Reglas personalizadas declaradas en data-rules
+     * @param {Object} field
+     * @returns {string[]}
+     */
+    getFieldRules(field) {
+        const declared = (field.ruleSource.dataset.rules || '').split(/\s+/).filter(Boolean);
+
+        return declared.filter(ruleName => {
+            if (this.rules[ruleName]) return true;
+            console.warn(`FormValidator: Regla desconocida "${ruleName}" en el campo "${field.name}"`);
+            return false;
+        });
+    }
+
+    /**
+     * Mensaje por defecto para campos obligatorios
+     * @param {HTMLElement} element
+     * @returns {string}
+     */
+    requiredMessage(element) {
+        if (element.type === 'checkbox') return 'Debes marcar esta casilla para continuar';
+        if (element.tagName === 'SELECT') return 'Selecciona una opción';
+        if (element.type === 'radio') return 'Selecciona una opción';
+        return 'Este campo es obligatorio';
+    }
+
+    /**
+     * Devuelve el mensaje propio (data-error-<regla>) o el mensaje por defecto
+     * @param {HTMLElement} source - Elemento o fieldset con los data-*
+     * @param {string} ruleName - Ej: 'required', 'at-least-one'
+     * @param {string} fallback
+     * @returns {string}
+     */
+    message(source, ruleName, fallback) {
+        const key = `error-${ruleName}`.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+        return source.dataset[key] || fallback;
+    }
+
+    /**
+     * Muestra u oculta el error de un campo
+     * @param {Object} field
+     */
+    renderFieldState(field) {
+        const hasError = Boolean(field.error);
+        const errorElement = hasError ? this.getErrorElement(field) : this.findErrorElement(field);
+
+        field.elements.forEach(element => {
+            if (hasError) {
+                element.setAttribute('aria-invalid', 'true');
+            } else {
+                element.removeAttribute('aria-invalid');
+            }
+        });
+
+        if (errorElement) {
+            errorElement.textContent = field.error || '';
+        }
+
+        if (field.container) {
+            field.container.classList.toggle('has-error', hasError);
+        }
+    }
+
+    /**
+     * Busca el span de error de un campo (#<id>Error o #<name>Error)
+     * @param {Object} field
+     * @returns {HTMLElement|null}
+     */
+    findErrorElement(field) {
+        const element = field.elements[0];
+        const baseId = field.isGroup ? field.name : (element.id || field.name);
+        return document.getElementById(`${baseId}Error`);
+    }
+
+    /**
+     * Busca el span de error o lo crea si el HTML no lo trae
+     * @param {Object} field
+     * @returns {HTMLElement|null}
+     */
+    getErrorElement(field) {
+        const existing = this.findErrorElement(field);
+        if (existing || !field.container) return existing;
+
+        const element = field.elements[0];
+        const errorElement = document.createElement('span');
+        errorElement.className = 'error-message';
+        errorElement.id = `${field.isGroup ? field.name : (element.id || field.name)}Error`;
+        errorElement.setAttribute('role', 'alert');
+        field.container.appendChild(errorElement);
+
+        // Vincular el error al campo para lectores de pantalla
+        const describedTarget = field.isGroup ? field.ruleSource : element;
+        const describedBy = (describedTarget.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        describedTarget.setAttribute('aria-describedby', [errorElement.id, ...describedBy].join(' '));
+
+        return errorElement;
+    }
+
+    /**
+     * Maneja el envío: bloquea si hay errores y enfoca el primero
+     * @param {SubmitEvent} e
+     */
+    handleSubmit(e) {
+        // Sin backend propio: el envío lo gestiona quien escuche 'validSubmit'
+        e.preventDefault();
+
+        if (!this.validateForm()) {
+            const invalidFields = this.getInvalidFields();
+            this.announce(`Revisa ${invalidFields.length === 1 ? 'el campo marcado' : `los ${invalidFields.length} campos marcados`} antes de enviar.`);
+            this.focusFirstInvalid();
+            return;
+        }
+
+        this.announce('');
+
+        this.form.dispatchEvent(new CustomEvent('validSubmit', {
+            detail: { formData: new FormData(this.form) },
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Método público: Enfoca el primer campo con error (en orden del formulario)
+     * @returns {boolean} - true si había algún campo con error
+     */
+    focusFirstInvalid() {
+        const [first] = this.getInvalidFields();
+        if (!first) return false;
+
+        first.elements[0].focus();
+        return true;
+    }
+
+    /**
+     * Campos con error, en el orden del formulario
+     * @returns {Object[]}
+     */
+    getInvalidFields() {
+        return Array.from(this.fields.values()).filter(field => field.error);
+    }
+
+    /**
+     * Método público: Errores actuales
+     * @returns {Object} - { firstName: 'Este campo es obligatorio', ... }
+     */
+    getErrors() {
+        return Object.fromEntries(this.getInvalidFields().map(field => [field.name, field.error]));
+    }
+
+    /**
+     * Escribe en la región de feedback del formulario
+     * @param {string} message
+     */
+    announce(message) {
+        if (!this.feedback) return;
+
+        this.feedback.textContent = message;
+        this.feedback.classList.toggle('error', Boolean(message));
+    }
+
+    /**
+     * Método público: Limpia errores y estado de "visitado"
+     */
+    reset() {
+        this.fields.forEach(field => {
+            field.touched = false;
+            field.error = null;
+            this.renderFieldState(field);
+        });
+
+        this.announce('');
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.abortController.abort();
+        this.fields.clear();
+
+        console.log('🗑️ FormValidator: Destruido');
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default FormValidator;
@@ -1 +1,326 @@
-/* js/components/Gallery.js */
\ No newline at end of file
+/* js/components/Gallery.js */
+
+/**
+ * ===================================================================
+ * Gallery.js - Galería de Obras con Filtros por Categoría
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Filtra los .gallery-item de #galleryGrid según data-category
+ * - Botones .filter-btn[data-filter] con aria-pressed y clase active
+ * - Animación de salida/entrada al filtrar (respeta prefers-reduced-motion)
+ * - Conteo de obras por categoría en cada botón
+ * - Estado vacío cuando una categoría no tiene obras
+ * - Dispatch del evento 'galleryFiltered' tras cada cambio
+ *
+ * Uso:
+ * import Gallery from './components/Gallery.js';
+ * const gallery = new Gallery();
+ * gallery.filter('paisajes');
+ * gallery.reset();
+ *
+ * HTML requerido: #galleryGrid y .filter-btn (ver portafolio.html)
+ * ===================================================================
+ */
+
+/**
+ * Filtro que muestra todas las obras
+ */
+const FILTER_ALL = 'all';
+
+/**
+ * Duración de la animación de salida (debe coincidir con --duration-fast)
+ */
+const ANIMATION_DURATION = 150;
+
+class Gallery {
+    /**
+     * Constructor - Inicializa la galería
+     * @param {Object} options
+     * @param {string} [options.gridId='galleryGrid'] - ID del contenedor de obras
+     * @param {string} [options.itemSelector='.gallery-item'] - Selector de cada obra
+     */
+    constructor(options = {}) {
+        // Configuración
+        this.itemSelector = options.itemSelector || '.gallery-item';
+
+        // Elementos del DOM
+        this.grid = document.getElementById(options.gridId || 'galleryGrid');
+        this.buttons = Array.from(document.querySelectorAll('.filter-btn[data-filter]'));
+        this.status = document.getElementById('galleryStatus');
+        this.items = [];
+        this.emptyState = null;
+
+        // Estado
+        this.currentFilter = FILTER_ALL;
+        this.pendingTimers = [];
+
+        // Respetar preferencia de movimiento reducido
+        this.reducedMotion = window.matchMedia
+            ? window.matchMedia('(prefers-reduced-motion: reduce)').matches
+            : false;
+
+        // Handler guardado para poder removerlo en cleanup()
+        this.handleButtonClick = (e) => {
+            const button = e.currentTarget;
+            this.filter(button.dataset.filter);
+        };
+
+        // Verificar que los elementos existen
+        if (!this.grid) {
+            console.warn('Gallery: Contenedor de galería no encontrado. ID esperado: "galleryGrid"');
+            return;
+        }
+
+        this.init();
+    }
+
+    /**
+     * Inicializa listeners y estado inicial
+     */
+    init() {
+        this.buttons.forEach(button => {
+            button.addEventListener('click', this.handleButtonClick);
+        });
+
+        // Filtro inicial: el botón marcado como activo en el HTML
+        const activeButton = this.buttons.find(button => button.classList.contains('active'));
+        this.currentFilter = activeButton ? activeButton.dataset.filter : FILTER_ALL;
+
+        this.refresh();
+
+        console.log('✅ Gallery inicializada correctamente');
+    }
+
+    /**
+     * Vuelve a leer las obras del grid (ej: después de renderizarlas)
+     * y aplica el filtro actual sin animación
+     */
+    refresh() {
+        this.items = Array.from(this.grid.querySelectorAll(this.itemSelector));
+        this.updateCounts();
+        this.applyFilter(this.currentFilter, false);
+    }
+
+    /**
+     * Método público: Filtrar por categoría
+     * @param {string} category - data-category de las obras o 'all'
+     */
+    filter(category = FILTER_ALL) {
+        const isKnownFilter = category === FILTER_ALL
+            || this.buttons.some(button => button.dataset.filter === category)
+            || this.items.some(item => item.dataset.category === category);
+
+        if (!isKnownFilter) {
+            console.warn(`Gallery: Categoría desconocida "${category}"`);
+            return;
+        }
+
+        if (category === this.currentFilter) return;
+
+        this.currentFilter = category;
+        this.applyFilter(category, !this.reducedMotion);
+    }
+
+    /**
+     * Método público: Volver a mostrar todas las obras
+     */
+    reset() {
+        this.filter(FILTER_ALL);
+    }
+
+    /**
+     * Aplica un filtro a las obras y actualiza botones y estado
+     * @param {string} category
+     * @param {boolean} animate - Si debe animar la transición
+     */
+    applyFilter(category, animate) {
+        this.clearPendingTimers();
+
+        let visibleCount = 0;
+
+        this.items.forEach(item => {
+            const matches = category === FILTER_ALL || item.dataset.category === category;
+            const isHidden = item.hidden;
+
+            if (matches) visibleCount++;
+
+            if (!animate) {
+                item.classList.remove('filtering-in', 'filtering-out');
+                item.hidden = !matches;
+                return;
+            }
+
+            if (matches && isHidden) {
+                // Entrada: mostrar y animar
+                item.classList.remove('filtering-out');
+                item.hidden = false;
+                item.classList.add('filtering-in');
+                this.schedule(() => item.classList.remove('filtering-in'), ANIMATION_DURATION);
+
+            } else if (!matches && !isHidden) {
+                // Salida: animar y ocultar al terminar
+                item.classList.remove('filtering-in');
+                item.classList.add('filtering-out');
+                this.schedule(() => {
+                    item.classList.remove('filtering-out');
+                    item.hidden = true;
+                }, ANIMATION_DURATION);
+            }
+        });
+
+        this.updateButtons(category);
+        this.toggleEmptyState(visibleCount === 0);
+        this.announce(category, visibleCount);
+
+        // Notificar a otros módulos (lightbox, etc.)
+        this.grid.dispatchEvent(new CustomEvent('galleryFiltered', {
+            detail: {
+                filter: category,
+                visible: visibleCount,
+                counts: this.getCounts()
+            },
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Actualiza aria-pressed y clase active de los botones
+     * @param {string} category - Filtro activo
+     */
+    updateButtons(category) {
+        this.buttons.forEach(button => {
+            const isActive = button.dataset.filter === category;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive);
+        });
+    }
+
+    /**
+     * Muestra el número de obras de cada categoría en su botón
+     */
+    updateCounts() {
+        const counts = this.getCounts();
+
+        this.buttons.forEach(button => {
+            let badge = button.querySelector('.filter-count');
+
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'filter-count';
+                button.appendChild(badge);
+            }
+
+            const count = counts[button.dataset.filter] || 0;
+            badge.textContent = `(${count})`;
+            badge.setAttribute('aria-label', `${count} ${count === 1 ? 'obra' : 'obras'}`);
+        });
+    }
+
+    /**
+     * Muestra u oculta el mensaje de categoría sin obras
+     * Si ArtworkCatalog ya muestra su mensaje (error o sin obras), ese manda
+     * @param {boolean} isEmpty
+     */
+    toggleEmptyState(isEmpty) {
+        if (this.grid.querySelector('.gallery-empty[data-source="catalog"]')) {
+            isEmpty = false;
+        }
+
+        if (isEmpty && !this.emptyState) {
+            this.emptyState = document.createElement('div');
+            this.emptyState.className = 'gallery-empty';
+            this.emptyState.innerHTML = `
+                <div class="gallery-empty-icon" aria-hidden="true">🎨</div>
+                <p class="gallery-empty-message">Aún no hay obras en esta categoría.</p>`;
+        }
+
+        // El catálogo pudo re-renderizar la rejilla (innerHTML) y quitarlo
+        if (isEmpty && !this.grid.contains(this.emptyState)) {
+            this.grid.appendChild(this.emptyState);
+        }
+
+        if (this.emptyState) {
+            this.emptyState.hidden = !isEmpty;
+        }
+    }
+
+    /**
+     * Anuncia el resultado del filtro (región aria-live)
+     * @param {string} category
+     * @param {number} count
+     */
+    announce(category, count) {
+        if (!this.status) return;
+
+        const button = this.buttons.find(btn => btn.dataset.filter === category);
+        const label = button ? button.firstChild.textContent.trim() : category;
+        this.status.textContent = `${label}: ${count} ${count === 1 ? 'obra' : 'obras'}`;
+    }
+
+    /**
+     * Programa un timer que se cancela si cambia el filtro antes de terminar
+     * @param {Function} callback
+     * @param {number} delay
+     */
+    schedule(callback, delay) {
+        this.pendingTimers.push(setTimeout(callback, delay));
+    }
+
+    /**
+     * Cancela animaciones pendientes
+     */
+    clearPendingTimers() {
+        this.pendingTimers.forEach(timer => clearTimeout(timer));
+        this.pendingTimers = [];
+    }
+
+    /**
+     * Método público: Conteo de obras por categoría
+     * @returns {Object} - { all: 12, paisajes: 5, ... }
+     */
+    getCounts() {
+        const counts = { [FILTER_ALL]: this.items.length };
+
+        this.items.forEach(item => {
+            const category = item.dataset.category;
+            counts[category] = (counts[category] || 0) + 1;
+        });
+
+        return counts;
+    }
+
+    /**
+     * Método público: Obras visibles con el filtro actual (en orden)
+     * @returns {HTMLElement[]}
+     */
+    getVisibleItems() {
+        return this.items.filter(item =>
+            this.currentFilter === FILTER_ALL || item.dataset.category === this.currentFilter
+        );
+    }
+
+    /**
+     * Método público: Filtro activo
+     * @returns {string}
+     */
+    getCurrentFilter() {
+        return this.currentFilter;
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.clearPendingTimers();
+
+        this.buttons.forEach(button => {
+            button.removeEventListener('click', this.handleButtonClick);
+        });
+
+        console.log('🗑️ Gallery: Destruida');
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default Gallery;
@@ -0,0 +1,241 @@
+/* js/components/ImageErrorOverlay.js */
+
+/**
+ * ===================================================================
+ * ImageErrorOverlay.js - Panel de Depuración de Imágenes Rotas
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Lista las imágenes que no se pudieron cargar, agrupadas por página
+ * - Escucha el evento 'imageError' (burbujea desde imageLoader.js)
+ * - Recoge también los errores ocurridos antes de crearse (getErrorReport)
+ * - Guarda el informe en storage (24 h) para revisar varias páginas seguidas
+ * - Pensado solo para desarrollo: main.js lo crea con APP_CONFIG.debug
+ *
+ * Uso:
+ * import ImageErrorOverlay from './components/ImageErrorOverlay.js';
+ * const overlay = new ImageErrorOverlay();
+ * overlay.getReport(); // { '/portafolio.html': [{ src, retries, duration, ... }] }
+ *
+ * HTML requerido: ninguno (el panel se crea al final de <body>)
+ * ===================================================================
+ */
+
+import { escapeHtml } from '../utils/helpers.js';
+import { getItem, setItem, removeItem, onChange } from '../utils/storage.js';
+import { getErrorReport, clearErrorReport } from '../utils/imageLoader.js';
+
+/**
+ * Clave de storage del informe
+ */
+const STORAGE_KEY = 'imageErrors';
+
+/**
+ * Caducidad del informe guardado (ms)
+ */
+const REPORT_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Máximo de imágenes guardadas por página
+ */
+const MAX_PER_PAGE = 50;
+
+class ImageErrorOverlay {
+    /**
+     * Constructor - Crea el panel y recoge los errores ya ocurridos
+     */
+    constructor() {
+        // Elementos del DOM (se crean en createPanel)
+        this.panel = null;
+        this.toggleButton = null;
+        this.clearButton = null;
+        this.list = null;
+
+        // Página actual (clave del informe)
+        this.page = window.location.pathname;
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+        this.unsubscribeStorage = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa el componente
+     */
+    init() {
+        this.createPanel();
+        this.bindEvents();
+
+        // Errores de antes de crear el panel (el loader arranca antes que la app)
+        getErrorReport().forEach(entry => this.addEntry(entry));
+        this.render();
+
+        console.log('✅ ImageErrorOverlay inicializado correctamente');
+    }
+
+    /**
+     * Crea el panel (oculto hasta que haya errores)
+     */
+    createPanel() {
+        this.panel = document.createElement('aside');
+        this.panel.className = 'image-error-overlay';
+        this.panel.setAttribute('aria-label', 'Imágenes rotas (depuración)');
+        this.panel.hidden = true;
+        this.panel.innerHTML = `
+            <div class="image-error-overlay-header">
+                <button type="button"
+                        class="image-error-overlay-toggle"
+                        aria-expanded="false"
+                        aria-controls="imageErrorList"></button>
+                <button type="button" class="image-error-overlay-clear">Vaciar</button>
+            </div>
+            <div class="image-error-overlay-list" id="imageErrorList" hidden></div>`;
+
+        this.toggleButton = this.panel.querySelector('.image-error-overlay-toggle');
+        this.clearButton = this.panel.querySelector('.image-error-overlay-clear');
+        this.list = this.panel.querySelector('.image-error-overlay-list');
+
+        document.body.appendChild(this.panel);
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    bindEvents() {
+        const { signal } = this.abortController;
+
+        document.addEventListener('imageError', (e) => {
+            this.addEntry(e.detail);
+            this.render();
+        }, { signal });
+
+        this.toggleButton.addEventListener('click', () => {
+            this.setExpanded(this.list.hidden);
+        }, { signal });
+
+        this.clearButton.addEventListener('click', () => this.clear(), { signal });
+
+        // Errores de otras pestañas (otras páginas del sitio)
+        this.unsubscribeStorage = onChange(STORAGE_KEY, ({ external }) => {
+            if (external) this.render();
+        });
+    }
+
+    /**
+     * Guarda una imagen rota en el informe de su página
+     * La misma imagen rota varias veces cuenta una sola vez (con "veces")
+     * @param {Object} entry - detail del evento 'imageError'
+     */
+    addEntry(entry) {
+        if (!entry || !entry.src) return;
+
+        const report = this.getReport();
+        const page = entry.page || this.page;
+        const entries = report[page] || [];
+        const existing = entries.find(item => item.src === entry.src);
+
+        if (existing) {
+            Object.assign(existing, entry, { count: existing.count + 1 });
+        } else {
+            entries.push({ ...entry, count: entry.count || 1 });
+        }
+
+        report[page] = entries.slice(-MAX_PER_PAGE);
+        setItem(STORAGE_KEY, report, { ttl: REPORT_TTL, silent: true });
+    }
+
+    /**
+     * Método público: Informe guardado
+     * @returns {Object<string, Object[]>} Imágenes rotas por página
+     */
+    getReport() {
+        const report = getItem(STORAGE_KEY, {});
+        return report && typeof report === 'object' ? report : {};
+    }
+
+    /**
+     * Método público: Vaciar el informe (storage y el del loader)
+     */
+    clear() {
+        removeItem(STORAGE_KEY);
+        clearErrorReport();
+        this.render();
+    }
+
+    /**
+     * Muestra u oculta la lista
+     * @param {boolean} expanded
+     */
+    setExpanded(expanded) {
+        this.list.hidden = !expanded;
+        this.toggleButton.setAttribute('aria-expanded', String(expanded));
+    }
+
+    /**
+     * Pinta el panel: página actual primero, luego el resto
+     */
+    render() {
+        const report = this.getReport();
+        const pages = Object.keys(report)
+            .filter(page => report[page].length > 0)
+            .sort((a, b) => (b === this.page) - (a === this.page));
+        const total = pages.reduce((sum, page) => sum + report[page].length, 0);
+        const current = (report[this.page] || []).length;
+
+        this.panel.hidden = total === 0;
+        this.toggleButton.textContent = `🖼️ Imágenes rotas: ${current} aquí · ${total} en total`;
+
+        this.list.innerHTML = pages.map(page => `
+            <section class="image-error-overlay-page">
+                <h2 class="image-error-overlay-title">${escapeHtml(page)}${page === this.page ? ' (esta página)' : ''}</h2>
+                <ul>
+                    ${report[page].map(entry => this.createItem(entry)).join('')}
+                </ul>
+            </section>`).join('');
+    }
+
+    /**
+     * HTML de una imagen rota
+     * @param {Object} entry
+     * @returns {string}
+     */
+    createItem(entry) {
+        const details = [
+            `${entry.retries} reintentos`,
+            entry.duration !== null && entry.duration !== undefined ? `${entry.duration} ms` : null,
+            entry.fallback === 'svg' ? 'SVG generado' : 'data-fallback',
+            entry.count > 1 ? `${entry.count} veces` : null
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <li class="image-error-overlay-item">
+                <a href="${escapeHtml(entry.url || entry.src)}" target="_blank" rel="noopener"><code>${escapeHtml(entry.src)}</code></a>
+                ${entry.alt ? `<span class="image-error-overlay-alt">“${escapeHtml(entry.alt)}”</span>` : ''}
+                <small>${escapeHtml(details)}</small>
+            </li>`;
+    }
+
+    /**
+     * Limpieza de listeners y del panel (el informe guardado se conserva)
+     */
+    cleanup() {
+        this.abortController.abort();
+
+        if (this.unsubscribeStorage) {
+            this.unsubscribeStorage();
+            this.unsubscribeStorage = null;
+        }
+
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+
+        console.log('🗑️ ImageErrorOverlay: Destruido');
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default ImageErrorOverlay;
@@ -0,0 +1,584 @@
+/* js/components/KitBuilder.js */
+
+/**
+ * ===================================================================
+ * KitBuilder.js - Armador de Kit de Materiales
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Botón "Añadir a mi kit" en cada fila de #materialsTable
+ * - Panel #kitBuilder con cantidades, subtotales por presupuesto y total
+ * - Aviso cuando faltan categorías imprescindibles (papel, acuarelas, pincel)
+ * - Exportación en CSV, texto plano y vista imprimible
+ * - El kit se guarda en storage y sobrevive a recargas
+ *
+ * Uso:
+ * import KitBuilder from './components/KitBuilder.js';
+ * const kit = new KitBuilder(materialsCatalog);
+ *
+ * HTML requerido: #kitBuilder (ver materiales.html)
+ * ===================================================================
+ */
+
+import {
+    MATERIAL_CATEGORIES,
+    MATERIAL_BUDGETS,
+    KIT_REQUIRED_CATEGORIES,
+    CURRENCY_SYMBOL
+} from '../config/constants.js';
+import { getItem, setItem } from '../utils/storage.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+/**
+ * Clave de storage del kit
+ */
+const STORAGE_KEY = 'materials.kit';
+
+/**
+ * Cantidad máxima por material
+ */
+const MAX_QUANTITY = 99;
+
+/**
+ * Limpia el kit leído de storage (puede venir de otra versión o editado a mano)
+ * Conserva solo { id: string, quantity: entero > 0 }, sin ids repetidos
+ * @param {*} saved
+ * @returns {Object[]}
+ */
+function sanitizeItems(saved) {
+    if (!Array.isArray(saved)) return [];
+
+    const items = [];
+
+    saved.forEach(item => {
+        const isValid = item && typeof item === 'object'
+            && typeof item.id === 'string'
+            && Number.isInteger(item.quantity) && item.quantity > 0;
+
+        if (isValid && !items.some(entry => entry.id === item.id)) {
+            items.push({ id: item.id, quantity: Math.min(item.quantity, MAX_QUANTITY) });
+        }
+    });
+
+    return items;
+}
+
+class KitBuilder {
+    /**
+     * Constructor - Inicializa el armador de kit
+     * @param {MaterialsCatalog} catalog - Catálogo ya cargado (fuente de precios y nombres)
+     */
+    constructor(catalog) {
+        // Dependencias
+        this.catalog = catalog;
+
+        // Elementos del DOM
+        this.tableBody = document.getElementById('materialsTableBody');
+        this.container = document.getElementById('kitBuilder');
+        this.itemsList = document.getElementById('kitItems');
+        this.emptyMessage = document.getElementById('kitEmpty');
+        this.totalsElement = document.getElementById('kitTotals');
+        this.warningsElement = document.getElementById('kitWarnings');
+        this.actions = document.getElementById('kitActions');
+
+        // Estado: [{ id, quantity }]
+        this.items = [];
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+
+        // Verificar que los elementos existen
+        if (!this.catalog || !this.tableBody || !this.container || !this.itemsList) {
+            console.warn('KitBuilder: Elementos requeridos no encontrados (catálogo, materialsTableBody o kitBuilder)');
+            return;
+        }
+
+        this.init();
+    }
+
+    /**
+     * Inicializa listeners y restaura el kit guardado
+     */
+    init() {
+        const { signal } = this.abortController;
+
+        // 1. Botones "Añadir a mi kit" (delegación en el tbody)
+        this.tableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('.kit-add-btn');
+            if (!button) return;
+
+            if (this.has(button.dataset.id)) {
+                this.remove(button.dataset.id);
+            } else {
+                this.add(button.dataset.id);
+            }
+        }, { signal });
+
+        // 2. Cantidades y eliminación dentro del panel
+        this.itemsList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-kit-action]');
+            if (!button) return;
+
+            const { kitAction, id } = button.dataset;
+            const item = this.items.find(entry => entry.id === id);
+
+            if (kitAction === 'remove') {
+                this.remove(id);
+            } else if (item && kitAction === 'increase') {
+                this.setQuantity(id, item.quantity + 1);
+            } else if (item && kitAction === 'decrease') {
+                this.setQuantity(id, item.quantity - 1);
+            }
+        }, { signal });
+
+        // 3. Acciones de exportación
+        if (this.actions) {
+            this.actions.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-kit-export]');
+                if (!button) return;
+
+                switch (button.dataset.kitExport) {
+                    case 'csv':
+                        this.download(this.toCSV(), 'mi-kit-acuarela.csv', 'text/csv;charset=utf-8');
+                        break;
+                    case 'text':
+                        this.download(this.toText(), 'mi-kit-acuarela.txt', 'text/plain;charset=utf-8');
+                        break;
+                    case 'print':
+                        this.print();
+                        break;
+                    case 'clear':
+                        this.clear();
+                        break;
+                }
+            }, { signal });
+        }
+
+        // 4. Si el catálogo vuelve a renderizar, volver a insertar los botones
+        document.addEventListener('materialsLoaded', () => this.refresh(), { signal });
+
+        this.items = sanitizeItems(getItem(STORAGE_KEY, []));
+
+        this.refresh();
+
+        console.log('✅ KitBuilder inicializado correctamente');
+    }
+
+    /**
+     * Inserta los botones en las filas y descarta materiales inexistentes
+     */
+    refresh() {
+        const validItems = this.items.filter(item =>
+            this.catalog.getMaterialById(item.id) && Number.isInteger(item.quantity) && item.quantity > 0
+        );
+
+        // Si el catálogo no cargó, conservar el kit guardado intacto
+        if (this.catalog.getMaterials().length > 0 && validItems.length !== this.items.length) {
+            this.items = validItems;
+            this.save();
+        }
+
+        this.tableBody.querySelectorAll('tr[data-id]').forEach(row => this.ensureButton(row));
+
+        this.update();
+    }
+
+    /**
+     * Agrega el botón "Añadir a mi kit" a una fila si aún no lo tiene
+     * @param {HTMLTableRowElement} row
+     */
+    ensureButton(row) {
+        if (row.querySelector('.kit-add-btn')) return;
+
+        const details = row.querySelector('.product-details') || row.querySelector('.product-cell');
+        if (!details) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'kit-add-btn';
+        button.dataset.id = row.dataset.id;
+
+        details.appendChild(button);
+    }
+
+    /**
+     * Verifica si un material está en el kit
+     * @param {string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.items.some(item => item.id === id);
+    }
+
+    /**
+     * Método público: Agregar un material al kit
+     * @param {string} id - id del material
+     * @param {number} quantity
+     */
+    add(id, quantity = 1) {
+        if (!this.catalog.getMaterialById(id)) {
+            console.warn(`KitBuilder: Material desconocido "${id}"`);
+            return;
+        }
+
+        if (this.has(id)) {
+            const item = this.items.find(entry => entry.id === id);
+            this.setQuantity(id, item.quantity + quantity);
+            return;
+        }
+
+        this.items.push({ id, quantity: Math.min(quantity, MAX_QUANTITY) });
+        this.save();
+        this.update();
+    }
+
+    /**
+     * Método público: Quitar un material del kit
+     * @param {string} id
+     */
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.save();
+        this.update();
+    }
+
+    /**
+     * Cambia la cantidad de un material (0 lo elimina)
+     * @param {string} id
+     * @param {number} quantity
+     */
+    setQuantity(id, quantity) {
+        if (quantity <= 0) {
+            this.remove(id);
+            return;
+        }
+
+        const item = this.items.find(entry => entry.id === id);
+        if (!item) return;
+
+        item.quantity = Math.min(quantity, MAX_QUANTITY);
+        this.save();
+        this.update();
+    }
+
+    /**
+     * Método público: Vaciar el kit
+     */
+    clear() {
+        this.items = [];
+        this.save();
+        this.update();
+    }
+
+    /**
+     * Guarda el kit en storage
+     */
+    save() {
+        setItem(STORAGE_KEY, this.items);
+    }
+
+    /**
+     * Devuelve las líneas del kit con los datos del catálogo
+     * @returns {Object[]} - [{ material, quantity, subtotal }]
+     */
+    getLines() {
+        return this.items
+            .map(item => {
+                const material = this.catalog.getMaterialById(item.id);
+                return material
+                    ? { material, quantity: item.quantity, subtotal: material.price * item.quantity }
+                    : null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Calcula subtotales por presupuesto y total general
+     * @returns {{byBudget: Object, total: number}}
+     */
+    getTotals() {
+        const byBudget = {};
+        Object.keys(MATERIAL_BUDGETS).forEach(budget => {
+            byBudget[budget] = 0;
+        });
+
+        let total = 0;
+
+        this.getLines().forEach(({ material, subtotal }) => {
+            byBudget[material.budget] += subtotal;
+            total += subtotal;
+        });
+
+        return { byBudget, total };
+    }
+
+    /**
+     * Obtiene las categorías imprescindibles que faltan en el kit
+     * @returns {string[]} - Claves de categoría
+     */
+    getMissingCategories() {
+        const present = new Set(this.getLines().map(({ material }) => material.category));
+        return KIT_REQUIRED_CATEGORIES.filter(category => !present.has(category));
+    }
+
+    /**
+     * Sincroniza botones de la tabla y panel con el estado actual
+     */
+    update() {
+        // 1. Botones de la tabla
+        this.tableBody.querySelectorAll('.kit-add-btn').forEach(button => {
+            const inKit = this.has(button.dataset.id);
+            button.setAttribute('aria-pressed', inKit);
+            button.textContent = inKit ? '✓ En mi kit' : '➕ Añadir a mi kit';
+        });
+
+        // 2. Panel
+        const lines = this.getLines();
+        this.container.classList.toggle('is-empty', lines.length === 0);
+
+        if (this.emptyMessage) {
+            this.emptyMessage.hidden = lines.length > 0;
+        }
+
+        if (this.actions) {
+            this.actions.querySelectorAll('button').forEach(button => {
+                button.disabled = lines.length === 0;
+            });
+        }
+
+        this.renderItems(lines);
+        this.renderTotals();
+        this.renderWarnings(lines.length > 0);
+    }
+
+    /**
+     * Renderiza la lista del kit
+     * @param {Object[]} lines - Resultado de getLines()
+     */
+    renderItems(lines) {
+        this.itemsList.innerHTML = lines.map(({ material, quantity, subtotal }) => {
+            const id = escapeHtml(material.id);
+            const name = escapeHtml(material.name);
+
+            return `
+                <li class="kit-item">
+                    <div class="kit-item-info">
+                        <strong>${name}</strong>
+                        <small>${escapeHtml(material.brand)} · ${MATERIAL_CATEGORIES[material.category].label} · ${this.formatPrice(material.price)} c/u</small>
+                    </div>
+                    <div class="kit-item-quantity" role="group" aria-label="Cantidad de ${name}">
+                        <button type="button" data-kit-action="decrease" data-id="${id}" aria-label="Quitar una unidad">−</button>
+                        <span aria-live="polite">${quantity}</span>
+                        <button type="button" data-kit-action="increase" data-id="${id}" aria-label="Agregar una unidad">+</button>
+                    </div>
+                    <span class="kit-item-subtotal">${this.formatPrice(subtotal)}</span>
+                    <button type="button" class="kit-item-remove" data-kit-action="remove" data-id="${id}"
+                            aria-label="Quitar ${name} del kit">×</button>
+                </li>`;
+        }).join('');
+    }
+
+    /**
+     * Renderiza subtotales por presupuesto y total
+     */
+    renderTotals() {
+        if (!this.totalsElement) return;
+
+        const { byBudget, total } = this.getTotals();
+
+        const rows = Object.entries(MATERIAL_BUDGETS)
+            .filter(([budget]) => byBudget[budget] > 0)
+            .map(([budget, info]) => `
+                <div class="kit-total-row">
+                    <dt>${info.icon} ${info.label}</dt>
+                    <dd>${this.formatPrice(byBudget[budget])}</dd>
+                </div>`)
+            .join('');
+
+        this.totalsElement.innerHTML = `
+            ${rows}
+            <div class="kit-total-row kit-total-grand">
+                <dt>Total</dt>
+                <dd>${this.formatPrice(total)}</dd>
+            </div>`;
+    }
+
+    /**
+     * Renderiza avisos de categorías faltantes
+     * @param {boolean} hasItems - Solo se avisa si el kit tiene algo
+     */
+    renderWarnings(hasItems) {
+        if (!this.warningsElement) return;
+
+        const missing = hasItems ? this.getMissingCategories() : [];
+
+        this.warningsElement.hidden = missing.length === 0;
+        this.warningsElement.textContent = missing.length === 0
+            ? ''
+            : `⚠️ A tu kit le falta: ${missing.map(category => MATERIAL_CATEGORIES[category].label.toLowerCase()).join(', ')}.`;
+    }
+
+    /**
+     * Formatea un precio en soles
+     * @param {number} value
+     * @returns {string}
+     */
+    formatPrice(value) {
+        return `${CURRENCY_SYMBOL} ${value.toLocaleString('es-PE', { maximumFractionDigits: 2 })}`;
+    }
+
+    /**
+     * Exporta el kit como CSV (separador coma, con BOM para Excel)
+     * @returns {string}
+     */
+    toCSV() {
+        const escapeCell = (value) => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const header = ['Producto', 'Marca', 'Categoría', 'Presupuesto', 'Cantidad', 'Precio unitario (S/)', 'Subtotal (S/)'];
+        const rows = this.getLines().map(({ material, quantity, subtotal }) => [
+            material.name,
+            material.brand,
+            MATERIAL_CATEGORIES[material.category].label,
+            MATERIAL_BUDGETS[material.budget].label,
+            quantity,
+            material.price,
+            subtotal
+        ]);
+
+        rows.push(['Total', '', '', '', '', '', this.getTotals().total]);
+
+        return '\uFEFF' + [header, ...rows]
+            .map(row => row.map(escapeCell).join(','))
+            .join('\r\n');
+    }
+
+    /**
+     * Exporta el kit como texto plano
+     * @returns {string}
+     */
+    toText() {
+        const { byBudget, total } = this.getTotals();
+        const missing = this.getMissingCategories();
+
+        const lines = [
+            'MI KIT DE ACUARELA - AcuarelaArte',
+            '='.repeat(34),
+            ''
+        ];
+
+        this.getLines().forEach(({ material, quantity, subtotal }) => {
+            lines.push(`- ${material.name} (${material.brand}) x${quantity}: ${this.formatPrice(subtotal)}`);
+        });
+
+        lines.push('');
+
+        Object.entries(MATERIAL_BUDGETS).forEach(([budget, info]) => {
+            if (byBudget[budget] > 0) {
+                lines.push(`${info.label}: ${this.formatPrice(byBudget[budget])}`);
+            }
+        });
+
+        lines.push(`TOTAL: ${this.formatPrice(total)}`);
+
+        if (missing.length > 0) {
+            lines.push('', `Falta: ${missing.map(category => MATERIAL_CATEGORIES[category].label).join(', ')}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Descarga un archivo generado en el navegador
+     * @param {string} content
+     * @param {string} filename
+     * @param {string} type - MIME type
+     */
+    download(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Liberar el blob después de que el navegador inicie la descarga
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Abre una vista imprimible del kit
+     */
+    print() {
+        const printWindow = window.open('', '_blank', 'width=800,height=600');
+
+        if (!printWindow) {
+            console.warn('KitBuilder: Ventana de impresión bloqueada, descargando texto');
+            this.download(this.toText(), 'mi-kit-acuarela.txt', 'text/plain;charset=utf-8');
+            return;
+        }
+
+        const { total } = this.getTotals();
+        const rows = this.getLines().map(({ material, quantity, subtotal }) => `
+            <tr>
+                <td>${escapeHtml(material.name)}</td>
+                <td>${escapeHtml(material.brand)}</td>
+                <td>${MATERIAL_CATEGORIES[material.category].label}</td>
+                <td>${quantity}</td>
+                <td>${this.formatPrice(material.price)}</td>
+                <td>${this.formatPrice(subtotal)}</td>
+            </tr>`).join('');
+
+        printWindow.document.write(`<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <title>Mi kit de acuarela - AcuarelaArte</title>
+    <style>
+        body { font-family: system-ui, sans-serif; color: #2c3e50; margin: 2rem; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { padding: 0.5rem; border-bottom: 1px solid #ccc; text-align: left; }
+        tfoot td { font-weight: bold; border-top: 2px solid #2c3e50; }
+    </style>
+</head>
+<body>
+    <h1>Mi kit de acuarela</h1>
+    <table>
+        <thead>
+            <tr><th>Producto</th><th>Marca</th><th>Categoría</th><th>Cant.</th><th>Precio</th><th>Subtotal</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+        <tfoot>
+            <tr><td colspan="5">Total</td><td>${this.formatPrice(total)}</td></tr>
+        </tfoot>
+    </table>
+    <p><small>Precios referenciales (Lima, Perú) - acuarelaarte.com</small></p>
+</body>
+</html>`);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    /**
+     * Método público: Obtener el contenido del kit
+     * @returns {Object[]} - [{ id, quantity }]
+     */
+    getItems() {
+        return this.items.map(item => ({ ...item }));
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.abortController.abort();
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default KitBuilder;
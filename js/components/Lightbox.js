@@ -1 +1,522 @@
-/* js/components/Lightbox.js */
\ No newline at end of file
+/* js/components/Lightbox.js */
+
+/**
+ * ===================================================================
+ * Lightbox.js - Visor de Obras a Pantalla Completa
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Se abre desde cualquier elemento [data-artwork]
+ * - Navega solo entre las obras visibles (respeta el filtro de la galería)
+ * - Teclado: flechas para navegar, ESC para cerrar, TAB atrapado en el modal
+ * - Táctil: swipe horizontal para navegar, pinch para hacer zoom
+ * - Enlace directo: escribe #artwork=paisaje01 en la URL y lo reabre al cargar
+ * - Devuelve el foco al elemento que abrió el lightbox
+ *
+ * Uso:
+ * import Lightbox from './components/Lightbox.js';
+ * const lightbox = new Lightbox();
+ * lightbox.open('paisaje01');
+ *
+ * HTML requerido: #lightbox (ver portafolio.html)
+ * ===================================================================
+ */
+
+import { trapFocus, openModal, closeModal } from '../utils/helpers.js';
+
+/**
+ * Prefijo del hash para enlaces directos
+ */
+const HASH_PREFIX = '#artwork=';
+
+/**
+ * Distancia mínima (px) para considerar un swipe
+ */
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * Límites del zoom con pinch
+ */
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 4;
+
+class Lightbox {
+    /**
+     * Constructor - Inicializa el lightbox
+     * @param {Object} options
+     * @param {Function} [options.getArtwork] - (id, trigger) => datos de la obra
+     *        Por defecto los datos se leen de la tarjeta .gallery-item del trigger
+     *        (con ArtworkCatalog: id => catalog.getLightboxData(id))
+     */
+    constructor(options = {}) {
+        // Elementos del DOM
+        this.lightbox = document.getElementById('lightbox');
+        this.image = document.getElementById('lightboxImage');
+        this.title = document.getElementById('lightbox-title');
+        this.description = document.getElementById('lightbox-description');
+        this.technique = document.getElementById('lightbox-technique');
+        this.category = document.getElementById('lightbox-category');
+        this.date = document.getElementById('lightbox-date');
+        this.paper = document.getElementById('lightbox-paper');
+        this.dimensions = document.getElementById('lightbox-dimensions');
+        this.counter = document.getElementById('lightbox-counter');
+        this.processButton = document.getElementById('lightbox-process');
+        this.prevButton = document.getElementById('prevBtn');
+        this.nextButton = document.getElementById('nextBtn');
+        this.closeButton = this.lightbox ? this.lightbox.querySelector('.close-lightbox') : null;
+
+        // Fuente de datos de cada obra
+        this.getArtwork = options.getArtwork || ((id, trigger) => this.readArtworkFromCard(trigger));
+
+        // Estado
+        this.isOpen = false;
+        this.currentId = null;
+        this.lastFocused = null;
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.touch = null;
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+
+        // Verificar que los elementos existen
+        if (!this.lightbox || !this.image) {
+            console.warn('Lightbox: Elementos requeridos no encontrados (lightbox o lightboxImage)');
+            return;
+        }
+
+        this.init();
+    }
+
+    /**
+     * Inicializa todos los event listeners
+     */
+    init() {
+        const { signal } = this.abortController;
+
+        // 1. Abrir desde cualquier [data-artwork] (delegación: sirve para obras renderizadas después)
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-artwork]');
+            if (!trigger || this.lightbox.contains(trigger)) return;
+
+            e.preventDefault();
+            this.open(trigger.dataset.artwork, trigger);
+        }, { signal });
+
+        // 2. Controles del modal
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => this.close(), { signal });
+        }
+
+        if (this.prevButton) {
+            this.prevButton.addEventListener('click', () => this.prev(), { signal });
+        }
+
+        if (this.nextButton) {
+            this.nextButton.addEventListener('click', () => this.next(), { signal });
+        }
+
+        // Clic en el fondo oscuro cierra
+        this.lightbox.addEventListener('click', (e) => {
+            if (e.target === this.lightbox) {
+                this.close();
+            }
+        }, { signal });
+
+        // 3. Teclado
+        document.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+        // 4. Táctil: swipe y pinch-zoom
+        this.setupTouch(signal);
+
+        // 5. Enlaces directos (#artwork=id)
+        window.addEventListener('hashchange', () => this.syncWithHash(), { signal });
+
+        this.syncWithHash();
+
+        console.log('✅ Lightbox inicializado correctamente');
+    }
+
+    /**
+     * Método público: Abrir una obra
+     * @param {string} id - Valor de data-artwork
+     * @param {HTMLElement} [trigger] - Elemento que abrió el lightbox
+     */
+    open(id, trigger = null) {
+        const artworkTrigger = trigger || this.findTrigger(id);
+        const artwork = this.getArtwork(id, artworkTrigger);
+
+        if (!artwork) {
+            console.warn(`Lightbox: Obra no encontrada "${id}"`);
+            return;
+        }
+
+        // Guardar foco solo en la primera apertura (no al navegar)
+        if (!this.isOpen) {
+            this.lastFocused = trigger || document.activeElement;
+        }
+
+        this.currentId = id;
+        this.render(artwork);
+        this.resetZoom();
+
+        if (!this.isOpen) {
+            this.isOpen = true;
+
+            // Focus en el botón cerrar (accesibilidad)
+            openModal(this.lightbox, { bodyClass: 'lightbox-open', initialFocus: this.closeButton });
+        }
+
+        this.updateNavigation();
+        this.writeHash(id);
+
+        this.lightbox.dispatchEvent(new CustomEvent('lightboxOpened', {
+            detail: { id, artwork },
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Método público: Cerrar el lightbox
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.currentId = null;
+        this.resetZoom();
+        this.writeHash(null);
+
+        // Devolver focus al elemento que abrió el lightbox
+        closeModal(this.lightbox, { bodyClass: 'lightbox-open', returnFocus: this.lastFocused });
+        this.lastFocused = null;
+
+        this.lightbox.dispatchEvent(new CustomEvent('lightboxClosed', { bubbles: true }));
+    }
+
+    /**
+     * Método público: Obra siguiente (circular)
+     */
+    next() {
+        this.step(1);
+    }
+
+    /**
+     * Método público: Obra anterior (circular)
+     */
+    prev() {
+        this.step(-1);
+    }
+
+    /**
+     * Avanza o retrocede dentro de las obras visibles
+     * @param {number} direction - 1 o -1
+     */
+    step(direction) {
+        if (!this.isOpen) return;
+
+        const ids = this.getNavigableIds();
+        if (ids.length < 2) return;
+
+        const index = ids.indexOf(this.currentId);
+        const nextIndex = (index + direction + ids.length) % ids.length;
+        this.open(ids[nextIndex]);
+    }
+
+    /**
+     * Obtiene los ids navegables: obras cuyo trigger está visible
+     * (las ocultas por el filtro de la galería quedan fuera)
+     * @returns {string[]}
+     */
+    getNavigableIds() {
+        const ids = [];
+
+        document.querySelectorAll('[data-artwork]').forEach(trigger => {
+            if (this.lightbox.contains(trigger) || trigger.closest('[hidden]')) return;
+
+            const id = trigger.dataset.artwork;
+            if (!ids.includes(id)) {
+                ids.push(id);
+            }
+        });
+
+        return ids;
+    }
+
+    /**
+     * Busca el trigger de una obra
+     * @param {string} id
+     * @returns {HTMLElement|null}
+     */
+    findTrigger(id) {
+        return Array.from(document.querySelectorAll('[data-artwork]'))
+            .find(trigger => trigger.dataset.artwork === id && !this.lightbox.contains(trigger)) || null;
+    }
+
+    /**
+     * Lee los datos de la obra desde su tarjeta en la galería
+     * @param {HTMLElement|null} trigger
+     * @returns {Object|null} - { src, alt, title, description, technique, category }
+     */
+    readArtworkFromCard(trigger) {
+        if (!trigger) return null;
+
+        const card = trigger.closest('.gallery-item') || trigger;
+        const img = card.querySelector('img');
+        const text = (selector) => {
+            const el = card.querySelector(selector);
+            return el ? el.textContent.trim() : '';
+        };
+
+        if (!img) return null;
+
+        return {
+            // Con data-src pendiente, src/currentSrc es aún la vista previa
+            src: img.dataset.full || img.dataset.src || img.currentSrc || img.src,
+            alt: img.dataset.alt || img.alt,
+            title: text('.artwork-title'),
+            description: card.dataset.description || img.alt,
+            technique: text('.artwork-technique'),
+            category: text('.artwork-category')
+        };
+    }
+
+    /**
+     * Muestra los datos de la obra en el modal
+     * @param {Object} artwork
+     */
+    render(artwork) {
+        this.image.src = artwork.src;
+        this.image.alt = artwork.alt || artwork.title || '';
+
+        const setText = (element, value) => {
+            if (!element) return;
+            element.textContent = value || '';
+            element.hidden = !value;
+        };
+
+        setText(this.title, artwork.title);
+        setText(this.description, artwork.description);
+        setText(this.technique, artwork.technique);
+        setText(this.category, artwork.category);
+        setText(this.date, artwork.date);
+        setText(this.paper, artwork.paper);
+        setText(this.dimensions, artwork.dimensions);
+
+        // Botón "Ver proceso": lo abre ProcessViewer por delegación en [data-process]
+        if (this.processButton) {
+            const hasSteps = Array.isArray(artwork.steps) && artwork.steps.length > 0;
+            this.processButton.hidden = !hasSteps;
+            this.processButton.dataset.process = hasSteps ? this.currentId : '';
+        }
+    }
+
+    /**
+     * Actualiza botones prev/next y contador según las obras visibles
+     */
+    updateNavigation() {
+        const ids = this.getNavigableIds();
+        const hasSiblings = ids.length > 1;
+
+        [this.prevButton, this.nextButton].forEach(button => {
+            if (button) button.hidden = !hasSiblings;
+        });
+
+        if (this.counter) {
+            const index = ids.indexOf(this.currentId);
+            this.counter.textContent = index === -1 ? '' : `${index + 1} / ${ids.length}`;
+        }
+    }
+
+    /**
+     * Maneja el teclado mientras el lightbox está abierto
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (!this.isOpen) return;
+
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+
+            case 'ArrowRight':
+                e.preventDefault();
+                this.next();
+                break;
+
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.prev();
+                break;
+
+            case 'Tab':
+                trapFocus(this.lightbox, e);
+                break;
+        }
+    }
+
+    /**
+     * Configura gestos táctiles: swipe (1 dedo) y pinch-zoom (2 dedos)
+     * Con zoom activo, un dedo desplaza la imagen en lugar de navegar
+     * @param {AbortSignal} signal
+     */
+    setupTouch(signal) {
+        const distance = (touches) => Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        );
+
+        this.image.addEventListener('touchstart', (e) => {
+            if (e.touches.length === 2) {
+                this.touch = {
+                    mode: 'pinch',
+                    startDistance: distance(e.touches),
+                    startScale: this.zoom.scale
+                };
+            } else if (e.touches.length === 1) {
+                this.touch = {
+                    mode: this.zoom.scale > 1 ? 'pan' : 'swipe',
+                    startX: e.touches[0].clientX,
+                    startY: e.touches[0].clientY,
+                    originX: this.zoom.x,
+                    originY: this.zoom.y
+                };
+            }
+        }, { signal, passive: true });
+
+        this.image.addEventListener('touchmove', (e) => {
+            if (!this.touch) return;
+
+            if (this.touch.mode === 'pinch' && e.touches.length === 2) {
+                e.preventDefault();
+                const scale = this.touch.startScale * (distance(e.touches) / this.touch.startDistance);
+                this.setZoom(scale, this.zoom.x, this.zoom.y);
+
+            } else if (this.touch.mode === 'pan' && e.touches.length === 1) {
+                e.preventDefault();
+                this.setZoom(
+                    this.zoom.scale,
+                    this.touch.originX + (e.touches[0].clientX - this.touch.startX),
+                    this.touch.originY + (e.touches[0].clientY - this.touch.startY)
+                );
+            }
+        }, { signal, passive: false });
+
+        this.image.addEventListener('touchend', (e) => {
+            if (!this.touch) return;
+
+            if (this.touch.mode === 'swipe' && e.changedTouches.length > 0) {
+                const deltaX = e.changedTouches[0].clientX - this.touch.startX;
+                const deltaY = e.changedTouches[0].clientY - this.touch.startY;
+
+                // Solo swipes mayormente horizontales
+                if (Math.abs(deltaX) > SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY)) {
+                    deltaX < 0 ? this.next() : this.prev();
+                }
+            }
+
+            if (e.touches.length === 0) {
+                this.touch = null;
+            }
+        }, { signal });
+
+        // Doble toque / doble clic: alternar zoom 2x
+        this.image.addEventListener('dblclick', () => {
+            if (this.zoom.scale > 1) {
+                this.resetZoom();
+            } else {
+                this.setZoom(2, 0, 0);
+            }
+        }, { signal });
+    }
+
+    /**
+     * Aplica zoom y desplazamiento a la imagen
+     * @param {number} scale
+     * @param {number} x - Desplazamiento horizontal (px)
+     * @param {number} y - Desplazamiento vertical (px)
+     */
+    setZoom(scale, x, y) {
+        const clampedScale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale));
+
+        // Limitar el desplazamiento para no perder la imagen de vista
+        const maxX = (this.image.clientWidth * (clampedScale - 1)) / 2;
+        const maxY = (this.image.clientHeight * (clampedScale - 1)) / 2;
+
+        this.zoom = {
+            scale: clampedScale,
+            x: clampedScale === 1 ? 0 : Math.min(maxX, Math.max(-maxX, x)),
+            y: clampedScale === 1 ? 0 : Math.min(maxY, Math.max(-maxY, y))
+        };
+
+        this.image.style.transform = clampedScale === 1
+            ? ''
+            : `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${clampedScale})`;
+        this.image.classList.toggle('is-zoomed', clampedScale > 1);
+    }
+
+    /**
+     * Quita el zoom de la imagen
+     */
+    resetZoom() {
+        this.setZoom(1, 0, 0);
+    }
+
+    /**
+     * Escribe o limpia #artwork=id sin agregar entradas al historial
+     * @param {string|null} id
+     */
+    writeHash(id) {
+        const hash = id ? `${HASH_PREFIX}${encodeURIComponent(id)}` : '';
+        if (window.location.hash === hash) return;
+
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * Abre o cierra el lightbox según el hash actual
+     */
+    syncWithHash() {
+        const hash = window.location.hash;
+
+        if (hash.startsWith(HASH_PREFIX)) {
+            let id;
+            try {
+                id = decodeURIComponent(hash.slice(HASH_PREFIX.length));
+            } catch {
+                // Enlace editado a mano o truncado (ej: #artwork=%E0): sin obra
+                console.warn(`Lightbox: Enlace de obra no válido "${hash}"`);
+                if (this.isOpen) this.close();
+                this.writeHash(null);
+                return;
+            }
+
+            if (id && id !== this.currentId && this.findTrigger(id)) {
+                this.open(id);
+            }
+        } else if (this.isOpen) {
+            this.close();
+        }
+    }
+
+    /**
+     * Método público: Estado actual
+     * @returns {{isOpen: boolean, id: string|null}}
+     */
+    getState() {
+        return { isOpen: this.isOpen, id: this.currentId };
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.close();
+        this.abortController.abort();
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default Lightbox;
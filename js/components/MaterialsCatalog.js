@@ -0,0 +1,346 @@
+/* js/components/MaterialsCatalog.js */
+
+/**
+ * ===================================================================
+ * MaterialsCatalog.js - Catálogo de Materiales desde JSON
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Carga data/materials.json con fetch
+ * - Valida cada registro contra el esquema (data/materials.schema.json)
+ * - Descarta registros inválidos e informa los errores en consola
+ * - Genera las filas de #materialsTableBody con el mismo marcado de la tabla
+ * - Dispatch del evento 'materialsLoaded' con los materiales válidos
+ *
+ * Uso:
+ * import MaterialsCatalog from './components/MaterialsCatalog.js';
+ * const catalog = new MaterialsCatalog();
+ * await catalog.load();
+ * ===================================================================
+ */
+
+import {
+    MATERIAL_CATEGORIES,
+    MATERIAL_BUDGETS,
+    MATERIAL_LEVELS,
+    MAX_RATING,
+    CURRENCY_SYMBOL
+} from '../config/constants.js';
+import { escapeHtml, resolveSitePath } from '../utils/helpers.js';
+
+/**
+ * Campos obligatorios de cada material
+ */
+const REQUIRED_FIELDS = [
+    'id', 'name', 'brand', 'category', 'level',
+    'budget', 'price', 'rating', 'image', 'recommendation'
+];
+
+/**
+ * Formato válido para los identificadores (kebab-case)
+ */
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Formato válido para las rutas de imagen
+ */
+const IMAGE_PATTERN = /^assets\/images\/.+\.(jpg|jpeg|png|webp)$/;
+
+class MaterialsCatalog {
+    /**
+     * Constructor - Prepara el catálogo
+     * @param {Object} options
+     * @param {string} [options.dataUrl] - URL del JSON de materiales
+     */
+    constructor(options = {}) {
+        // Elementos del DOM
+        this.table = document.getElementById('materialsTable');
+        this.tableBody = document.getElementById('materialsTableBody');
+        this.tableContainer = this.table ? this.table.closest('.table-container') : null;
+
+        // Origen de datos
+        this.dataUrl = options.dataUrl || resolveSitePath('data/materials.json');
+
+        // Estado del catálogo
+        this.materials = [];
+        this.errors = [];
+
+        // Verificar que los elementos existen
+        if (!this.table || !this.tableBody) {
+            console.warn('MaterialsCatalog: Elementos requeridos no encontrados (materialsTable o materialsTableBody)');
+        }
+    }
+
+    /**
+     * Carga, valida y renderiza los materiales
+     * @returns {Promise<Object[]>} - Materiales válidos
+     */
+    async load() {
+        if (!this.tableBody) return [];
+
+        this.setLoading(true);
+
+        try {
+            const response = await fetch(this.dataUrl);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} al cargar ${this.dataUrl}`);
+            }
+
+            const data = await response.json();
+            const { materials, errors } = MaterialsCatalog.validate(data);
+
+            this.materials = materials;
+            this.errors = errors;
+
+            if (errors.length > 0) {
+                console.warn(`⚠️ MaterialsCatalog: ${errors.length} error(es) de validación en materials.json`);
+                errors.forEach(error => console.warn(`   • ${error}`));
+            }
+
+            this.render(materials);
+
+            // Notificar a otros módulos (tabla, comparador, etc.)
+            this.tableBody.dispatchEvent(new CustomEvent('materialsLoaded', {
+                detail: { materials, errors },
+                bubbles: true
+            }));
+
+            console.log(`✅ MaterialsCatalog: ${materials.length} materiales cargados`);
+
+        } catch (error) {
+            console.error('❌ MaterialsCatalog: Error cargando materiales:', error);
+            this.renderMessage('No se pudieron cargar los materiales. Por favor, recarga la página.');
+
+        } finally {
+            this.setLoading(false);
+        }
+
+        return this.materials;
+    }
+
+    /**
+     * Valida el documento completo de materiales
+     * Los registros inválidos se descartan; los válidos se conservan
+     * @param {Object} data - Contenido de materials.json
+     * @returns {{materials: Object[], errors: string[]}}
+     */
+    static validate(data) {
+        const errors = [];
+        const materials = [];
+
+        if (!data || !Array.isArray(data.materials)) {
+            return {
+                materials,
+                errors: ['El documento debe tener una propiedad "materials" de tipo array']
+            };
+        }
+
+        const seenIds = new Set();
+
+        data.materials.forEach((record, index) => {
+            const recordErrors = MaterialsCatalog.validateMaterial(record);
+
+            if (recordErrors.length === 0 && seenIds.has(record.id)) {
+                recordErrors.push(`id duplicado "${record.id}"`);
+            }
+
+            if (recordErrors.length > 0) {
+                const label = record && record.id ? `"${record.id}"` : `#${index}`;
+                recordErrors.forEach(message => errors.push(`Material ${label}: ${message}`));
+                return;
+            }
+
+            seenIds.add(record.id);
+            materials.push(record);
+        });
+
+        return { materials, errors };
+    }
+
+    /**
+     * Valida un material individual
+     * @param {Object} record - Registro a validar
+     * @returns {string[]} - Lista de errores (vacía si es válido)
+     */
+    static validateMaterial(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['el registro debe ser un objeto'];
+        }
+
+        const errors = [];
+        const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+        // 1. Campos obligatorios
+        REQUIRED_FIELDS.forEach(field => {
+            if (record[field] === undefined || record[field] === null) {
+                errors.push(`falta el campo obligatorio "${field}"`);
+            }
+        });
+
+        if (errors.length > 0) return errors;
+
+        // 2. Formato de cada campo
+        if (typeof record.id !== 'string' || !ID_PATTERN.test(record.id)) {
+            errors.push(`"id" debe estar en formato kebab-case (recibido: ${JSON.stringify(record.id)})`);
+        }
+
+        ['name', 'brand'].forEach(field => {
+            if (!isNonEmptyString(record[field])) {
+                errors.push(`"${field}" debe ser un texto no vacío`);
+            }
+        });
+
+        if (!MATERIAL_CATEGORIES[record.category]) {
+            errors.push(`"category" inválida: ${JSON.stringify(record.category)}`);
+        }
+
+        if (!MATERIAL_LEVELS[record.level]) {
+            errors.push(`"level" inválido: ${JSON.stringify(record.level)}`);
+        }
+
+        if (!MATERIAL_BUDGETS[record.budget]) {
+            errors.push(`"budget" inválido: ${JSON.stringify(record.budget)}`);
+        }
+
+        if (typeof record.price !== 'number' || !Number.isFinite(record.price) || record.price < 0) {
+            errors.push(`"price" debe ser un número mayor o igual a 0`);
+        }
+
+        if (!Number.isInteger(record.rating) || record.rating < 1 || record.rating > MAX_RATING) {
+            errors.push(`"rating" debe ser un entero entre 1 y ${MAX_RATING}`);
+        }
+
+        if (typeof record.image !== 'string' || !IMAGE_PATTERN.test(record.image)) {
+            errors.push(`"image" debe ser una ruta bajo assets/images/ (jpg, png o webp)`);
+        }
+
+        const recommendation = record.recommendation;
+        if (!recommendation || !isNonEmptyString(recommendation.title) || !isNonEmptyString(recommendation.text)) {
+            errors.push(`"recommendation" debe tener "title" y "text"`);
+        }
+
+        // 3. Campos opcionales
+        ['description', 'priceNote', 'imageAlt'].forEach(field => {
+            if (record[field] !== undefined && typeof record[field] !== 'string') {
+                errors.push(`"${field}" debe ser texto`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Renderiza las filas de la tabla
+     * @param {Object[]} materials - Materiales a mostrar
+     */
+    render(materials) {
+        if (!this.tableBody) return;
+
+        if (materials.length === 0) {
+            this.renderMessage('No hay materiales disponibles por el momento.');
+            return;
+        }
+
+        this.tableBody.innerHTML = materials.map(material => this.createRow(material)).join('');
+    }
+
+    /**
+     * Genera el HTML de una fila de material
+     * @param {Object} material - Material validado
+     * @returns {string} - HTML de la fila
+     */
+    createRow(material) {
+        const category = MATERIAL_CATEGORIES[material.category];
+        const level = MATERIAL_LEVELS[material.level];
+        const stars = Array.from({ length: MAX_RATING }, (_, i) =>
+            `<span class="star${i < material.rating ? ' filled' : ''}">★</span>`
+        ).join('');
+
+        return `
+            <tr data-id="${escapeHtml(material.id)}" data-category="${material.category}" data-budget="${material.budget}" data-level="${material.level}">
+                <td class="product-cell">
+                    <div class="product-info">
+                        <img data-src="${escapeHtml(resolveSitePath(material.image))}"
+                             alt="${escapeHtml(material.imageAlt || material.name)}"
+                             class="product-image">
+                        <div class="product-details">
+                            <strong class="product-name">${escapeHtml(material.name)}</strong>
+                            ${material.description ? `<small class="product-description">${escapeHtml(material.description)}</small>` : ''}
+                        </div>
+                    </div>
+                </td>
+                <td data-label="Categoría">
+                    <span class="category-badge ${material.category}">${category.icon} ${category.label}</span>
+                </td>
+                <td data-label="Marca">${escapeHtml(material.brand)}</td>
+                <td data-label="Precio" class="price-cell" data-price="${material.price}">
+                    <span class="price">${CURRENCY_SYMBOL} ${material.price}</span>
+                    ${material.priceNote ? `<small class="price-note">${escapeHtml(material.priceNote)}</small>` : ''}
+                </td>
+                <td data-label="Calificación" class="rating-cell" data-rating="${material.rating}">
+                    <div class="star-rating" aria-label="${material.rating} de ${MAX_RATING} estrellas">
+                        ${stars}
+                    </div>
+                    <span class="rating-number">${material.rating}/${MAX_RATING}</span>
+                </td>
+                <td data-label="Nivel">
+                    <span class="level-badge ${material.level}">${level.icon} ${level.label}</span>
+                </td>
+                <td data-label="Recomendación" class="recommendation-cell">
+                    <p><strong>${escapeHtml(material.recommendation.title)}:</strong> ${escapeHtml(material.recommendation.text)}</p>
+                </td>
+            </tr>`;
+    }
+
+    /**
+     * Muestra un mensaje ocupando toda la tabla (error o vacío)
+     * @param {string} message - Texto a mostrar
+     */
+    renderMessage(message) {
+        const columns = this.table ? this.table.querySelectorAll('thead th').length : 1;
+        this.tableBody.innerHTML = `
+            <tr class="table-message">
+                <td colspan="${columns}">${escapeHtml(message)}</td>
+            </tr>`;
+    }
+
+    /**
+     * Activa/desactiva el estado de carga del contenedor
+     * @param {boolean} isLoading
+     */
+    setLoading(isLoading) {
+        if (!this.tableContainer) return;
+
+        this.tableContainer.classList.toggle('loading', isLoading);
+        this.tableContainer.setAttribute('aria-busy', isLoading);
+    }
+
+    /**
+     * Obtiene todos los materiales válidos
+     * @returns {Object[]}
+     */
+    getMaterials() {
+        return this.materials;
+    }
+
+    /**
+     * Busca un material por su id
+     * @param {string} id
+     * @returns {Object|undefined}
+     */
+    getMaterialById(id) {
+        return this.materials.find(material => material.id === id);
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.materials = [];
+        this.errors = [];
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default MaterialsCatalog;
@@ -0,0 +1,450 @@
+/* js/components/MaterialsComparison.js */
+
+/**
+ * ===================================================================
+ * MaterialsComparison.js - Comparador de Materiales
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Casilla "Comparar" en cada fila de #materialsTable (máximo 4)
+ * - Barra inferior con los materiales seleccionados
+ * - Panel de comparación lado a lado: marca, precio, nivel,
+ *   calificación y recomendación, leídos de las celdas data-label
+ * - Resalta las filas con diferencias y el mejor precio/calificación
+ * - La selección se guarda en storage y sobrevive entre visitas
+ *
+ * Uso:
+ * import MaterialsComparison from './components/MaterialsComparison.js';
+ * const comparison = new MaterialsComparison();
+ *
+ * HTML requerido: #comparisonDrawer (ver materiales.html)
+ * ===================================================================
+ */
+
+import { getItem, setItem } from '../utils/storage.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+/**
+ * Clave de storage de la selección
+ */
+const STORAGE_KEY = 'materials.comparison';
+
+/**
+ * Atributos comparados (data-label de la celda en la tabla)
+ * text: selector del texto dentro de la celda · numeric: atributo data-*
+ * con el valor numérico · best: cuál es el mejor valor
+ */
+const COMPARE_FIELDS = [
+    { label: 'Marca' },
+    { label: 'Precio', numeric: 'price', best: 'min' },
+    { label: 'Nivel' },
+    { label: 'Calificación', text: '.rating-number', numeric: 'rating', best: 'max' },
+    { label: 'Recomendación' }
+];
+
+class MaterialsComparison {
+    /**
+     * Constructor - Inicializa el comparador
+     * @param {Object} options
+     * @param {number} [options.maxItems=4] - Máximo de materiales a comparar
+     */
+    constructor(options = {}) {
+        // Elementos del DOM
+        this.tableBody = document.getElementById('materialsTableBody');
+        this.drawer = document.getElementById('comparisonDrawer');
+        this.countElement = document.getElementById('comparisonCount');
+        this.chipsList = document.getElementById('comparisonChips');
+        this.openButton = document.getElementById('openComparison');
+        this.clearButton = document.getElementById('clearComparison');
+        this.panel = document.getElementById('comparisonPanel');
+        this.closeButton = document.getElementById('closeComparison');
+        this.comparisonTable = document.getElementById('comparisonTable');
+
+        // Configuración
+        this.maxItems = options.maxItems || 4;
+
+        // Estado: ids seleccionados en orden de selección
+        this.selected = [];
+        this.isPanelOpen = false;
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+
+        // Verificar que los elementos existen
+        if (!this.tableBody || !this.drawer || !this.panel || !this.comparisonTable) {
+            console.warn('MaterialsComparison: Elementos requeridos no encontrados (materialsTableBody o comparisonDrawer)');
+            return;
+        }
+
+        this.init();
+    }
+
+    /**
+     * Inicializa listeners y restaura la selección guardada
+     */
+    init() {
+        const { signal } = this.abortController;
+
+        // 1. Casillas de selección (delegación en el tbody)
+        this.tableBody.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('.compare-checkbox');
+            if (checkbox) {
+                this.toggle(checkbox.value, checkbox.checked);
+            }
+        }, { signal });
+
+        // 2. Quitar desde los chips de la barra
+        this.chipsList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove]');
+            if (button) {
+                this.toggle(button.dataset.remove, false);
+            }
+        }, { signal });
+
+        // 3. Botones de la barra y del panel
+        if (this.openButton) {
+            this.openButton.addEventListener('click', () => {
+                this.isPanelOpen ? this.closePanel() : this.openPanel();
+            }, { signal });
+        }
+
+        if (this.clearButton) {
+            this.clearButton.addEventListener('click', () => this.clear(), { signal });
+        }
+
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => this.closePanel(), { signal });
+        }
+
+        // 4. ESC cierra el panel
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isPanelOpen) {
+                this.closePanel();
+            }
+        }, { signal });
+
+        // 5. Si el catálogo vuelve a renderizar, volver a insertar las casillas
+        document.addEventListener('materialsLoaded', () => this.refresh(), { signal });
+
+        // Selección guardada: solo ids de texto, sin repetir y hasta el máximo
+        // (refresh() descarta después los que ya no están en la tabla)
+        const saved = getItem(STORAGE_KEY, []);
+        this.selected = Array.isArray(saved)
+            ? saved
+                .filter((id, index) => typeof id === 'string' && saved.indexOf(id) === index)
+                .slice(0, this.maxItems)
+            : [];
+
+        this.refresh();
+
+        console.log('✅ MaterialsComparison inicializado correctamente');
+    }
+
+    /**
+     * Inserta las casillas y sincroniza la selección con las filas actuales
+     */
+    refresh() {
+        const rows = Array.from(this.tableBody.querySelectorAll('tr[data-id]'));
+        const availableIds = new Set(rows.map(row => row.dataset.id));
+
+        // Descartar materiales que ya no existen en el catálogo
+        // (si la tabla está vacía porque el catálogo falló, conservar la selección)
+        const validSelection = this.selected.filter(id => availableIds.has(id)).slice(0, this.maxItems);
+        if (rows.length > 0 && validSelection.length !== this.selected.length) {
+            this.selected = validSelection;
+            this.save();
+        }
+
+        rows.forEach(row => this.ensureCheckbox(row));
+
+        this.update();
+    }
+
+    /**
+     * Agrega la casilla "Comparar" a una fila si aún no la tiene
+     * @param {HTMLTableRowElement} row
+     */
+    ensureCheckbox(row) {
+        if (row.querySelector('.compare-checkbox')) return;
+
+        const details = row.querySelector('.product-details') || row.querySelector('.product-cell');
+        if (!details) return;
+
+        const name = this.getRowName(row);
+        const label = document.createElement('label');
+        label.className = 'compare-toggle';
+        label.innerHTML = `
+            <input type="checkbox" class="compare-checkbox" value="${escapeHtml(row.dataset.id)}"
+                   aria-label="Comparar ${escapeHtml(name)}">
+            <span aria-hidden="true">Comparar</span>`;
+
+        details.appendChild(label);
+    }
+
+    /**
+     * Agrega o quita un material de la comparación
+     * @param {string} id - data-id del material
+     * @param {boolean} isSelected
+     */
+    toggle(id, isSelected) {
+        const index = this.selected.indexOf(id);
+
+        if (isSelected && index === -1) {
+            if (this.selected.length >= this.maxItems) {
+                this.update();
+                this.announce(`Puedes comparar hasta ${this.maxItems} materiales`);
+                return;
+            }
+            this.selected.push(id);
+        } else if (!isSelected && index !== -1) {
+            this.selected.splice(index, 1);
+        }
+
+        this.save();
+        this.update();
+    }
+
+    /**
+     * Método público: Vaciar la comparación
+     */
+    clear() {
+        this.selected = [];
+        this.save();
+        this.closePanel();
+        this.update();
+    }
+
+    /**
+     * Guarda la selección en storage
+     */
+    save() {
+        setItem(STORAGE_KEY, this.selected);
+    }
+
+    /**
+     * Sincroniza casillas, barra y panel con la selección actual
+     */
+    update() {
+        const isFull = this.selected.length >= this.maxItems;
+
+        // 1. Casillas: marcadas y deshabilitadas al llegar al máximo
+        this.tableBody.querySelectorAll('.compare-checkbox').forEach(checkbox => {
+            checkbox.checked = this.selected.includes(checkbox.value);
+            checkbox.disabled = isFull && !checkbox.checked;
+            checkbox.closest('tr').classList.toggle('is-compared', checkbox.checked);
+        });
+
+        // 2. Barra inferior
+        this.drawer.hidden = this.selected.length === 0;
+        this.renderChips();
+
+        if (this.countElement) {
+            this.countElement.textContent = `${this.selected.length} de ${this.maxItems} seleccionados`;
+        }
+
+        if (this.openButton) {
+            // Se necesitan al menos 2 materiales para comparar
+            this.openButton.disabled = this.selected.length < 2;
+        }
+
+        // 3. Panel
+        if (this.selected.length < 2) {
+            this.closePanel();
+        } else if (this.isPanelOpen) {
+            this.renderComparison();
+        }
+    }
+
+    /**
+     * Renderiza los chips de materiales seleccionados
+     */
+    renderChips() {
+        this.chipsList.innerHTML = this.selected.map(id => {
+            const name = this.getRowName(this.getRow(id));
+            return `
+                <li class="comparison-chip">
+                    <span>${escapeHtml(name)}</span>
+                    <button type="button" class="comparison-chip-remove" data-remove="${escapeHtml(id)}"
+                            aria-label="Quitar ${escapeHtml(name)} de la comparación">×</button>
+                </li>`;
+        }).join('');
+    }
+
+    /**
+     * Renderiza la tabla lado a lado
+     * Filas = atributos, columnas = materiales
+     */
+    renderComparison() {
+        const items = this.selected
+            .map(id => this.getRow(id))
+            .filter(Boolean)
+            .map(row => this.readRow(row));
+
+        const headerCells = items.map(item => `
+            <th scope="col">
+                <span class="comparison-product">${escapeHtml(item.name)}</span>
+                <small>${escapeHtml(item.category)}</small>
+            </th>`).join('');
+
+        const bodyRows = COMPARE_FIELDS.map(field => {
+            const values = items.map(item => item.fields[field.label]);
+            const isDifferent = new Set(values.map(value => value.text)).size > 1;
+            const bestValue = this.getBestValue(values, field);
+
+            const cells = values.map(value => {
+                const isBest = bestValue !== null && value.number === bestValue;
+                return `<td${isBest ? ' class="is-best"' : ''}>${escapeHtml(value.text)}</td>`;
+            }).join('');
+
+            return `
+                <tr${isDifferent ? ' class="is-different"' : ''}>
+                    <th scope="row">${field.label}${isDifferent ? ' <span class="difference-badge">difiere</span>' : ''}</th>
+                    ${cells}
+                </tr>`;
+        }).join('');
+
+        this.comparisonTable.innerHTML = `
+            <caption class="sr-only">Comparación de ${items.length} materiales</caption>
+            <thead>
+                <tr>
+                    <td></td>
+                    ${headerCells}
+                </tr>
+            </thead>
+            <tbody>${bodyRows}</tbody>`;
+    }
+
+    /**
+     * Obtiene el mejor valor numérico de un atributo
+     * Solo si hay diferencias (si todos son iguales no hay "mejor")
+     * @param {Object[]} values - [{ text, number }]
+     * @param {Object} field - Definición del atributo
+     * @returns {number|null}
+     */
+    getBestValue(values, field) {
+        if (!field.best) return null;
+
+        const numbers = values.map(value => value.number).filter(number => number !== null);
+        if (new Set(numbers).size < 2) return null;
+
+        return field.best === 'min' ? Math.min(...numbers) : Math.max(...numbers);
+    }
+
+    /**
+     * Lee los valores de comparación de una fila de la tabla
+     * @param {HTMLTableRowElement} row
+     * @returns {{name: string, category: string, fields: Object}}
+     */
+    readRow(row) {
+        const fields = {};
+
+        COMPARE_FIELDS.forEach(field => {
+            const cell = row.querySelector(`td[data-label="${field.label}"]`);
+            const textElement = cell && field.text ? cell.querySelector(field.text) : cell;
+            const text = textElement ? textElement.textContent.replace(/\s+/g, ' ').trim() : '';
+            const number = cell && field.numeric ? parseFloat(cell.dataset[field.numeric]) : NaN;
+
+            fields[field.label] = {
+                text: text || '—',
+                number: Number.isNaN(number) ? null : number
+            };
+        });
+
+        const categoryCell = row.querySelector('td[data-label="Categoría"]');
+
+        return {
+            name: this.getRowName(row),
+            category: categoryCell ? categoryCell.textContent.trim() : '',
+            fields
+        };
+    }
+
+    /**
+     * Abre el panel de comparación
+     */
+    openPanel() {
+        if (this.selected.length < 2) return;
+
+        this.isPanelOpen = true;
+        this.renderComparison();
+        this.panel.hidden = false;
+        this.drawer.classList.add('is-expanded');
+
+        if (this.openButton) {
+            this.openButton.setAttribute('aria-expanded', 'true');
+            this.openButton.textContent = 'Ocultar comparación';
+        }
+
+        // Llevar el foco al panel (accesibilidad)
+        this.panel.focus();
+    }
+
+    /**
+     * Cierra el panel de comparación
+     */
+    closePanel() {
+        if (!this.isPanelOpen) return;
+
+        this.isPanelOpen = false;
+        this.panel.hidden = true;
+        this.drawer.classList.remove('is-expanded');
+
+        if (this.openButton) {
+            this.openButton.setAttribute('aria-expanded', 'false');
+            this.openButton.textContent = 'Ver comparación';
+
+            // Devolver el foco al botón si estaba dentro del panel
+            if (this.panel.contains(document.activeElement) || document.activeElement === document.body) {
+                this.openButton.focus();
+            }
+        }
+    }
+
+    /**
+     * Anuncia un mensaje breve en el contador (región aria-live)
+     * @param {string} message
+     */
+    announce(message) {
+        if (this.countElement) {
+            this.countElement.textContent = message;
+        }
+    }
+
+    /**
+     * Busca la fila de un material
+     * @param {string} id
+     * @returns {HTMLTableRowElement|null}
+     */
+    getRow(id) {
+        return Array.from(this.tableBody.querySelectorAll('tr[data-id]'))
+            .find(row => row.dataset.id === id) || null;
+    }
+
+    /**
+     * Obtiene el nombre visible de un material
+     * @param {HTMLTableRowElement|null} row
+     * @returns {string}
+     */
+    getRowName(row) {
+        const name = row ? row.querySelector('.product-name') : null;
+        return name ? name.textContent.trim() : '';
+    }
+
+    /**
+     * Método público: Obtener los ids seleccionados
+     * @returns {string[]}
+     */
+    getSelection() {
+        return [...this.selected];
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.abortController.abort();
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default MaterialsComparison;
@@ -0,0 +1,449 @@
+/* js/components/MaterialsTable.js */
+
+/**
+ * ===================================================================
+ * MaterialsTable.js - Ordenamiento y Filtrado de la Tabla de Materiales
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Ordenamiento por columnas (th.sortable[data-sort])
+ *   · Precio y calificación numéricos, texto con collator español (tildes)
+ *   · Shift + clic agrega columnas secundarias (multi-columna)
+ * - Filtros combinados: categoría, presupuesto, nivel y búsqueda libre
+ * - Contador de resultados en vivo y estado vacío
+ * - aria-sort en los encabezados para lectores de pantalla
+ * - Dispatch del evento 'materialsFiltered' tras cada cambio
+ *
+ * Uso:
+ * import MaterialsTable from './components/MaterialsTable.js';
+ * const table = new MaterialsTable();
+ *
+ * Requiere que las filas ya estén renderizadas (ver MaterialsCatalog.js)
+ * ===================================================================
+ */
+
+import { MATERIAL_CATEGORIES, MATERIAL_BUDGETS } from '../config/constants.js';
+import { debounce, normalizeText } from '../utils/helpers.js';
+
+/**
+ * Tipo de comparación por columna
+ */
+const SORT_TYPES = {
+    name: 'text',
+    category: 'text',
+    brand: 'text',
+    price: 'number',
+    rating: 'number'
+};
+
+/**
+ * Iconos de dirección de orden
+ */
+const SORT_ICONS = {
+    none: '↕',
+    ascending: '↑',
+    descending: '↓'
+};
+
+/**
+ * Collator para comparar textos en español
+ * "Árbol" se ordena junto a "arbol", y "#12" después de "#8"
+ */
+const collator = new Intl.Collator('es', { sensitivity: 'base', numeric: true });
+
+class MaterialsTable {
+    /**
+     * Constructor - Inicializa la tabla interactiva
+     */
+    constructor() {
+        // Elementos del DOM
+        this.table = document.getElementById('materialsTable');
+        this.tableBody = document.getElementById('materialsTableBody');
+        this.searchInput = document.getElementById('searchMaterials');
+        this.resultCount = document.getElementById('materialsResultCount');
+        this.emptyState = document.getElementById('materialsEmptyState');
+        this.clearButton = document.getElementById('clearMaterialsFilters');
+        this.selects = {
+            category: document.getElementById('categoryFilter'),
+            budget: document.getElementById('budgetFilter'),
+            level: document.getElementById('levelFilter')
+        };
+
+        // Estado de filtros y orden
+        this.filters = { category: '', budget: '', level: '', search: '' };
+        this.sortKeys = []; // [{ key: 'price', direction: 'ascending' }, ...]
+
+        // Filas indexadas (se construye en refresh)
+        this.rows = [];
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+
+        // Verificar que los elementos existen
+        if (!this.table || !this.tableBody) {
+            console.warn('MaterialsTable: Elementos requeridos no encontrados (materialsTable o materialsTableBody)');
+            return;
+        }
+
+        this.headers = Array.from(this.table.querySelectorAll('th.sortable[data-sort]'));
+
+        this.init();
+    }
+
+    /**
+     * Inicializa listeners y estado inicial
+     */
+    init() {
+        const { signal } = this.abortController;
+
+        // 1. Encabezados ordenables (clic, Enter, Espacio)
+        this.headers.forEach(header => {
+            header.addEventListener('click', (e) => {
+                this.toggleSort(header.dataset.sort, e.shiftKey);
+            }, { signal });
+
+            header.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggleSort(header.dataset.sort, e.shiftKey);
+                }
+            }, { signal });
+        });
+
+        // 2. Filtros select
+        Object.entries(this.selects).forEach(([name, select]) => {
+            if (!select) return;
+
+            select.addEventListener('change', () => {
+                this.filters[name] = select.value;
+                this.apply();
+            }, { signal });
+        });
+
+        // 3. Búsqueda libre (con debounce para no filtrar en cada tecla)
+        if (this.searchInput) {
+            const onSearch = debounce(() => {
+                this.filters.search = this.searchInput.value;
+                this.apply();
+            }, 200);
+
+            this.searchInput.addEventListener('input', onSearch, { signal });
+            signal.addEventListener('abort', () => onSearch.cancel());
+        }
+
+        // 4. Botón limpiar filtros (estado vacío)
+        if (this.clearButton) {
+            this.clearButton.addEventListener('click', () => this.reset(), { signal });
+        }
+
+        // 5. Re-indexar si el catálogo vuelve a renderizar las filas
+        document.addEventListener('materialsLoaded', () => this.refresh(), { signal });
+
+        // Leer valores iniciales de los controles (ej: autocompletado del navegador)
+        this.readControls();
+        this.refresh();
+
+        console.log('✅ MaterialsTable inicializada correctamente');
+    }
+
+    /**
+     * Indexa las filas actuales del tbody con sus valores de orden y búsqueda
+     */
+    refresh() {
+        const rows = Array.from(this.tableBody.querySelectorAll('tr[data-category]'));
+
+        this.rows = rows.map((element, index) => {
+            // El presupuesto no aparece como texto en la fila: se agrega para la búsqueda
+            const budget = MATERIAL_BUDGETS[element.dataset.budget];
+            const text = `${element.textContent} ${budget ? budget.label : ''}`;
+
+            return {
+                element,
+                index,
+                category: element.dataset.category,
+                budget: element.dataset.budget,
+                level: element.dataset.level,
+                searchText: normalizeText(text.replace(/\s+/g, ' ')),
+                values: this.extractSortValues(element)
+            };
+        });
+
+        this.apply();
+    }
+
+    /**
+     * Extrae los valores de ordenamiento de una fila
+     * @param {HTMLTableRowElement} row
+     * @returns {Object} - Valores por columna
+     */
+    extractSortValues(row) {
+        const text = (selector) => {
+            const el = row.querySelector(selector);
+            return el ? el.textContent.trim() : '';
+        };
+        const number = (selector, attribute) => {
+            const el = row.querySelector(selector);
+            const value = el ? parseFloat(el.dataset[attribute]) : NaN;
+            return Number.isNaN(value) ? null : value;
+        };
+        const category = MATERIAL_CATEGORIES[row.dataset.category];
+
+        return {
+            name: text('.product-name'),
+            category: category ? category.label : row.dataset.category,
+            brand: text('td[data-label="Marca"]'),
+            price: number('.price-cell', 'price'),
+            rating: number('.rating-cell', 'rating')
+        };
+    }
+
+    /**
+     * Cambia el orden de una columna
+     * Clic: asc → desc → sin orden. Shift + clic: agrega como criterio secundario
+     * @param {string} key - Columna (data-sort)
+     * @param {boolean} additive - true para orden multi-columna
+     */
+    toggleSort(key, additive = false) {
+        if (!SORT_TYPES[key]) return;
+
+        const existing = this.sortKeys.find(sort => sort.key === key);
+        const nextDirection = !existing
+            ? 'ascending'
+            : existing.direction === 'ascending' ? 'descending' : null;
+
+        if (additive) {
+            if (!existing) {
+                this.sortKeys.push({ key, direction: nextDirection });
+            } else if (nextDirection) {
+                existing.direction = nextDirection;
+            } else {
+                this.sortKeys = this.sortKeys.filter(sort => sort.key !== key);
+            }
+        } else {
+            this.sortKeys = nextDirection ? [{ key, direction: nextDirection }] : [];
+        }
+
+        this.apply();
+    }
+
+    /**
+     * Compara dos filas según los criterios de orden activos
+     * @param {Object} a - Fila indexada
+     * @param {Object} b - Fila indexada
+     * @returns {number}
+     */
+    compareRows(a, b) {
+        for (const { key, direction } of this.sortKeys) {
+            const valueA = a.values[key];
+            const valueB = b.values[key];
+            let result;
+
+            // Valores vacíos siempre al final, sin importar la dirección
+            if (valueA === null || valueB === null) {
+                if (valueA === valueB) continue;
+                return valueA === null ? 1 : -1;
+            }
+
+            if (SORT_TYPES[key] === 'number') {
+                result = valueA - valueB;
+            } else {
+                result = collator.compare(valueA, valueB);
+            }
+
+            if (result !== 0) {
+                return direction === 'descending' ? -result : result;
+            }
+        }
+
+        // Orden estable: posición original
+        return a.index - b.index;
+    }
+
+    /**
+     * Verifica si una fila cumple todos los filtros
+     * @param {Object} row - Fila indexada
+     * @returns {boolean}
+     */
+    matchesFilters(row) {
+        const { category, budget, level, search } = this.filters;
+
+        if (category && row.category !== category) return false;
+        if (budget && row.budget !== budget) return false;
+        if (level && row.level !== level) return false;
+
+        if (search) {
+            // Todas las palabras deben aparecer (en cualquier orden)
+            const terms = normalizeText(search).split(/\s+/).filter(Boolean);
+            return terms.every(term => row.searchText.includes(term));
+        }
+
+        return true;
+    }
+
+    /**
+     * Aplica filtros y orden al DOM
+     */
+    apply() {
+        const sorted = [...this.rows].sort((a, b) => this.compareRows(a, b));
+        let visible = 0;
+
+        // Reordenar en un fragmento para un único reflow
+        const fragment = document.createDocumentFragment();
+
+        sorted.forEach(row => {
+            const matches = this.matchesFilters(row);
+            row.element.classList.toggle('filtered-out', !matches);
+            if (matches) visible++;
+            fragment.appendChild(row.element);
+        });
+
+        this.tableBody.appendChild(fragment);
+
+        this.updateSortHeaders();
+        this.updateResultCount(visible);
+        this.toggleEmptyState(visible === 0 && this.rows.length > 0);
+
+        // Notificar a otros módulos (URL, comparador, etc.)
+        this.table.dispatchEvent(new CustomEvent('materialsFiltered', {
+            detail: {
+                visible,
+                total: this.rows.length,
+                state: this.getState()
+            },
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Actualiza aria-sort, iconos y prioridad de orden en los encabezados
+     */
+    updateSortHeaders() {
+        this.headers.forEach(header => {
+            const position = this.sortKeys.findIndex(sort => sort.key === header.dataset.sort);
+            const sort = this.sortKeys[position];
+            const direction = sort ? sort.direction : 'none';
+
+            // ARIA recomienda aria-sort en un único encabezado: el criterio principal
+            header.setAttribute('aria-sort', position === 0 ? direction : 'none');
+
+            if (position > 0) {
+                header.dataset.sortPriority = position + 1;
+            } else {
+                delete header.dataset.sortPriority;
+            }
+
+            header.classList.toggle('sorted', Boolean(sort));
+
+            const icon = header.querySelector('.sort-icon');
+            if (icon) {
+                icon.textContent = SORT_ICONS[direction];
+            }
+        });
+    }
+
+    /**
+     * Actualiza el contador de resultados (región aria-live)
+     * @param {number} visible - Filas visibles
+     */
+    updateResultCount(visible) {
+        if (!this.resultCount) return;
+
+        const total = this.rows.length;
+        this.resultCount.textContent = visible === total
+            ? `Mostrando los ${total} materiales`
+            : `Mostrando ${visible} de ${total} materiales`;
+    }
+
+    /**
+     * Muestra u oculta el estado vacío
+     * @param {boolean} isEmpty
+     */
+    toggleEmptyState(isEmpty) {
+        if (this.emptyState) {
+            this.emptyState.hidden = !isEmpty;
+        }
+    }
+
+    /**
+     * Lee los valores actuales de los controles del formulario
+     */
+    readControls() {
+        Object.entries(this.selects).forEach(([name, select]) => {
+            if (select) this.filters[name] = select.value;
+        });
+
+        if (this.searchInput) {
+            this.filters.search = this.searchInput.value;
+        }
+    }
+
+    /**
+     * Escribe el estado de filtros en los controles
+     */
+    writeControls() {
+        Object.entries(this.selects).forEach(([name, select]) => {
+            if (select) select.value = this.filters[name];
+        });
+
+        if (this.searchInput) {
+            this.searchInput.value = this.filters.search;
+        }
+    }
+
+    /**
+     * Método público: Obtener el estado actual
+     * @returns {{category: string, budget: string, level: string, search: string, sort: Object[]}}
+     */
+    getState() {
+        return {
+            ...this.filters,
+            sort: this.sortKeys.map(sort => ({ ...sort }))
+        };
+    }
+
+    /**
+     * Método público: Establecer filtros y orden
+     * Los valores que no existan en los select se ignoran
+     * @param {Object} state - Estado parcial (ver getState)
+     */
+    setState(state = {}) {
+        Object.keys(this.selects).forEach(name => {
+            if (state[name] === undefined) return;
+
+            const select = this.selects[name];
+            const isValid = !select || Array.from(select.options).some(option => option.value === state[name]);
+            this.filters[name] = isValid ? state[name] : '';
+        });
+
+        if (state.search !== undefined) {
+            this.filters.search = String(state.search);
+        }
+
+        if (Array.isArray(state.sort)) {
+            this.sortKeys = state.sort
+                .filter(sort => SORT_TYPES[sort.key] && ['ascending', 'descending'].includes(sort.direction))
+                .map(sort => ({ key: sort.key, direction: sort.direction }));
+        }
+
+        this.writeControls();
+        this.apply();
+    }
+
+    /**
+     * Método público: Limpiar filtros y orden
+     */
+    reset() {
+        this.setState({ category: '', budget: '', level: '', search: '', sort: [] });
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.abortController.abort();
+        this.rows = [];
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default MaterialsTable;
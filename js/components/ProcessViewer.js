@@ -0,0 +1,514 @@
+/* js/components/ProcessViewer.js */
+
+/**
+ * ===================================================================
+ * ProcessViewer.js - Visor del Proceso Paso a Paso
+ * AcuarelaArte - Portafolio de Acuarelas
+ *
+ * Funcionalidades:
+ * - Se abre desde cualquier elemento [data-process] (lightbox o tarjetas de técnica)
+ * - Reproduce los pasos como presentación con leyenda de cada paso
+ * - Barra de desplazamiento (scrubber) para saltar a cualquier paso
+ * - Comparación antes/después con cortina entre el primer y el último paso
+ * - Teclado: flechas para navegar, espacio para reproducir/pausar, ESC para cerrar
+ * - El diálogo se crea una sola vez y se reutiliza en cualquier página
+ *
+ * Uso:
+ * import ProcessViewer from './components/ProcessViewer.js';
+ * const viewer = new ProcessViewer({
+ *     getSequence: (id) => ({ title: 'Lago al Amanecer', steps: [{ src, caption }] })
+ * });
+ * viewer.open('paisaje03');
+ * ===================================================================
+ */
+
+import { trapFocus, openModal, closeModal } from '../utils/helpers.js';
+
+/**
+ * Tiempo que se muestra cada paso durante la reproducción (ms)
+ */
+const STEP_INTERVAL = 3000;
+
+/**
+ * Posición inicial de la cortina antes/después (%)
+ */
+const WIPE_START = 50;
+
+/**
+ * Avance de la cortina con las flechas del teclado (%)
+ */
+const WIPE_KEY_STEP = 5;
+
+class ProcessViewer {
+    /**
+     * Constructor - Prepara el visor
+     * @param {Object} options
+     * @param {Function} options.getSequence - id => { title, steps: [{ src, caption }] } | null
+     */
+    constructor(options = {}) {
+        // Fuente de datos de cada secuencia
+        this.getSequence = options.getSequence || (() => null);
+
+        // Estado
+        this.isOpen = false;
+        this.sequence = null;
+        this.currentIndex = 0;
+        this.mode = 'steps';
+        this.playTimer = null;
+        this.lastFocused = null;
+        this.isDraggingWipe = false;
+
+        // Para remover todos los listeners en cleanup()
+        this.abortController = new AbortController();
+
+        this.init();
+    }
+
+    /**
+     * Crea el diálogo e inicializa los event listeners
+     */
+    init() {
+        const { signal } = this.abortController;
+
+        this.createDialog();
+
+        // 1. Abrir desde cualquier [data-process] (delegación: sirve para el lightbox y las técnicas)
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-process]');
+            if (!trigger || this.dialog.contains(trigger)) return;
+
+            e.preventDefault();
+            this.open(trigger.dataset.process, trigger);
+        }, { signal });
+
+        // 2. Controles
+        this.closeButton.addEventListener('click', () => this.close(), { signal });
+        this.prevButton.addEventListener('click', () => this.prev(), { signal });
+        this.nextButton.addEventListener('click', () => this.next(), { signal });
+        this.playButton.addEventListener('click', () => this.togglePlay(), { signal });
+
+        this.modeButtons.forEach(button => {
+            button.addEventListener('click', () => this.setMode(button.dataset.mode), { signal });
+        });
+
+        this.scrubber.addEventListener('input', () => {
+            this.pause();
+            this.goTo(Number(this.scrubber.value) - 1);
+        }, { signal });
+
+        this.wipeRange.addEventListener('input', () => {
+            this.setWipe(Number(this.wipeRange.value));
+        }, { signal });
+
+        // 3. Arrastrar la cortina directamente sobre la imagen
+        this.setupWipeDrag(signal);
+
+        // Clic en el fondo oscuro cierra
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) {
+                this.close();
+            }
+        }, { signal });
+
+        // 4. Teclado (no se propaga: el lightbox puede estar abierto debajo)
+        this.dialog.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+        console.log('✅ ProcessViewer inicializado correctamente');
+    }
+
+    /**
+     * Crea el marcado del diálogo y lo añade al body
+     */
+    createDialog() {
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'process-viewer';
+        this.dialog.id = 'processViewer';
+        this.dialog.setAttribute('role', 'dialog');
+        this.dialog.setAttribute('aria-labelledby', 'processViewerTitle');
+        this.dialog.setAttribute('aria-hidden', 'true');
+
+        this.dialog.innerHTML = `
+            <div class="process-viewer-content">
+                <header class="process-viewer-header">
+                    <h3 class="process-viewer-title" id="processViewerTitle"></h3>
+                    <button type="button" class="process-viewer-close" aria-label="Cerrar proceso paso a paso">
+                        <span aria-hidden="true">&times;</span>
+                    </button>
+                </header>
+
+                <div class="process-viewer-modes" role="group" aria-label="Modo de visualización">
+                    <button type="button" class="process-mode-btn active" data-mode="steps" aria-pressed="true">Paso a paso</button>
+                    <button type="button" class="process-mode-btn" data-mode="compare" aria-pressed="false">Antes / después</button>
+                </div>
+
+                <div class="process-stage">
+                    <figure class="process-step">
+                        <img class="process-step-image" alt="">
+                        <figcaption class="process-step-caption" aria-live="polite"></figcaption>
+                    </figure>
+
+                    <div class="process-compare" hidden>
+                        <img class="process-compare-after" alt="">
+                        <img class="process-compare-before" alt="">
+                        <span class="process-compare-handle" aria-hidden="true"></span>
+                        <span class="process-compare-label before">Antes</span>
+                        <span class="process-compare-label after">Después</span>
+                    </div>
+                </div>
+
+                <div class="process-controls" data-controls="steps">
+                    <button type="button" class="process-btn" data-action="prev" aria-label="Paso anterior">
+                        <span aria-hidden="true">❮</span>
+                    </button>
+                    <button type="button" class="process-btn" data-action="play" aria-label="Reproducir pasos">
+                        <span aria-hidden="true">▶</span>
+                    </button>
+                    <button type="button" class="process-btn" data-action="next" aria-label="Paso siguiente">
+                        <span aria-hidden="true">❯</span>
+                    </button>
+                    <input type="range" class="process-scrubber" min="1" max="1" step="1" value="1"
+                           aria-label="Ir al paso">
+                    <span class="process-counter"></span>
+                </div>
+
+                <div class="process-controls" data-controls="compare" hidden>
+                    <input type="range" class="process-wipe-range" min="0" max="100" step="1" value="${WIPE_START}"
+                           aria-label="Posición de la comparación antes/después">
+                </div>
+            </div>`;
+
+        document.body.appendChild(this.dialog);
+
+        // Referencias
+        const $ = (selector) => this.dialog.querySelector(selector);
+
+        this.title = $('.process-viewer-title');
+        this.closeButton = $('.process-viewer-close');
+        this.modeButtons = Array.from(this.dialog.querySelectorAll('.process-mode-btn'));
+        this.stepView = $('.process-step');
+        this.stepImage = $('.process-step-image');
+        this.stepCaption = $('.process-step-caption');
+        this.compareView = $('.process-compare');
+        this.beforeImage = $('.process-compare-before');
+        this.afterImage = $('.process-compare-after');
+        this.stepControls = $('[data-controls="steps"]');
+        this.compareControls = $('[data-controls="compare"]');
+        this.prevButton = $('[data-action="prev"]');
+        this.playButton = $('[data-action="play"]');
+        this.nextButton = $('[data-action="next"]');
+        this.scrubber = $('.process-scrubber');
+        this.counter = $('.process-counter');
+        this.wipeRange = $('.process-wipe-range');
+    }
+
+    /**
+     * Método público: Abrir la secuencia de una obra
+     * @param {string} id - Valor de data-process
+     * @param {HTMLElement} [trigger] - Elemento que abrió el visor
+     */
+    open(id, trigger = null) {
+        const sequence = this.getSequence(id);
+
+        if (!sequence || !Array.isArray(sequence.steps) || sequence.steps.length === 0) {
+            console.warn(`ProcessViewer: No hay pasos para "${id}"`);
+            return;
+        }
+
+        this.sequence = sequence;
+        this.lastFocused = trigger || document.activeElement;
+
+        this.title.textContent = sequence.title ? `Proceso: ${sequence.title}` : 'Proceso paso a paso';
+        this.scrubber.max = sequence.steps.length;
+
+        // La comparación solo tiene sentido con al menos dos pasos
+        const canCompare = sequence.steps.length > 1;
+        this.modeButtons.find(button => button.dataset.mode === 'compare').hidden = !canCompare;
+
+        this.setMode('steps');
+        this.goTo(0);
+        this.setupCompare();
+
+        this.isOpen = true;
+        openModal(this.dialog, { bodyClass: 'process-viewer-open', initialFocus: this.closeButton });
+
+        this.dialog.dispatchEvent(new CustomEvent('processViewerOpened', {
+            detail: { id, steps: sequence.steps.length },
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Método público: Cerrar el visor
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.pause();
+        this.isOpen = false;
+        this.sequence = null;
+
+        // Devolver focus al elemento que abrió el visor
+        closeModal(this.dialog, { bodyClass: 'process-viewer-open', returnFocus: this.lastFocused });
+        this.lastFocused = null;
+
+        this.dialog.dispatchEvent(new CustomEvent('processViewerClosed', { bubbles: true }));
+    }
+
+    /**
+     * Método público: Ir a un paso concreto
+     * @param {number} index - Índice del paso (0 = primero)
+     */
+    goTo(index) {
+        if (!this.sequence) return;
+
+        const steps = this.sequence.steps;
+        this.currentIndex = Math.min(Math.max(index, 0), steps.length - 1);
+
+        const step = steps[this.currentIndex];
+        const position = this.currentIndex + 1;
+        const label = `Paso ${position} de ${steps.length}`;
+
+        this.stepImage.src = step.src;
+        this.stepImage.alt = step.caption ? `${label}: ${step.caption}` : label;
+        this.stepCaption.innerHTML = '';
+        this.stepCaption.append(
+            Object.assign(document.createElement('strong'), { textContent: label }),
+            step.caption ? ` — ${step.caption}` : ''
+        );
+
+        this.scrubber.value = position;
+        this.scrubber.setAttribute('aria-valuetext', label);
+        this.counter.textContent = `${position} / ${steps.length}`;
+
+        this.prevButton.disabled = this.currentIndex === 0;
+        this.nextButton.disabled = this.currentIndex === steps.length - 1;
+    }
+
+    /**
+     * Método público: Paso siguiente
+     */
+    next() {
+        this.pause();
+        this.goTo(this.currentIndex + 1);
+    }
+
+    /**
+     * Método público: Paso anterior
+     */
+    prev() {
+        this.pause();
+        this.goTo(this.currentIndex - 1);
+    }
+
+    /**
+     * Método público: Reproducir los pasos en secuencia
+     * Al terminar se detiene en el último paso
+     */
+    play() {
+        if (!this.sequence || this.playTimer) return;
+
+        // Si ya estaba en el último paso, empezar de nuevo
+        if (this.currentIndex === this.sequence.steps.length - 1) {
+            this.goTo(0);
+        }
+
+        this.playTimer = setInterval(() => {
+            if (this.currentIndex >= this.sequence.steps.length - 1) {
+                this.pause();
+                return;
+            }
+            this.goTo(this.currentIndex + 1);
+        }, STEP_INTERVAL);
+
+        this.updatePlayButton();
+    }
+
+    /**
+     * Método público: Pausar la reproducción
+     */
+    pause() {
+        if (!this.playTimer) return;
+
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+        this.updatePlayButton();
+    }
+
+    /**
+     * Alterna reproducir/pausar
+     */
+    togglePlay() {
+        if (this.playTimer) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Actualiza icono y etiqueta del botón reproducir
+     */
+    updatePlayButton() {
+        const isPlaying = Boolean(this.playTimer);
+        this.playButton.querySelector('span').textContent = isPlaying ? '❚❚' : '▶';
+        this.playButton.setAttribute('aria-label', isPlaying ? 'Pausar pasos' : 'Reproducir pasos');
+        this.playButton.classList.toggle('is-playing', isPlaying);
+    }
+
+    /**
+     * Método público: Cambiar entre 'steps' y 'compare'
+     * @param {string} mode
+     */
+    setMode(mode) {
+        this.mode = mode === 'compare' ? 'compare' : 'steps';
+        const isCompare = this.mode === 'compare';
+
+        if (isCompare) this.pause();
+
+        this.stepView.hidden = isCompare;
+        this.stepControls.hidden = isCompare;
+        this.compareView.hidden = !isCompare;
+        this.compareControls.hidden = !isCompare;
+
+        this.modeButtons.forEach(button => {
+            const isActive = button.dataset.mode === this.mode;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive);
+        });
+    }
+
+    /**
+     * Prepara la comparación entre el primer y el último paso
+     */
+    setupCompare() {
+        const steps = this.sequence.steps;
+        const first = steps[0];
+        const last = steps[steps.length - 1];
+
+        this.beforeImage.src = first.src;
+        this.beforeImage.alt = `Antes: ${first.caption || 'primer paso'}`;
+        this.afterImage.src = last.src;
+        this.afterImage.alt = `Después: ${last.caption || 'último paso'}`;
+
+        this.setWipe(WIPE_START);
+    }
+
+    /**
+     * Mueve la cortina antes/después
+     * @param {number} percent - 0 (todo después) a 100 (todo antes)
+     */
+    setWipe(percent) {
+        const value = Math.min(Math.max(Math.round(percent), 0), 100);
+
+        this.compareView.style.setProperty('--wipe-position', `${value}%`);
+        this.wipeRange.value = value;
+        this.wipeRange.setAttribute('aria-valuetext', `${value}% antes, ${100 - value}% después`);
+    }
+
+    /**
+     * Permite arrastrar la cortina con mouse o dedo
+     * @param {AbortSignal} signal
+     */
+    setupWipeDrag(signal) {
+        const updateFromPointer = (e) => {
+            const rect = this.compareView.getBoundingClientRect();
+            if (rect.width === 0) return;
+            this.setWipe(((e.clientX - rect.left) / rect.width) * 100);
+        };
+
+        this.compareView.addEventListener('pointerdown', (e) => {
+            this.isDraggingWipe = true;
+            if (this.compareView.setPointerCapture) {
+                this.compareView.setPointerCapture(e.pointerId);
+            }
+            updateFromPointer(e);
+        }, { signal });
+
+        this.compareView.addEventListener('pointermove', (e) => {
+            if (this.isDraggingWipe) updateFromPointer(e);
+        }, { signal });
+
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.compareView.addEventListener(type, () => {
+                this.isDraggingWipe = false;
+            }, { signal });
+        });
+    }
+
+    /**
+     * Maneja el teclado dentro del visor
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (!this.isOpen) return;
+
+        // El lightbox escucha en document: no dejar que cierre o navegue debajo
+        e.stopPropagation();
+
+        // Los sliders manejan sus propias flechas
+        const isRange = e.target.type === 'range';
+
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+
+            case 'ArrowRight':
+            case 'ArrowLeft':
+                if (isRange) break;
+                e.preventDefault();
+                if (this.mode === 'compare') {
+                    const delta = e.key === 'ArrowRight' ? WIPE_KEY_STEP : -WIPE_KEY_STEP;
+                    this.setWipe(Number(this.wipeRange.value) + delta);
+                } else if (e.key === 'ArrowRight') {
+                    this.next();
+                } else {
+                    this.prev();
+                }
+                break;
+
+            case ' ':
+                if (this.mode !== 'steps' || e.target.tagName === 'BUTTON') break;
+                e.preventDefault();
+                this.togglePlay();
+                break;
+
+            case 'Tab':
+                trapFocus(this.dialog, e);
+                break;
+        }
+    }
+
+    /**
+     * Método público: Estado actual
+     * @returns {{isOpen: boolean, mode: string, step: number, total: number, isPlaying: boolean}}
+     */
+    getState() {
+        return {
+            isOpen: this.isOpen,
+            mode: this.mode,
+            step: this.sequence ? this.currentIndex + 1 : 0,
+            total: this.sequence ? this.sequence.steps.length : 0,
+            isPlaying: Boolean(this.playTimer)
+        };
+    }
+
+    /**
+     * Limpieza de recursos
+     */
+    cleanup() {
+        this.pause();
+        this.abortController.abort();
+        document.body.classList.remove('process-viewer-open');
+
+        if (this.dialog) {
+            this.dialog.remove();
+        }
+
+        console.log('🗑️ ProcessViewer: Destruido');
+    }
+}
+
+// Exportar para uso como módulo ES6
+export default ProcessViewer;
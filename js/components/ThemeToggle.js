@@ -1,32 +1,65 @@
 /* js/components/ThemeToggle.js */
 
+import { getItem, setItem, removeItem, onChange } from '../utils/storage.js';
+import {
+    SYSTEM_THEME,
+    AUTO_THEME,
+    DEFAULT_LIGHT_THEME,
+    DEFAULT_DARK_THEME,
+    getTheme,
+    getThemes,
+    hasTheme
+} from '../config/themes.js';
+
+/**
+ * Horario por defecto del modo automático (hora local, 'HH:MM')
+ * sunrise: pasa a claro · sunset: pasa a oscuro
+ */
+const DEFAULT_SCHEDULE = {
+    sunrise: '07:00',
+    sunset: '20:00'
+};
+
+/**
+ * Formato de hora aceptado en el horario
+ */
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
 /**
  * Clase ThemeToggle
- * Gestiona el cambio entre tema claro y oscuro del sitio
+ * Gestiona el tema del sitio: botón claro/oscuro y selector con todos
+ * los temas registrados en config/themes.js (más "Sistema")
  * @class
  */
 class ThemeToggle {
     /**
      * Constructor de ThemeToggle
      * Inicializa el sistema de temas y configura eventos
+     * @param {Object} [options]
+     * @param {{sunrise: string, sunset: string}} [options.schedule] - Horario del modo automático
+     *        si el usuario no ha guardado uno propio
      */
-    constructor() {
+    constructor(options = {}) {
         // Elementos DOM
         this.toggleButton = document.getElementById('themeToggle');
         this.htmlElement = document.documentElement;
         this.metaThemeColor = document.querySelector('meta[name="theme-color"]');
+        this.picker = document.getElementById('themePicker');
         
-        // Estado del tema
+        // Temas del botón claro/oscuro (el resto se elige en el selector)
         this.themes = {
-            LIGHT: 'light',
-            DARK: 'dark'
+            LIGHT: DEFAULT_LIGHT_THEME,
+            DARK: DEFAULT_DARK_THEME
         };
         
-        // Colores del meta theme-color
-        this.themeColors = {
-            light: '#FEFEFE',
-            dark: '#1A1A1A'
-        };
+        // Horario del modo automático (el guardado por el usuario tiene prioridad)
+        this.defaultSchedule = { ...DEFAULT_SCHEDULE, ...options.schedule };
+        
+        // Temporizador hasta el próximo cambio del modo automático
+        this.autoTimer = null;
+        
+        // Cancela la suscripción a cambios de otras pestañas
+        this.unsubscribeStorage = null;
         
         // Verificar que el botón existe
         if (!this.toggleButton) {
@@ -54,10 +87,19 @@ class ThemeToggle {
         // 3. Configurar event listeners
         this.setupEventListeners();
         
+        // 3b. Selector de temas junto al botón
+        this.setupPicker();
+        
         // 4. Observar cambios en la preferencia del sistema
         this.watchSystemPreference();
         
-        // 5. Actualizar atributos ARIA
+        // 5. Seguir los cambios de tema hechos en otras pestañas
+        this.watchOtherTabs();
+        
+        // 5b. Programar el próximo cambio si el modo es automático
+        this.scheduleAutoSwitch();
+        
+        // 6. Actualizar atributos ARIA
         this.updateAriaAttributes();
         
         console.log(`🎨 Tema inicial: ${initialTheme}`);
@@ -65,32 +107,38 @@ class ThemeToggle {
     
     /**
      * Detecta el tema inicial a usar
-     * Prioridad: localStorage > preferencia del sistema > tema claro por defecto
-     * @returns {string} - 'light' o 'dark'
+     * Prioridad: tema guardado > horario (modo automático) > preferencia del sistema
+     * @returns {string} - Id de un tema registrado
      */
     getInitialTheme() {
-        // 1. Verificar si hay tema guardado en localStorage
-        const savedTheme = localStorage.getItem('theme');
-        if (savedTheme && (savedTheme === this.themes.LIGHT || savedTheme === this.themes.DARK)) {
-            return savedTheme;
+        return this.resolveTheme();
+    }
+    
+    /**
+     * Tema que corresponde a la preferencia actual
+     * @returns {string} - Id de un tema registrado
+     */
+    resolveTheme() {
+        const preference = this.getPreference();
+        
+        // Automático: cambio manual vigente o, si no hay, el del horario
+        if (preference === AUTO_THEME) {
+            const override = getItem('themeOverride');
+            return hasTheme(override) ? override : this.getScheduledTheme();
         }
         
-        // 2. Detectar preferencia del sistema
-        if (window.matchMedia) {
-            const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-            if (prefersDark) {
-                return this.themes.DARK;
-            }
+        // Sistema: claro si no se puede detectar
+        if (preference === SYSTEM_THEME) {
+            return this.getSystemTheme();
         }
         
-        // 3. Tema claro por defecto
-        return this.themes.LIGHT;
+        return preference;
     }
     
     /**
      * Aplica el tema sin animación de transición
      * Usado solo en la carga inicial para evitar flash
-     * @param {string} theme - 'light' o 'dark'
+     * @param {string} theme - Id de un tema registrado
      */
     applyThemeWithoutTransition(theme) {
         // Desactivar transiciones temporalmente
@@ -125,13 +173,69 @@ class ThemeToggle {
         });
         
         // Evento custom para cambio de tema programático
+        // (acepta también 'system' y 'auto'; 'schedule' cambia el horario)
+        // Ej: { theme: 'auto', schedule: { sunrise: '08:00', sunset: '19:30' } }
         document.addEventListener('setTheme', (e) => {
-            if (e.detail && e.detail.theme) {
-                this.setTheme(e.detail.theme);
+            if (!e.detail) return;
+            
+            if (e.detail.schedule) {
+                this.setSchedule(e.detail.schedule);
+            }
+            if (e.detail.theme) {
+                this.setPreference(e.detail.theme);
+            }
+        });
+        
+        // Al volver a la pestaña (o despertar el equipo) los temporizadores
+        // pueden haberse retrasado: se revisa el modo automático
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.getPreference() === AUTO_THEME) {
+                this.applyAutoTheme();
             }
         });
     }
     
+    /**
+     * Crea el selector de temas (si la página no lo trae) y lo sincroniza
+     */
+    setupPicker() {
+        if (!this.picker) {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'theme-picker';
+            wrapper.innerHTML = `
+                <label class="sr-only" for="themePicker">Tema de colores</label>
+                <select class="theme-picker-select" id="themePicker" title="Tema de colores"></select>`;
+            
+            this.toggleButton.after(wrapper);
+            this.picker = wrapper.querySelector('select');
+        }
+        
+        const options = [
+            { id: SYSTEM_THEME, label: 'Sistema', icon: '💻' },
+            { id: AUTO_THEME, label: 'Automático (por horario)', icon: '🕒' },
+            ...getThemes()
+        ];
+        
+        this.picker.innerHTML = options
+            .map(theme => `<option value="${theme.id}">${theme.icon} ${theme.label}</option>`)
+            .join('');
+        
+        this.picker.addEventListener('change', () => {
+            this.setPreference(this.picker.value);
+        });
+        
+        this.updatePicker();
+    }
+    
+    /**
+     * Marca en el selector la preferencia actual
+     */
+    updatePicker() {
+        if (this.picker) {
+            this.picker.value = this.getPreference();
+        }
+    }
+    
     /**
      * Observa cambios en la preferencia de color del sistema
      */
@@ -142,25 +246,70 @@ class ThemeToggle {
         
         // Listener para cambios en la preferencia del sistema
         darkModeQuery.addEventListener('change', (e) => {
-            // Solo actualizar si no hay tema guardado manualmente
-            if (!localStorage.getItem('theme')) {
+            // Solo actualizar si la preferencia es "Sistema"
+            if (this.getPreference() === SYSTEM_THEME) {
                 const newTheme = e.matches ? this.themes.DARK : this.themes.LIGHT;
-                this.setTheme(newTheme, true);
+                // Sin guardar: así se sigue al sistema también en el próximo cambio
+                this.setTheme(newTheme, false);
                 console.log(`🔄 Tema actualizado por preferencia del sistema: ${newTheme}`);
             }
         });
     }
     
+    /**
+     * Aplica los cambios de tema guardados desde otras pestañas
+     * El valor ya está guardado: se aplica sin volver a guardarlo,
+     * así no se generan nuevos eventos 'storage' ni bucles entre pestañas
+     */
+    watchOtherTabs() {
+        const syncFromOtherTab = ({ external }) => {
+            if (!external) return;
+            
+            // Preferencia, cambio manual u horario: se recalcula todo
+            this.scheduleAutoSwitch();
+            const theme = this.resolveTheme();
+            
+            if (theme !== this.getCurrentTheme()) {
+                this.setTheme(theme, false);
+                console.log(`🔄 Tema sincronizado desde otra pestaña: ${theme}`);
+            } else {
+                // Mismo tema, pero otra preferencia (ej: de "Sistema" a elegido)
+                this.updatePicker();
+            }
+        };
+        
+        const unsubscribers = ['theme', 'themeOverride', 'themeSchedule']
+            .map(key => onChange(key, syncFromOtherTab));
+        
+        this.unsubscribeStorage = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+    
+    /**
+     * Tema según la preferencia del sistema
+     * @returns {string} - Tema claro u oscuro por defecto
+     */
+    getSystemTheme() {
+        return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches
+            ? this.themes.DARK
+            : this.themes.LIGHT;
+    }
+    
     /**
      * Cambia entre tema claro y oscuro
+     * Desde otro tema (papel, contraste...) se pasa al opuesto de su esquema.
+     * En modo automático el cambio dura hasta el próximo cambio del horario
      */
     toggleTheme() {
         const currentTheme = this.getCurrentTheme();
-        const newTheme = currentTheme === this.themes.LIGHT 
-            ? this.themes.DARK 
-            : this.themes.LIGHT;
-        
-        this.setTheme(newTheme, true);
+        const newTheme = this.isDarkScheme(currentTheme) 
+            ? this.themes.LIGHT 
+            : this.themes.DARK;
+        
+        if (this.getPreference() === AUTO_THEME) {
+            this.setOverride(newTheme);
+        } else {
+            this.setTheme(newTheme, true);
+        }
         
         // Feedback visual: animación del botón
         this.animateButton();
@@ -170,37 +319,203 @@ class ThemeToggle {
     
     /**
      * Establece un tema específico
-     * @param {string} theme - 'light' o 'dark'
-     * @param {boolean} saveToStorage - Si debe guardarse en localStorage
+     * @param {string} theme - Id de un tema registrado
+     * @param {boolean} saveToStorage - Si debe guardarse en storage
      */
     setTheme(theme, saveToStorage = true) {
         // Validar tema
-        if (theme !== this.themes.LIGHT && theme !== this.themes.DARK) {
+        const definition = getTheme(theme);
+        if (!definition) {
             console.error(`❌ Tema inválido: ${theme}`);
             return;
         }
         
-        // 1. Actualizar atributo data-theme en <html>
+        // 1. Actualizar data-theme y esquema de color (controles nativos) en <html>
         this.htmlElement.setAttribute('data-theme', theme);
+        this.htmlElement.setAttribute('data-color-scheme', definition.colorScheme);
+        this.htmlElement.style.colorScheme = definition.colorScheme;
         
-        // 2. Guardar en localStorage si es necesario
+        // 2. Guardar si es necesario (deja de ser automático)
         if (saveToStorage) {
-            localStorage.setItem('theme', theme);
+            setItem('theme', theme);
+            this.scheduleAutoSwitch();
         }
         
         // 3. Actualizar meta theme-color
         this.updateMetaThemeColor(theme);
         
-        // 4. Actualizar atributos ARIA
+        // 4. Actualizar atributos ARIA y selector
         this.updateAriaAttributes();
+        this.updatePicker();
         
         // 5. Dispatch evento custom para otros componentes
         this.dispatchThemeChangeEvent(theme);
     }
     
+    /**
+     * Método público: Elegir preferencia de tema
+     * @param {string} preference - Id de un tema registrado o 'system'
+     */
+    setPreference(preference) {
+        if (preference === SYSTEM_THEME) {
+            this.resetToSystemPreference();
+        } else if (preference === AUTO_THEME) {
+            setItem('theme', AUTO_THEME);
+            removeItem('themeOverride');
+            this.applyAutoTheme();
+            console.log(`🕒 Tema automático: ${this.getCurrentTheme()}`);
+        } else {
+            this.setTheme(preference, true);
+        }
+    }
+    
+    /**
+     * Método público: Preferencia guardada
+     * @returns {string} - Id del tema elegido, 'auto' o 'system' si se sigue al sistema
+     */
+    getPreference() {
+        const savedTheme = getItem('theme');
+        return savedTheme === AUTO_THEME || hasTheme(savedTheme) ? savedTheme : SYSTEM_THEME;
+    }
+    
+    /**
+     * Modo automático: aplica el tema que toca y programa el siguiente cambio
+     */
+    applyAutoTheme() {
+        this.scheduleAutoSwitch();
+        
+        const theme = this.resolveTheme();
+        if (theme !== this.getCurrentTheme()) {
+            this.setTheme(theme, false);
+        } else {
+            this.updatePicker();
+        }
+    }
+    
+    /**
+     * Cambio manual en modo automático: se respeta hasta el próximo cambio del horario
+     * (caduca solo gracias al TTL de storage)
+     * @param {string} theme - Id de un tema registrado
+     */
+    setOverride(theme) {
+        setItem('themeOverride', theme, { ttl: this.getNextSwitch() - Date.now() });
+        this.setTheme(theme, false);
+    }
+    
+    /**
+     * Programa el temporizador hasta el próximo cambio del horario
+     * Sin modo automático solo cancela el temporizador pendiente
+     */
+    scheduleAutoSwitch() {
+        clearTimeout(this.autoTimer);
+        this.autoTimer = null;
+        
+        if (this.getPreference() !== AUTO_THEME) return;
+        
+        this.autoTimer = setTimeout(() => {
+            // Termina el cambio manual: vuelve a mandar el horario
+            removeItem('themeOverride');
+            this.applyAutoTheme();
+            console.log(`🕒 Cambio de tema programado: ${this.getCurrentTheme()}`);
+        }, Math.max(0, this.getNextSwitch() - Date.now()));
+    }
+    
+    /**
+     * Tema que corresponde al horario en un momento dado
+     * @param {Date} [date=new Date()]
+     * @returns {string} - Tema claro u oscuro por defecto
+     */
+    getScheduledTheme(date = new Date()) {
+        const { sunrise, sunset } = this.getSchedule();
+        const start = toMinutes(sunrise);
+        const end = toMinutes(sunset);
+        const now = date.getHours() * 60 + date.getMinutes();
+        
+        // Admite horarios que cruzan medianoche (sunrise posterior a sunset)
+        const isDay = start < end
+            ? now >= start && now < end
+            : now >= start || now < end;
+        
+        return isDay ? this.themes.LIGHT : this.themes.DARK;
+    }
+    
+    /**
+     * Método público: Momento del próximo cambio del horario
+     * @param {Date} [date=new Date()]
+     * @returns {number} - Timestamp (ms)
+     */
+    getNextSwitch(date = new Date()) {
+        const { sunrise, sunset } = this.getSchedule();
+        const candidates = [];
+        
+        // Hoy y mañana: con new Date(...) local se respetan los cambios de horario de verano
+        [0, 1].forEach(dayOffset => {
+            [sunrise, sunset].forEach(time => {
+                const minutes = toMinutes(time);
+                const moment = new Date(
+                    date.getFullYear(), date.getMonth(), date.getDate() + dayOffset,
+                    Math.floor(minutes / 60), minutes % 60
+                );
+                if (moment > date) candidates.push(moment.getTime());
+            });
+        });
+        
+        return Math.min(...candidates);
+    }
+    
+    /**
+     * Método público: Horario del modo automático
+     * @returns {{sunrise: string, sunset: string}}
+     */
+    getSchedule() {
+        const saved = getItem('themeSchedule');
+        return isValidSchedule(saved) ? saved : this.defaultSchedule;
+    }
+    
+    /**
+     * Método público: Cambiar el horario del modo automático
+     * @param {{sunrise: string, sunset: string}} schedule - Horas locales 'HH:MM'
+     * @returns {boolean} - false si el horario no es válido
+     */
+    setSchedule(schedule) {
+        const next = { ...this.getSchedule(), ...schedule };
+        
+        if (!isValidSchedule(next)) {
+            console.error('❌ Horario de tema inválido:', schedule);
+            return false;
+        }
+        
+        setItem('themeSchedule', { sunrise: next.sunrise, sunset: next.sunset });
+        
+        // El cambio manual caducaba en el límite anterior: se descarta
+        removeItem('themeOverride');
+        
+        const previousTheme = this.getCurrentTheme();
+        if (this.getPreference() === AUTO_THEME) {
+            this.applyAutoTheme();
+        }
+        
+        // Avisar del nuevo horario aunque no cambie el tema
+        if (this.getCurrentTheme() === previousTheme) {
+            this.dispatchThemeChangeEvent(previousTheme);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Comprueba si un tema es de esquema oscuro
+     * @param {string} theme
+     * @returns {boolean}
+     */
+    isDarkScheme(theme) {
+        const definition = getTheme(theme);
+        return Boolean(definition) && definition.colorScheme === 'dark';
+    }
+    
     /**
      * Obtiene el tema actual
-     * @returns {string} - 'light' o 'dark'
+     * @returns {string} - Id del tema aplicado
      */
     getCurrentTheme() {
         const theme = this.htmlElement.getAttribute('data-theme');
@@ -209,7 +524,7 @@ class ThemeToggle {
     
     /**
      * Actualiza el meta tag theme-color del navegador
-     * @param {string} theme - 'light' o 'dark'
+     * @param {string} theme - Id de un tema registrado
      */
     updateMetaThemeColor(theme) {
         if (!this.metaThemeColor) {
@@ -219,7 +534,7 @@ class ThemeToggle {
             document.head.appendChild(this.metaThemeColor);
         }
         
-        const color = this.themeColors[theme];
+        const color = getTheme(theme).themeColor;
         this.metaThemeColor.setAttribute('content', color);
     }
     
@@ -227,13 +542,13 @@ class ThemeToggle {
      * Actualiza los atributos ARIA para accesibilidad
      */
     updateAriaAttributes() {
-        const currentTheme = this.getCurrentTheme();
-        const label = currentTheme === this.themes.LIGHT 
-            ? 'Cambiar a modo oscuro' 
-            : 'Cambiar a modo claro';
+        const isDark = this.isDarkScheme(this.getCurrentTheme());
+        const label = isDark 
+            ? 'Cambiar a modo claro' 
+            : 'Cambiar a modo oscuro';
         
         this.toggleButton.setAttribute('aria-label', label);
-        this.toggleButton.setAttribute('aria-pressed', currentTheme === this.themes.DARK);
+        this.toggleButton.setAttribute('aria-pressed', isDark);
         
         // Actualizar title para tooltip
         this.toggleButton.title = label;
@@ -255,12 +570,16 @@ class ThemeToggle {
     /**
      * Dispatch evento custom cuando el tema cambia
      * Permite que otros componentes reaccionen al cambio
-     * @param {string} theme - 'light' o 'dark'
+     * @param {string} theme - Id del tema aplicado
      */
     dispatchThemeChangeEvent(theme) {
         const event = new CustomEvent('themeChanged', {
             detail: {
                 theme: theme,
+                colorScheme: getTheme(theme).colorScheme,
+                preference: this.getPreference(),
+                schedule: this.getSchedule(),
+                nextSwitch: this.getPreference() === AUTO_THEME ? this.getNextSwitch() : null,
                 timestamp: Date.now()
             },
             bubbles: true,
@@ -272,7 +591,7 @@ class ThemeToggle {
     
     /**
      * Método público: Obtener el tema actual
-     * @returns {string} - 'light' o 'dark'
+     * @returns {string} - Id del tema aplicado
      */
     getTheme() {
         return this.getCurrentTheme();
@@ -280,7 +599,7 @@ class ThemeToggle {
     
     /**
      * Método público: Establecer tema programáticamente
-     * @param {string} theme - 'light' o 'dark'
+     * @param {string} theme - Id de un tema registrado
      */
     setThemePublic(theme) {
         this.setTheme(theme, true);
@@ -290,10 +609,10 @@ class ThemeToggle {
      * Método público: Reset tema a preferencia del sistema
      */
     resetToSystemPreference() {
-        localStorage.removeItem('theme');
-        const systemTheme = window.matchMedia('(prefers-color-scheme: dark)').matches 
-            ? this.themes.DARK 
-            : this.themes.LIGHT;
+        removeItem('theme');
+        removeItem('themeOverride');
+        this.scheduleAutoSwitch();
+        const systemTheme = this.getSystemTheme();
         this.setTheme(systemTheme, false);
         console.log(`🔄 Tema reseteado a preferencia del sistema: ${systemTheme}`);
     }
@@ -304,10 +623,38 @@ class ThemeToggle {
     destroy() {
         // Remover event listeners si es necesario
         // (Para uso en aplicaciones SPA)
+        clearTimeout(this.autoTimer);
+        
+        if (this.unsubscribeStorage) {
+            this.unsubscribeStorage();
+            this.unsubscribeStorage = null;
+        }
         console.log('🗑️ ThemeToggle: Destruido');
     }
 }
 
+/**
+ * Convierte 'HH:MM' en minutos desde medianoche
+ * @param {string} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Comprueba que un horario tiene dos horas válidas y distintas
+ * @param {*} schedule
+ * @returns {boolean}
+ */
+function isValidSchedule(schedule) {
+    return Boolean(schedule)
+        && TIME_PATTERN.test(schedule.sunrise)
+        && TIME_PATTERN.test(schedule.sunset)
+        && schedule.sunrise !== schedule.sunset;
+}
+
 /* ===================================================================
    ESTILOS CSS REQUERIDOS PARA EL TOGGLE BUTTON
    Agregar estos estilos a tu archivo CSS principal o buttons.css
@@ -348,7 +695,7 @@ class ThemeToggle {
     box-shadow: 0 2px 4px var(--shadow-color);
 }
 
-[data-theme="dark"] .theme-toggle::before {
+[data-color-scheme="dark"] .theme-toggle::before {
     transform: translateX(30px);
 }
 
@@ -362,7 +709,7 @@ class ThemeToggle {
     transition: opacity var(--duration-fast) var(--ease-out);
 }
 
-[data-theme="dark"] .theme-toggle::after {
+[data-color-scheme="dark"] .theme-toggle::after {
     content: '🌙';
     left: auto;
     right: 8px;
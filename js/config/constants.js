@@ -1 +1,75 @@
-/* js/config/constants.js */
\ No newline at end of file
+/* js/config/constants.js */
+
+/**
+ * CONSTANTS - Valores compartidos del proyecto AcuarelaArte
+ * Catálogos cerrados que usan los módulos y los datos en /data
+ *
+ * @module constants
+ * @version 1.0.0
+ */
+
+// ===================================================================
+// MATERIALES
+// ===================================================================
+
+/**
+ * Categorías de materiales (coinciden con #categoryFilter)
+ */
+export const MATERIAL_CATEGORIES = {
+    pinceles: { label: 'Pinceles', icon: '🖌️' },
+    papeles: { label: 'Papeles', icon: '📄' },
+    acuarelas: { label: 'Acuarelas', icon: '🎨' },
+    accesorios: { label: 'Accesorios', icon: '🛠️' }
+};
+
+/**
+ * Rangos de presupuesto en soles (coinciden con #budgetFilter)
+ */
+export const MATERIAL_BUDGETS = {
+    economico: { label: 'Económico', icon: '💰', min: 0, max: 50 },
+    medio: { label: 'Medio', icon: '💎', min: 50, max: 150 },
+    premium: { label: 'Premium', icon: '👑', min: 150, max: Infinity }
+};
+
+/**
+ * Niveles recomendados (coinciden con #levelFilter)
+ */
+export const MATERIAL_LEVELS = {
+    principiante: { label: 'Principiante', icon: '🌱' },
+    intermedio: { label: 'Intermedio', icon: '⭐' },
+    avanzado: { label: 'Avanzado', icon: '🏆' }
+};
+
+/**
+ * Categorías imprescindibles en un kit de inicio
+ */
+export const KIT_REQUIRED_CATEGORIES = ['papeles', 'acuarelas', 'pinceles'];
+
+/**
+ * Calificación máxima de un material (estrellas)
+ */
+export const MAX_RATING = 5;
+
+/**
+ * Prefijo de moneda para mostrar precios
+ */
+export const CURRENCY_SYMBOL = 'S/';
+
+// ===================================================================
+// OBRAS
+// ===================================================================
+
+/**
+ * Categorías de obras (coinciden con los .filter-btn de portafolio.html)
+ */
+export const ARTWORK_CATEGORIES = {
+    paisajes: { label: 'Paisajes' },
+    retratos: { label: 'Retratos' },
+    abstracto: { label: 'Abstracto' },
+    estudios: { label: 'Estudios' }
+};
+
+/**
+ * Unidades válidas para las dimensiones de una obra
+ */
+export const ARTWORK_DIMENSION_UNITS = ['cm', 'mm', 'in'];
@@ -0,0 +1,153 @@
+/* js/config/themes.js */
+
+/**
+ * THEMES - Registro de temas del sitio
+ * Cada tema declara su valor de data-theme, el color de la barra del
+ * navegador (meta theme-color), su nombre visible y si es claro u oscuro.
+ * Los colores viven en css/base/variables.css ([data-theme="..."])
+ * y los ajustes de componentes en css/themes/<tema>-theme.css.
+ *
+ * Para añadir un tema: registerTheme({...}) + sus variables CSS.
+ *
+ * @module themes
+ * @version 1.0.0
+ */
+
+/**
+ * Preferencia "seguir al sistema" (no es un tema: se resuelve a claro u oscuro)
+ */
+export const SYSTEM_THEME = 'system';
+
+/**
+ * Preferencia "automático": claro u oscuro según la hora (ver ThemeToggle)
+ */
+export const AUTO_THEME = 'auto';
+
+/**
+ * Temas base a los que se resuelve la preferencia del sistema
+ */
+export const DEFAULT_LIGHT_THEME = 'light';
+export const DEFAULT_DARK_THEME = 'dark';
+
+/**
+ * Temas registrados: id → definición
+ */
+const registry = new Map();
+
+/**
+ * Registra un tema
+ * @public
+ * @param {Object} theme
+ * @param {string} theme.id - Valor de data-theme en <html>
+ * @param {string} theme.label - Nombre visible en el selector
+ * @param {string} theme.themeColor - Color de meta theme-color; igual a --background-color
+ *        (AccentColor lo usa como fondo al comprobar contrastes)
+ * @param {'light'|'dark'} theme.colorScheme - Esquema base (controles nativos, botón claro/oscuro)
+ * @param {string} [theme.icon] - Emoji para el selector
+ * @param {boolean} [theme.customAccent=true] - Si admite el color de acento personalizado
+ */
+export function registerTheme({ id, label, themeColor, colorScheme, icon = '', customAccent = true }) {
+    if (!id || id === SYSTEM_THEME || id === AUTO_THEME) {
+        console.error(`❌ Themes: Id de tema inválido: "${id}"`);
+        return;
+    }
+
+    registry.set(id, {
+        id,
+        label,
+        themeColor,
+        colorScheme: colorScheme === 'dark' ? 'dark' : 'light',
+        icon,
+        customAccent
+    });
+}
+
+/**
+ * Devuelve la definición de un tema
+ * @public
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getTheme(id) {
+    return registry.get(id) || null;
+}
+
+/**
+ * Comprueba si un tema está registrado
+ * @public
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function hasTheme(id) {
+    return registry.has(id);
+}
+
+/**
+ * Lista de temas en orden de registro
+ * @public
+ * @returns {Object[]}
+ */
+export function getThemes() {
+    return Array.from(registry.values());
+}
+
+// ===================================================================
+// TEMAS DEL SITIO
+// ===================================================================
+
+registerTheme({
+    id: 'light',
+    label: 'Claro',
+    themeColor: '#FEFEFE',
+    colorScheme: 'light',
+    icon: '☀️'
+});
+
+registerTheme({
+    id: 'dark',
+    label: 'Oscuro',
+    themeColor: '#1A1A1A',
+    colorScheme: 'dark',
+    icon: '🌙'
+});
+
+// Papel sepia: cálido y suave para pintar con luz de tarde
+registerTheme({
+    id: 'papel',
+    label: 'Papel',
+    themeColor: '#F4ECDC',
+    colorScheme: 'light',
+    icon: '📜'
+});
+
+// Alto contraste: texto blanco sobre negro, enlaces y foco en amarillo
+// (conserva sus colores aunque se haya elegido un color de acento)
+registerTheme({
+    id: 'contraste',
+    label: 'Alto contraste',
+    themeColor: '#000000',
+    colorScheme: 'dark',
+    icon: '◐',
+    customAccent: false
+});
+
+// Galería: interfaz en grises neutros para juzgar los colores de las obras
+registerTheme({
+    id: 'galeria',
+    label: 'Galería',
+    themeColor: '#E4E4E4',
+    colorScheme: 'light',
+    icon: '🖼️'
+});
+
+// Export default para uso flexible
+export default {
+    SYSTEM_THEME,
+    AUTO_THEME,
+    DEFAULT_LIGHT_THEME,
+    DEFAULT_DARK_THEME,
+    registerTheme,
+    getTheme,
+    hasTheme,
+    getThemes
+};
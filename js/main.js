@@ -11,7 +11,15 @@
 // ===================================================================
 
 // Utils
-import { initImageLoader, preloadCriticalImages, getLoadingStats } from './utils/imageLoader.js';
+import {
+    initImageLoader,
+    preloadCriticalImages,
+    getLoadingStats,
+    getErrorReport,
+    loadPlaceholderManifest
+} from './utils/imageLoader.js';
+import { getItem, migrateLegacyKey } from './utils/storage.js';
+import { hasTheme } from './config/themes.js';
 
 // Components (se importarán segÃºn se necesiten)
 import ThemeToggle from './components/ThemeToggle.js';
@@ -31,7 +39,18 @@ const APP_CONFIG = {
     features: {
         lazyLoading: true,
         darkMode: true,
+        customAccent: true,
         analytics: false
+    },
+    contact: {
+        // URL que recibe el formulario (multipart). Vacía: se usa el correo
+        endpoint: '',
+        mailto: 'contacto@acuarelaarte.com'
+    },
+    // Horario del tema "Automático" (hora local): claro desde sunrise, oscuro desde sunset
+    themeSchedule: {
+        sunrise: '07:00',
+        sunset: '20:00'
     }
 };
 
@@ -41,21 +60,39 @@ const APP_CONFIG = {
 
 class AcuarelaArteApp {
     constructor() {
+        // Versiones anteriores guardaban el tema sin espacio de nombres
+        migrateLegacyKey('theme');
+
         // Estado de la aplicación
         this.state = {
             isInitialized: false,
             currentPage: this.getCurrentPage(),
-            theme: localStorage.getItem('theme') || 'light',
+            // 'auto' y 'system' no son temas: sin ThemeToggle se usa el claro
+            theme: hasTheme(getItem('theme')) ? getItem('theme') : 'light',
             menuOpen: false
         };
 
         // Módulos cargados
         this.modules = {
             themeToggle: null,
+            accentColor: null,
             responsiveMenu: null,
+            imageErrorOverlay: null,
+            artworkCatalog: null,
             gallery: null,
             lightbox: null,
-            formValidator: null
+            processViewer: null,
+            formValidator: null,
+            formProgress: null,
+            attachmentManager: null,
+            formDraft: null,
+            formPreview: null,
+            formSubmission: null,
+            materialsCatalog: null,
+            materialsTable: null,
+            materialsUrlState: null,
+            materialsComparison: null,
+            kitBuilder: null
         };
 
         // Inicializar cuando DOM estÃ© listo
@@ -82,8 +119,12 @@ class AcuarelaArteApp {
             // 3. Inicializar event listeners globales
             this.initGlobalListeners();
 
-            // 4. Aplicar tema guardado
-            this.applyTheme(this.state.theme);
+            // 4. Aplicar tema guardado (con ThemeToggle, él ya eligió el tema inicial)
+            if (this.modules.themeToggle) {
+                this.state.theme = this.modules.themeToggle.getTheme();
+            } else {
+                this.applyTheme(this.state.theme);
+            }
 
             // Marcar como inicializado
             this.state.isInitialized = true;
@@ -112,6 +153,9 @@ class AcuarelaArteApp {
         if (APP_CONFIG.features.lazyLoading) {
             initImageLoader();
             
+            // Vistas previas (LQIP/color): sin esperar, se aplican al llegar
+            loadPlaceholderManifest();
+            
             // Precargar imágenes crÃ­ticas
             const criticalImages = this.getCriticalImages();
             if (criticalImages.length > 0) {
@@ -119,12 +163,24 @@ class AcuarelaArteApp {
             }
         }
 
+        // 1b. Panel de imágenes rotas (solo desarrollo)
+        if (APP_CONFIG.debug) {
+            const { default: ImageErrorOverlay } = await import('./components/ImageErrorOverlay.js');
+            this.modules.imageErrorOverlay = new ImageErrorOverlay();
+        }
+
         // 2. Theme Toggle - Control de temas (si el elemento existe)
         const themeToggle = document.getElementById('themeToggle');
         if (themeToggle && APP_CONFIG.features.darkMode) {
             // Importar dinámicamente solo si existe
             const { default: ThemeToggle } = await import('./components/ThemeToggle.js');
-            this.modules.themeToggle = new ThemeToggle();
+            this.modules.themeToggle = new ThemeToggle({ schedule: APP_CONFIG.themeSchedule });
+        }
+
+        // 2b. Color de acento personalizado (después del tema: depende de su fondo)
+        if (APP_CONFIG.features.customAccent) {
+            const { default: AccentColor } = await import('./components/AccentColor.js');
+            this.modules.accentColor = new AccentColor();
         }
 
         // 3. Responsive Menu - MenÃº hamburguesa (si el elemento existe)
@@ -195,19 +251,32 @@ class AcuarelaArteApp {
     async loadPortfolioModules() {
         this.log('🔥 Cargando módulos de Portafolio...');
         
-        // GalerÃ­a con filtros
-        // const galleryElement = document.getElementById('galleryGrid');
-        // if (galleryElement) {
-        //     const { default: Gallery } = await import('./components/Gallery.js');
-        //     this.modules.gallery = new Gallery();
-        // }
+        // GalerÃ­a con filtros (obras generadas desde data/artworks.json)
+        const galleryElement = document.getElementById('galleryGrid');
+        if (galleryElement) {
+            const { default: ArtworkCatalog } = await import('./components/ArtworkCatalog.js');
+            this.modules.artworkCatalog = new ArtworkCatalog({ debug: APP_CONFIG.debug });
+            await this.modules.artworkCatalog.load();
+
+            const { default: Gallery } = await import('./components/Gallery.js');
+            this.modules.gallery = new Gallery();
+        }
 
         // Lightbox para visualización de obras
-        // const lightboxElement = document.getElementById('lightbox');
-        // if (lightboxElement) {
-        //     const { default: Lightbox } = await import('./components/Lightbox.js');
-        //     this.modules.lightbox = new Lightbox();
-        // }
+        const lightboxElement = document.getElementById('lightbox');
+        if (lightboxElement) {
+            const { default: Lightbox } = await import('./components/Lightbox.js');
+            const catalog = this.modules.artworkCatalog;
+
+            this.modules.lightbox = new Lightbox(catalog
+                ? { getArtwork: (id) => catalog.getLightboxData(id) }
+                : {});
+        }
+
+        // Proceso paso a paso de las obras (botón "Ver proceso" del lightbox)
+        if (this.modules.artworkCatalog) {
+            await this.loadProcessViewer(this.modules.artworkCatalog);
+        }
     }
 
     /**
@@ -218,6 +287,26 @@ class AcuarelaArteApp {
         
         // Acordeones para expandir tÃ©cnicas
         this.initAccordions();
+
+        // Proceso paso a paso: las tarjetas usan los pasos de data/artworks.json
+        if (document.querySelector('[data-process]')) {
+            const { default: ArtworkCatalog } = await import('./components/ArtworkCatalog.js');
+            this.modules.artworkCatalog = new ArtworkCatalog({ debug: APP_CONFIG.debug });
+            await this.modules.artworkCatalog.load();
+
+            await this.loadProcessViewer(this.modules.artworkCatalog);
+        }
+    }
+
+    /**
+     * Crea el visor de proceso paso a paso con los datos del catálogo de obras
+     * @param {ArtworkCatalog} catalog
+     */
+    async loadProcessViewer(catalog) {
+        const { default: ProcessViewer } = await import('./components/ProcessViewer.js');
+        this.modules.processViewer = new ProcessViewer({
+            getSequence: (id) => catalog.getProcess(id)
+        });
     }
 
     /**
@@ -239,8 +328,46 @@ class AcuarelaArteApp {
         // Validación de formulario
         const contactForm = document.getElementById('contactForm');
         if (contactForm) {
-            // const { default: FormValidator } = await import('./components/FormValidator.js');
-            // this.modules.formValidator = new FormValidator('contactForm');
+            const { default: FormValidator } = await import('./components/FormValidator.js');
+            this.modules.formValidator = new FormValidator('contactForm');
+
+            // Medidor de completitud (usa el validador para contar campos válidos)
+            const { default: FormProgress } = await import('./components/FormProgress.js');
+            this.modules.formProgress = new FormProgress('contactForm', {
+                validator: this.modules.formValidator
+            });
+
+            // Adjuntos: límites reales, reducción de fotos y sin GPS
+            if (document.getElementById('attachments')) {
+                const { default: AttachmentManager } = await import('./components/AttachmentManager.js');
+                this.modules.attachmentManager = new AttachmentManager('attachments');
+            }
+
+            // Borrador automático (se conserva 7 días)
+            const { default: FormDraft } = await import('./components/FormDraft.js');
+            this.modules.formDraft = new FormDraft('contactForm', { maxAgeDays: 7 });
+
+            // Vista previa antes de enviar
+            const { default: FormPreview } = await import('./components/FormPreview.js');
+            this.modules.formPreview = new FormPreview('contactForm');
+
+            // Envío: en local se simula, en producción servidor o correo
+            const { default: FormSubmission } = await import('./components/FormSubmission.js');
+            const {
+                createFetchTransport,
+                createMailtoTransport,
+                createMockTransport
+            } = await import('./utils/submissionTransports.js');
+
+            const transports = APP_CONFIG.debug
+                ? [createMockTransport()]
+                : [createFetchTransport({ endpoint: APP_CONFIG.contact.endpoint })];
+            transports.push(createMailtoTransport({ to: APP_CONFIG.contact.mailto }));
+
+            this.modules.formSubmission = new FormSubmission('contactForm', {
+                transports,
+                attachments: this.modules.attachmentManager
+            });
         }
     }
 
@@ -250,14 +377,40 @@ class AcuarelaArteApp {
     async loadMaterialsModules() {
         this.log('🔥 Cargando módulos de Materiales...');
         
-        // Tabla interactiva (ordenamiento, filtrado)
-        // Se implementará con JavaScript vanilla en Issue #8
+        // Catálogo de materiales generado desde data/materials.json
+        const materialsTable = document.getElementById('materialsTable');
+        if (materialsTable) {
+            const { default: MaterialsCatalog } = await import('./components/MaterialsCatalog.js');
+            this.modules.materialsCatalog = new MaterialsCatalog();
+            await this.modules.materialsCatalog.load();
+
+            // Tabla interactiva (ordenamiento, filtrado)
+            const { default: MaterialsTable } = await import('./components/MaterialsTable.js');
+            this.modules.materialsTable = new MaterialsTable();
+
+            // Filtros y orden compartibles por URL (atrás/adelante incluidos)
+            const { bindMaterialsUrlState } = await import('./utils/urlState.js');
+            this.modules.materialsUrlState = bindMaterialsUrlState(this.modules.materialsTable);
+
+            // Comparador lado a lado (hasta 4 materiales)
+            const { default: MaterialsComparison } = await import('./components/MaterialsComparison.js');
+            this.modules.materialsComparison = new MaterialsComparison();
+
+            // Kit de compras con totales y exportación
+            const { default: KitBuilder } = await import('./components/KitBuilder.js');
+            this.modules.kitBuilder = new KitBuilder(this.modules.materialsCatalog);
+        }
     }
 
     /**
      * Inicializa event listeners globales
      */
     initGlobalListeners() {
+        // Mantener state.theme al día (botón, atajo, sistema u otras pestañas)
+        document.addEventListener('themeChanged', (e) => {
+            this.state.theme = e.detail.theme;
+        });
+
         // Smooth scroll para enlaces internos
         this.initSmoothScroll();
 
@@ -295,14 +448,23 @@ class AcuarelaArteApp {
     }
 
     /**
-     * Manejo global de errores de imágenes
+     * Manejo global de errores de imágenes ('imageError' burbujea desde cada <img>)
      */
     handleImageErrors() {
         document.addEventListener('imageError', (e) => {
-            this.log('✅ Error cargando imagen:', e.detail);
+            this.log('❌ Error cargando imagen:', e.detail);
         });
     }
 
+    /**
+     * Informe de imágenes rotas de esta página
+     * Desde la consola: acuarelaArte.getImageErrorReport()
+     * @returns {Object[]} { src, url, alt, page, retries, waited, duration, fallback, timestamp, count }
+     */
+    getImageErrorReport() {
+        return getErrorReport();
+    }
+
     /**
      * Animaciones de entrada con Intersection Observer
      */
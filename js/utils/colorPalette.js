@@ -0,0 +1,273 @@
+/* js/utils/colorPalette.js */
+
+/**
+ * COLOR PALETTE - Paletas de acento accesibles
+ * A partir de un color elegido genera tonos claros/oscuros que cumplen
+ * los contrastes WCAG 2.1 sobre el fondo de un tema:
+ * - Texto y enlaces: 4.5:1 (AA texto normal)
+ * - Bordes de foco y variantes decorativas: 3:1 (AA componentes de UI)
+ *
+ * @module colorPalette
+ * @version 1.0.0
+ */
+
+/**
+ * Contrastes mínimos WCAG
+ */
+export const CONTRAST_TEXT = 4.5;
+export const CONTRAST_UI = 3;
+
+/**
+ * Distancia de luminosidad (HSL, %) entre el tono base y sus variantes
+ */
+const VARIANT_STEP = 10;
+
+/**
+ * Formato #RGB o #RRGGBB
+ */
+const HEX_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Comprueba si un texto es un color hexadecimal válido
+ * @public
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isHexColor(value) {
+    return typeof value === 'string' && HEX_PATTERN.test(value.trim());
+}
+
+/**
+ * Normaliza un color hexadecimal a #RRGGBB en mayúsculas
+ * @public
+ * @param {string} hex
+ * @returns {string|null} null si no es válido
+ */
+export function normalizeHex(hex) {
+    if (!isHexColor(hex)) return null;
+
+    let digits = hex.trim().replace('#', '');
+    if (digits.length === 3) {
+        digits = digits.split('').map(digit => digit + digit).join('');
+    }
+
+    return `#${digits.toUpperCase()}`;
+}
+
+/**
+ * Convierte #RRGGBB en { r, g, b } (0-255)
+ * @private
+ * @param {string} hex
+ * @returns {{r: number, g: number, b: number}}
+ */
+function hexToRgb(hex) {
+    const value = parseInt(normalizeHex(hex).slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+/**
+ * Convierte { r, g, b } en #RRGGBB
+ * @private
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {string}
+ */
+function rgbToHex({ r, g, b }) {
+    return `#${[r, g, b]
+        .map(channel => Math.round(channel).toString(16).padStart(2, '0'))
+        .join('')
+        .toUpperCase()}`;
+}
+
+/**
+ * RGB → HSL (h en grados, s y l en %)
+ * @private
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {{h: number, s: number, l: number}}
+ */
+function rgbToHsl({ r, g, b }) {
+    const red = r / 255;
+    const green = g / 255;
+    const blue = b / 255;
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const l = (max + min) / 2;
+
+    if (max === min) {
+        return { h: 0, s: 0, l: l * 100 };
+    }
+
+    const delta = max - min;
+    const s = l > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+    let h;
+
+    if (max === red) {
+        h = (green - blue) / delta + (green < blue ? 6 : 0);
+    } else if (max === green) {
+        h = (blue - red) / delta + 2;
+    } else {
+        h = (red - green) / delta + 4;
+    }
+
+    return { h: h * 60, s: s * 100, l: l * 100 };
+}
+
+/**
+ * HSL → RGB
+ * @private
+ * @param {{h: number, s: number, l: number}} hsl
+ * @returns {{r: number, g: number, b: number}}
+ */
+function hslToRgb({ h, s, l }) {
+    const saturation = s / 100;
+    const lightness = l / 100;
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const x = chroma * (1 - Math.abs(((h / 60) % 2) - 1));
+    const m = lightness - chroma / 2;
+
+    const [red, green, blue] =
+        h < 60 ? [chroma, x, 0] :
+        h < 120 ? [x, chroma, 0] :
+        h < 180 ? [0, chroma, x] :
+        h < 240 ? [0, x, chroma] :
+        h < 300 ? [x, 0, chroma] :
+        [chroma, 0, x];
+
+    return {
+        r: (red + m) * 255,
+        g: (green + m) * 255,
+        b: (blue + m) * 255
+    };
+}
+
+/**
+ * Cambia la luminosidad HSL de un color
+ * @private
+ * @param {string} hex
+ * @param {number} amount - Puntos de luminosidad (negativo oscurece)
+ * @returns {string}
+ */
+function shiftLightness(hex, amount) {
+    const hsl = rgbToHsl(hexToRgb(hex));
+    hsl.l = Math.min(100, Math.max(0, hsl.l + amount));
+    return rgbToHex(hslToRgb(hsl));
+}
+
+/**
+ * Luminancia relativa WCAG (0 negro - 1 blanco)
+ * @public
+ * @param {string} hex
+ * @returns {number}
+ */
+export function relativeLuminance(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    const [red, green, blue] = [r, g, b].map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    });
+
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+/**
+ * Relación de contraste WCAG entre dos colores (1 a 21)
+ * @public
+ * @param {string} foreground
+ * @param {string} background
+ * @returns {number}
+ */
+export function contrastRatio(foreground, background) {
+    const first = relativeLuminance(foreground);
+    const second = relativeLuminance(background);
+    const lighter = Math.max(first, second);
+    const darker = Math.min(first, second);
+
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Ajusta un color hasta alcanzar un contraste mínimo con el fondo
+ * Conserva tono y saturación: solo se aleja en luminosidad del fondo
+ * (oscurece sobre fondos claros y aclara sobre fondos oscuros)
+ * @public
+ * @param {string} hex
+ * @param {string} background
+ * @param {number} [minRatio=CONTRAST_TEXT]
+ * @returns {string} Color ajustado (#RRGGBB)
+ */
+export function ensureContrast(hex, background, minRatio = CONTRAST_TEXT) {
+    const direction = relativeLuminance(background) > 0.18 ? -1 : 1;
+    let color = normalizeHex(hex);
+
+    for (let step = 0; step < 100 && contrastRatio(color, background) < minRatio; step++) {
+        const next = shiftLightness(color, direction);
+
+        // Llegó a blanco/negro puro: no se puede mejorar más
+        if (next === color) break;
+        color = next;
+    }
+
+    return color;
+}
+
+/**
+ * Genera la paleta de acento para un fondo
+ * "Fuerte" = más contraste que el base (hover de enlaces),
+ * "suave" = menos contraste (detalles decorativos), siempre ≥ 3:1
+ * @public
+ * @param {string} hex - Color elegido
+ * @param {string} background - Color de fondo del tema
+ * @returns {{base: string, strong: string, soft: string, contrast: number}}
+ */
+export function buildAccentPalette(hex, background) {
+    const isLightBackground = relativeLuminance(background) > 0.18;
+    const towardBackground = isLightBackground ? VARIANT_STEP : -VARIANT_STEP;
+
+    const base = ensureContrast(hex, background, CONTRAST_TEXT);
+    const strong = ensureContrast(shiftLightness(base, -towardBackground), background, CONTRAST_TEXT);
+    const soft = ensureContrast(shiftLightness(base, towardBackground), background, CONTRAST_UI);
+
+    return {
+        base,
+        strong,
+        soft,
+        contrast: Math.round(contrastRatio(base, background) * 100) / 100
+    };
+}
+
+/**
+ * Variables CSS del sitio que corresponden a una paleta de acento
+ * --primary-light/--primary-dark siguen siendo el tono más claro/oscuro
+ * en cualquier tema
+ * @public
+ * @param {{base: string, strong: string, soft: string}} palette
+ * @param {string} background
+ * @returns {Object<string, string>}
+ */
+export function paletteToProperties(palette, background) {
+    const isLightBackground = relativeLuminance(background) > 0.18;
+    const lighter = isLightBackground ? palette.soft : palette.strong;
+    const darker = isLightBackground ? palette.strong : palette.soft;
+
+    return {
+        '--primary-color': palette.base,
+        '--primary-light': lighter,
+        '--primary-dark': darker,
+        '--text-link': palette.base,
+        '--text-link-hover': palette.strong,
+        '--border-focus': palette.base,
+        '--info-color': palette.base
+    };
+}
+
+// Export default para uso flexible
+export default {
+    CONTRAST_TEXT,
+    CONTRAST_UI,
+    isHexColor,
+    normalizeHex,
+    relativeLuminance,
+    contrastRatio,
+    ensureContrast,
+    buildAccentPalette,
+    paletteToProperties
+};
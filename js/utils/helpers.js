@@ -1 +1,234 @@
-/* js/utils/helpers.js */
\ No newline at end of file
+/* js/utils/helpers.js */
+
+/**
+ * HELPERS - Funciones utilitarias genéricas
+ * Pequeñas funciones sin estado reutilizadas por componentes y páginas
+ *
+ * @module helpers
+ * @version 1.0.0
+ */
+
+/**
+ * Escapa caracteres especiales de HTML
+ * Usar siempre antes de interpolar datos externos en innerHTML
+ * @public
+ * @param {*} value - Valor a escapar
+ * @returns {string} Texto seguro para HTML
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Resuelve una ruta relativa a la raíz del sitio
+ * Funciona igual desde index.html y desde /pages/*.html
+ * @public
+ * @param {string} path - Ruta relativa a la raíz (ej: 'assets/images/foto.jpg')
+ * @returns {string} URL absoluta
+ */
+export function resolveSitePath(path) {
+    // helpers.js vive en /js/utils/, la raíz está dos niveles arriba
+    return new URL(`../../${path}`, import.meta.url).href;
+}
+
+/**
+ * Retrasa la ejecución de una función hasta que dejen de llamarla
+ * @public
+ * @param {Function} fn - Función a ejecutar
+ * @param {number} wait - Milisegundos de espera
+ * @returns {Function} Función con debounce (incluye .cancel())
+ */
+export function debounce(fn, wait = 200) {
+    let timer = null;
+
+    const debounced = function (...args) {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn.apply(this, args), wait);
+    };
+
+    debounced.cancel = () => clearTimeout(timer);
+
+    return debounced;
+}
+
+/**
+ * Limita una función a una ejecución cada `wait` ms
+ * La última llamada del intervalo se ejecuta al final (con sus argumentos)
+ * @public
+ * @param {Function} fn - Función a ejecutar
+ * @param {number} wait - Milisegundos entre ejecuciones
+ * @returns {Function} Función con throttle (incluye .cancel())
+ */
+export function throttle(fn, wait = 200) {
+    let lastRun = 0;
+    let timer = null;
+    let pendingArgs = null;
+
+    const run = (context, args) => {
+        lastRun = Date.now();
+        timer = null;
+        pendingArgs = null;
+        fn.apply(context, args);
+    };
+
+    const throttled = function (...args) {
+        const remaining = wait - (Date.now() - lastRun);
+
+        if (remaining <= 0 && !timer) {
+            run(this, args);
+            return;
+        }
+
+        pendingArgs = args;
+        if (!timer) {
+            timer = setTimeout(() => run(this, pendingArgs), Math.max(remaining, 0));
+        }
+    };
+
+    throttled.cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+        pendingArgs = null;
+    };
+
+    return throttled;
+}
+
+/**
+ * Normaliza texto para búsquedas: minúsculas y sin tildes
+ * "Económico" → "economico"
+ * @public
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+    return String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Tamaño de archivo legible
+ * 2457600 → "2.3 MB"
+ * @public
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Espera exponencial con variación aleatoria para reintentos
+ * Intento 0 → ~1s, 1 → ~2s, 2 → ~4s... (entre la mitad y el total, hasta `max`)
+ * La variación evita que muchos clientes reintenten a la vez
+ * @public
+ * @param {number} attempt - Número de reintento (desde 0)
+ * @param {Object} [options]
+ * @param {number} [options.base=1000] - Espera del primer reintento (ms)
+ * @param {number} [options.max=30000] - Espera máxima (ms)
+ * @returns {number} Milisegundos de espera
+ */
+export function getBackoffDelay(attempt, { base = 1000, max = 30000 } = {}) {
+    const delay = Math.min(max, base * 2 ** attempt);
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Elementos que pueden recibir foco con Tab
+ */
+const FOCUSABLE_SELECTOR = 'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Elementos enfocables visibles y habilitados dentro de un contenedor (en orden del DOM)
+ * @public
+ * @param {HTMLElement} container
+ * @returns {HTMLElement[]}
+ */
+export function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(element => !element.disabled && !element.closest('[hidden]'));
+}
+
+/**
+ * Mantiene el foco dentro de un diálogo modal (llamar con la tecla Tab)
+ * Del último elemento pasa al primero y viceversa; si el foco escapó, lo devuelve
+ * @public
+ * @param {HTMLElement} container - Diálogo
+ * @param {KeyboardEvent} event - keydown de Tab
+ */
+export function trapFocus(container, event) {
+    const focusable = getFocusableElements(container);
+
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (!container.contains(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
+        return;
+    }
+
+    if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Muestra un diálogo modal: .active, aria-hidden/aria-modal, clase en <body> y foco inicial
+ * @public
+ * @param {HTMLElement} dialog
+ * @param {Object} [options]
+ * @param {string} [options.bodyClass] - Clase de <body> mientras está abierto (bloquea el scroll)
+ * @param {HTMLElement} [options.initialFocus] - Elemento que recibe el foco al abrir
+ */
+export function openModal(dialog, { bodyClass, initialFocus } = {}) {
+    dialog.classList.add('active');
+    dialog.setAttribute('aria-hidden', 'false');
+    dialog.setAttribute('aria-modal', 'true');
+
+    if (bodyClass) {
+        document.body.classList.add(bodyClass);
+    }
+
+    if (initialFocus) {
+        initialFocus.focus();
+    }
+}
+
+/**
+ * Oculta un diálogo modal y devuelve el foco a quien lo abrió
+ * @public
+ * @param {HTMLElement} dialog
+ * @param {Object} [options]
+ * @param {string} [options.bodyClass] - Clase de <body> puesta en openModal()
+ * @param {HTMLElement|null} [options.returnFocus] - Elemento que recupera el foco
+ */
+export function closeModal(dialog, { bodyClass, returnFocus } = {}) {
+    dialog.classList.remove('active');
+    dialog.setAttribute('aria-hidden', 'true');
+    dialog.removeAttribute('aria-modal');
+
+    if (bodyClass) {
+        document.body.classList.remove(bodyClass);
+    }
+
+    if (returnFocus && typeof returnFocus.focus === 'function') {
+        returnFocus.focus();
+    }
+}
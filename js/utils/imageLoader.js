@@ -2,10 +2,45 @@
  * IMAGE LOADER - Sistema de Carga Progresiva de Imágenes
  * Maneja placeholders, lazy loading y optimización de carga
  * 
+ * Marcado soportado:
+ * - <img data-src="obra.jpg" data-srcset="obra-800.jpg 800w, ..." data-sizes="auto">
+ * - <picture> con formatos modernos; el navegador elige AVIF/WebP según su
+ *   soporte y, si la variante falla, se quitan las <source> y se usa el JPEG:
+ *   <picture>
+ *       <source type="image/avif" data-srcset="obra-800.avif 800w, ..." data-sizes="auto">
+ *       <source type="image/webp" data-srcset="obra-800.webp 800w, ..." data-sizes="auto">
+ *       <img data-src="obra.jpg" data-srcset="obra-800.jpg 800w, ..." data-sizes="auto" alt="...">
+ *   </picture>
+ * - data-sizes="auto": sizes = ancho renderizado (px), recalculado si crece
+ * 
+ * Vista previa mientras carga (en este orden de prioridad):
+ * - data-lqip="data:image/webp;base64,..." y/o data-color="#A3B1C2" en el <img>
+ * - data/image-placeholders.json (scripts/generate-image-placeholders.mjs)
+ * - width/height o data-aspect-ratio="3 / 2" reservan el hueco (sin saltos de layout)
+ * 
+ * Prioridades (cola con límite de descargas simultáneas):
+ * - Alta: imágenes visibles, hero y fetchpriority="high" / data-priority="high"
+ * - Normal: imágenes a punto de entrar (rootMargin)
+ * - Con ahorro de datos o 2G no se adelantan las que aún no se ven
+ * - Si una imagen sale de pantalla antes de empezar, se cancela
+ * 
+ * Contenido dinámico (galerías renderizadas, filtros, lightbox):
+ * - Las imágenes lazy añadidas al DOM después de init se observan solas
+ *   y las quitadas dejan de observarse (MutationObserver)
+ * - observe(root) / unobserve(root) para hacerlo a mano
+ * 
+ * Errores (tras agotar los reintentos):
+ * - data-fallback="..." si existe; si no (o también falla), un SVG generado
+ *   con el texto alternativo previsto
+ * - Evento 'imageError' que burbujea hasta document (detail = entrada del informe)
+ * - getErrorReport(): src, reintentos y tiempos de cada imagen rota
+ * 
  * @module imageLoader
- * @version 1.0.0
+ * @version 1.5.0
  */
 
+import { debounce, resolveSitePath, getBackoffDelay, escapeHtml } from './helpers.js';
+
 /**
  * Configuración del Image Loader
  */
@@ -31,11 +66,33 @@ const CONFIG = {
     // Clase placeholder
     placeholderClass: 'lazy-placeholder',
     
+    // Clase cuando hay vista previa (LQIP o color dominante)
+    previewClass: 'lazy-preview',
+    
+    // Clase cuando el hueco tiene aspect-ratio reservado
+    ratioClass: 'has-aspect-ratio',
+    
+    // Duración del fundido de la vista previa a la imagen (igual que en placeholders.css)
+    revealDuration: 600,
+    
+    // Manifest de vistas previas (relativo a la raíz)
+    manifestPath: 'data/image-placeholders.json',
+    
     // Reintentos en caso de error
     maxRetries: 3,
     
-    // Delay entre reintentos (ms)
-    retryDelay: 1000
+    // Espera del primer reintento (ms); luego exponencial con variación aleatoria
+    retryDelay: 1000,
+    
+    // Espera máxima entre reintentos (ms)
+    maxRetryDelay: 10000,
+    
+    // Descargas simultáneas (y con ahorro de datos o 2G)
+    maxConcurrent: 4,
+    constrainedConcurrent: 2,
+    
+    // Espera tras redimensionar antes de recalcular sizes="auto" (ms)
+    resizeDelay: 200
 };
 
 /**
@@ -43,16 +100,115 @@ const CONFIG = {
  */
 const retryMap = new Map();
 
+/**
+ * GIF transparente de 1px: evita el icono de imagen rota sobre la vista previa
+ */
+const TRANSPARENT_PIXEL = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+/**
+ * Alt provisional de las imágenes que llegan sin alt
+ */
+const LOADING_ALT = 'Imagen cargando...';
+
+/**
+ * Texto de las imágenes rotas sin alt
+ */
+const ERROR_ALT = 'Imagen no disponible';
+
+/**
+ * Imágenes que no se pudieron cargar (ver getErrorReport)
+ */
+const errorReport = [];
+
+/**
+ * Manifest de vistas previas: URL absoluta → { width, height, color, lqip }
+ */
+let placeholderManifest = null;
+
+/**
+ * Imágenes con data-sizes="auto" ya cargadas (sizes se recalcula al crecer)
+ */
+const autoSizedImages = new Set();
+
+/**
+ * Recalcula sizes="auto" al redimensionar la ventana
+ */
+const handleResize = debounce(() => {
+    autoSizedImages.forEach(img => {
+        if (!img.isConnected) {
+            autoSizedImages.delete(img);
+            return;
+        }
+        applySizes(img);
+    });
+}, CONFIG.resizeDelay);
+
 /**
  * Observer para Intersection Observer API
  */
 let imageObserver = null;
 
+/**
+ * Observer de cambios en el DOM (imágenes añadidas o quitadas)
+ */
+let mutationObserver = null;
+
+/**
+ * El módulo se autoinicializa al importarse y main.js vuelve a llamar a init
+ */
+let isInitialized = false;
+
+/**
+ * Prioridades de la cola (menor = antes)
+ */
+const PRIORITY = {
+    HIGH: 0,
+    NORMAL: 1
+};
+
+/**
+ * Cola de imágenes pendientes: { img, priority, order }
+ */
+const loadQueue = [];
+
+/**
+ * Imágenes descargándose ahora
+ */
+const activeLoads = new Set();
+
+/**
+ * Orden de llegada a la cola (desempate entre misma prioridad)
+ */
+let queueOrder = 0;
+
+/**
+ * Datos de cada carga en curso: img → { src, priority, queuedAt, startedAt, retries }
+ */
+const loadRecords = new WeakMap();
+
+/**
+ * Cargas terminadas (datos planos para getLoadingStats)
+ */
+const completedLoads = [];
+
+/**
+ * Reintentos programados (para cancelarlos en cleanup)
+ */
+const retryTimers = new Set();
+
 /**
  * Inicializa el sistema de carga de imágenes
  * @public
  */
 export function initImageLoader() {
+    if (isInitialized) return;
+    isInitialized = true;
+    
+    document.removeEventListener('DOMContentLoaded', initImageLoader);
+    
+    // Imágenes que se añadan después (también sin IntersectionObserver)
+    watchDom();
+    
     // Verificar soporte de IntersectionObserver
     if (!('IntersectionObserver' in window)) {
         console.warn('IntersectionObserver no soportado, cargando todas las imágenes');
@@ -61,87 +217,595 @@ export function initImageLoader() {
     }
 
     // Crear observer
-    imageObserver = new IntersectionObserver(
-        handleIntersection,
-        {
-            rootMargin: CONFIG.rootMargin,
-            threshold: CONFIG.threshold
-        }
-    );
+    imageObserver = createObserver();
 
     // Observar todas las imágenes lazy
     observeImages();
+    
+    // sizes="auto" depende del ancho renderizado
+    window.addEventListener('resize', handleResize);
+    
+    // Cambios de red (ej: se activa el ahorro de datos)
+    if (navigator.connection) {
+        navigator.connection.addEventListener('change', handleConnectionChange);
+    }
 
     console.log('✅ Image Loader inicializado');
 }
 
 /**
- * Observa todas las imágenes con data-src
+ * Busca las imágenes pendientes de cargar: img[data-src], img[data-srcset]
+ * y los <img> de <picture> con <source data-srcset>
+ * @private
+ * @param {ParentNode} [root=document]
+ * @returns {HTMLImageElement[]}
+ */
+function findLazyImages(root = document) {
+    const images = new Set(root.querySelectorAll('img[data-src], img[data-srcset]'));
+    
+    // root puede ser la propia imagen (ej: añadida al DOM sin contenedor)
+    if (root.matches?.('img[data-src], img[data-srcset]')) {
+        images.add(root);
+    }
+    
+    root.querySelectorAll('picture source[data-srcset]').forEach(source => {
+        const img = source.parentElement.querySelector('img');
+        if (img) images.add(img);
+    });
+    
+    return Array.from(images);
+}
+
+/**
+ * <picture> al que pertenece la imagen
+ * @private
+ * @param {HTMLImageElement} img
+ * @returns {HTMLPictureElement|null}
+ */
+function getPicture(img) {
+    const parent = img.parentElement;
+    return parent && parent.tagName === 'PICTURE' ? parent : null;
+}
+
+/**
+ * Ancho renderizado de la imagen en px (0 si aún no ocupa espacio)
+ * @private
+ * @param {HTMLImageElement} img
+ * @returns {number}
+ */
+function getRenderedWidth(img) {
+    const width = img.getBoundingClientRect().width;
+    if (width) return Math.ceil(width);
+    
+    // Sin ancho propio todavía (img inline sin cargar): el del contenedor
+    const container = (getPicture(img) || img).parentElement;
+    return container ? Math.ceil(container.getBoundingClientRect().width) : 0;
+}
+
+/**
+ * Aplica data-sizes a la imagen y a sus <source>
+ * "auto" se convierte en el ancho renderizado; nunca se reduce,
+ * así no se descarga una variante menor tras haber mostrado una mayor
+ * @private
+ * @param {HTMLImageElement} img
+ */
+function applySizes(img) {
+    const picture = getPicture(img);
+    const elements = picture ? [...picture.querySelectorAll('source'), img] : [img];
+    let width = null;
+    
+    elements.forEach(element => {
+        const sizes = element.dataset.sizes;
+        if (!sizes) return;
+        
+        if (sizes !== 'auto') {
+            element.sizes = sizes;
+            return;
+        }
+        
+        if (width === null) width = getRenderedWidth(img);
+        
+        // Sin ancho (oculta): el navegador usa su valor por defecto (100vw)
+        const current = parseInt(element.sizes, 10) || 0;
+        if (width > current) {
+            element.sizes = `${width}px`;
+        }
+    });
+}
+
+/**
+ * Pasa data-srcset a srcset en las <source> de un <picture>
+ * @private
+ * @param {HTMLPictureElement} picture
+ */
+function activateSources(picture) {
+    picture.querySelectorAll('source[data-srcset]').forEach(source => {
+        source.srcset = source.dataset.srcset;
+    });
+}
+
+/**
+ * Entrada del manifest para la imagen (por su data-src)
+ * @private
+ * @param {HTMLImageElement} img
+ * @returns {Object|null}
+ */
+function getManifestEntry(img) {
+    if (!placeholderManifest || !img.dataset.src) return null;
+    
+    return placeholderManifest.get(new URL(img.dataset.src, document.baseURI).href) || null;
+}
+
+/**
+ * Reserva el hueco y pinta la vista previa (LQIP o color) como fondo del <img>
+ * @private
+ * @param {HTMLImageElement} img
+ */
+function applyPlaceholder(img) {
+    const entry = getManifestEntry(img) || {};
+    const lqip = img.dataset.lqip || entry.lqip;
+    const color = img.dataset.color || entry.color;
+    const width = img.getAttribute('width') || entry.width;
+    const height = img.getAttribute('height') || entry.height;
+    const ratio = img.dataset.aspectRatio || (width && height ? `${width} / ${height}` : null);
+    
+    // El <img> sin cargar no tiene tamaño propio: aspect-ratio lo fija ya
+    if (ratio) {
+        img.style.aspectRatio = ratio;
+        img.classList.add(CONFIG.ratioClass);
+    }
+    
+    if (!lqip && !color) return;
+    
+    img.classList.add(CONFIG.previewClass);
+    
+    if (color) {
+        img.style.backgroundColor = color;
+    }
+    if (lqip) {
+        img.style.backgroundImage = `url("${lqip}")`;
+    }
+    
+    // Sin src se vería el icono roto o el alt encima de la vista previa
+    if (!img.getAttribute('src')) {
+        img.src = TRANSPARENT_PIXEL;
+    }
+}
+
+/**
+ * Quita la vista previa cuando termina el fundido
+ * (si no, asomaría detrás de imágenes con transparencia)
+ * @private
+ * @param {HTMLImageElement} img
+ */
+function clearPlaceholder(img) {
+    img.style.backgroundImage = '';
+    img.style.backgroundColor = '';
+    img.classList.remove(CONFIG.previewClass);
+}
+
+/**
+ * Observa todas las imágenes lazy
  * @private
  */
 function observeImages() {
-    const lazyImages = document.querySelectorAll('img[data-src]');
+    const count = observeLazyImages(document);
+
+    console.log(`📸 Observando ${count} imágenes lazy`);
+}
+
+/**
+ * Prepara y observa las imágenes lazy de un nodo
+ * Las que ya se están cargando (o esperan un reintento) se dejan como están
+ * @private
+ * @param {ParentNode} root
+ * @returns {number} Imágenes observadas
+ */
+function observeLazyImages(root) {
+    const lazyImages = findLazyImages(root).filter(img =>
+        !activeLoads.has(img) && !retryMap.has(img) && !img.classList.contains(CONFIG.loadingClass)
+    );
     
     lazyImages.forEach(img => {
+        // Imagen reutilizada con un data-src nuevo (ej: lightbox)
+        img.classList.remove(CONFIG.loadedClass, CONFIG.errorClass);
+        delete img.dataset.failedSrc;
+        
         // Agregar clase placeholder inicial
         img.classList.add(CONFIG.placeholderClass);
+        applyPlaceholder(img);
         
         // Agregar alt text si no tiene
         if (!img.alt) {
-            img.alt = 'Imagen cargando...';
+            img.alt = LOADING_ALT;
         }
         
         // Observar imagen
         imageObserver.observe(img);
     });
+    
+    return lazyImages.length;
+}
+
+/**
+ * Vigila el DOM: observa imágenes lazy nuevas (o con data-src nuevo)
+ * y deja de observar las que se quitan
+ * @private
+ */
+function watchDom() {
+    if (!('MutationObserver' in window) || !document.body) return;
+    
+    mutationObserver = new MutationObserver(handleMutations);
+    mutationObserver.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['data-src', 'data-srcset']
+    });
+}
+
+/**
+ * Callback de cambios en el DOM
+ * @private
+ * @param {MutationRecord[]} mutations
+ */
+function handleMutations(mutations) {
+    mutations.forEach(mutation => {
+        if (mutation.type === 'attributes') {
+            // En <source data-srcset> lo que se observa es el <img> del <picture>
+            const target = mutation.target.matches('source')
+                ? mutation.target.parentElement
+                : mutation.target;
+            
+            if (target?.isConnected) {
+                observe(target);
+            }
+            return;
+        }
+        
+        mutation.removedNodes.forEach(node => {
+            // Movido dentro del documento (remove + add): se sigue observando
+            if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+                unobserve(node);
+            }
+        });
+        
+        mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+                observe(node);
+            }
+        });
+    });
+}
+
+/**
+ * Observa las imágenes lazy de un nodo (o la propia imagen)
+ * Las añadidas al DOM se observan solas; útil para nodos que aún no están en el DOM
+ * o para retomar un contenedor tras unobserve()
+ * @public
+ * @param {ParentNode|string} [root=document] - Nodo o selector CSS
+ * @returns {number} Imágenes observadas
+ */
+export function observe(root = document) {
+    const node = typeof root === 'string' ? document.querySelector(root) : root;
+    if (!node) return 0;
+    
+    if (!isInitialized) {
+        initImageLoader();
+    }
+    
+    // Sin IntersectionObserver: se cargan directamente
+    if (!imageObserver) {
+        return loadAllImagesImmediately(node);
+    }
+    
+    return observeLazyImages(node);
+}
+
+/**
+ * Deja de observar las imágenes de un nodo y cancela las que estaban en cola
+ * Las descargas ya empezadas terminan (no se pueden abortar)
+ * @public
+ * @param {ParentNode|string} root - Nodo o selector CSS
+ * @returns {number} Imágenes que dejaron de observarse
+ */
+export function unobserve(root) {
+    const node = typeof root === 'string' ? document.querySelector(root) : root;
+    if (!node) return 0;
+    
+    const images = new Set(node.querySelectorAll('img'));
+    if (node.matches?.('img')) {
+        images.add(node);
+    }
+    
+    images.forEach(img => {
+        if (imageObserver) {
+            imageObserver.unobserve(img);
+        }
+        
+        // retryMap.delete también anula el reintento programado
+        retryMap.delete(img);
+        cancelQueuedImage(img);
+        autoSizedImages.delete(img);
+        
+        if (!activeLoads.has(img)) {
+            loadRecords.delete(img);
+        }
+    });
+    
+    return images.size;
+}
+
+/**
+ * Crea el IntersectionObserver según la red
+ * Con ahorro de datos o 2G no hay margen: solo se cargan las imágenes visibles
+ * @private
+ * @returns {IntersectionObserver}
+ */
+function createObserver() {
+    return new IntersectionObserver(
+        handleIntersection,
+        {
+            rootMargin: isConstrainedNetwork() ? '0px' : CONFIG.rootMargin,
+            threshold: CONFIG.threshold
+        }
+    );
+}
+
+/**
+ * ¿Red limitada? (ahorro de datos activado o conexión 2G)
+ * @private
+ * @returns {boolean}
+ */
+function isConstrainedNetwork() {
+    const connection = navigator.connection;
+    if (!connection) return false;
+    
+    return connection.saveData === true || ['slow-2g', '2g'].includes(connection.effectiveType);
+}
+
+/**
+ * Descargas simultáneas permitidas ahora
+ * @private
+ * @returns {number}
+ */
+function getConcurrency() {
+    return isConstrainedNetwork() ? CONFIG.constrainedConcurrent : CONFIG.maxConcurrent;
+}
 
-    console.log(`📸 Observando ${lazyImages.length} imágenes lazy`);
+/**
+ * Imágenes críticas: hero o marcadas como prioritarias
+ * @private
+ * @param {HTMLImageElement} img
+ * @returns {boolean}
+ */
+function isCriticalImage(img) {
+    return img.getAttribute('fetchpriority') === 'high'
+        || img.dataset.priority === 'high'
+        || Boolean(img.closest('.hero'));
+}
+
+/**
+ * ¿El rectángulo está dentro de la ventana? (no solo en el margen)
+ * @private
+ * @param {DOMRectReadOnly} rect
+ * @returns {boolean}
+ */
+function isInViewport(rect) {
+    return rect.bottom > 0 && rect.right > 0
+        && rect.top < window.innerHeight && rect.left < window.innerWidth;
 }
 
 /**
  * Callback cuando imagen entra en viewport
  * @private
  * @param {IntersectionObserverEntry[]} entries 
- * @param {IntersectionObserver} observer 
  */
-function handleIntersection(entries, observer) {
+function handleIntersection(entries) {
     entries.forEach(entry => {
+        const img = entry.target;
+        
         if (entry.isIntersecting) {
-            const img = entry.target;
+            const priority = isCriticalImage(img) || isInViewport(entry.boundingClientRect)
+                ? PRIORITY.HIGH
+                : PRIORITY.NORMAL;
             
-            // Cargar imagen
-            loadImage(img);
-            
-            // Dejar de observar esta imagen
-            observer.unobserve(img);
+            enqueueImage(img, priority);
+        } else {
+            // Salió de pantalla sin haber empezado: no se descarga
+            cancelQueuedImage(img);
         }
     });
 }
 
+/**
+ * Añade una imagen a la cola (o sube su prioridad si ya estaba)
+ * @private
+ * @param {HTMLImageElement} img
+ * @param {number} priority
+ */
+function enqueueImage(img, priority) {
+    if (activeLoads.has(img)) return;
+    
+    const queued = loadQueue.find(item => item.img === img);
+    if (queued) {
+        queued.priority = Math.min(queued.priority, priority);
+    } else {
+        loadQueue.push({ img, priority, order: queueOrder++ });
+    }
+    
+    if (!loadRecords.has(img)) {
+        loadRecords.set(img, {
+            src: img.dataset.src || img.dataset.srcset,
+            priority,
+            queuedAt: performance.now(),
+            startedAt: null,
+            retries: 0
+        });
+    }
+    loadRecords.get(img).priority = Math.min(loadRecords.get(img).priority, priority);
+    
+    loadQueue.sort((a, b) => a.priority - b.priority || a.order - b.order);
+    processQueue();
+}
+
+/**
+ * Quita de la cola una imagen que aún no empezó a descargarse
+ * @private
+ * @param {HTMLImageElement} img
+ * @returns {boolean} true si estaba en cola
+ */
+function cancelQueuedImage(img) {
+    const index = loadQueue.findIndex(item => item.img === img);
+    if (index === -1) return false;
+    
+    loadQueue.splice(index, 1);
+    
+    // Sin reintentos pendientes: se olvida; al volver a verse entra de nuevo
+    if (!loadRecords.get(img)?.retries) {
+        loadRecords.delete(img);
+    }
+    
+    return true;
+}
+
+/**
+ * Arranca descargas mientras haya hueco
+ * @private
+ */
+function processQueue() {
+    while (activeLoads.size < getConcurrency() && loadQueue.length > 0) {
+        const { img } = loadQueue.shift();
+        
+        activeLoads.add(img);
+        
+        // Ya empezó: no hace falta seguir mirando si sale de pantalla
+        if (imageObserver) {
+            imageObserver.unobserve(img);
+        }
+        
+        const record = loadRecords.get(img);
+        if (record && record.startedAt === null) {
+            record.startedAt = performance.now();
+        }
+        
+        if (!loadImage(img)) {
+            finishLoad(img);
+        }
+    }
+}
+
+/**
+ * Libera el hueco de una descarga y sigue con la cola
+ * @private
+ * @param {HTMLImageElement} img
+ */
+function finishLoad(img) {
+    activeLoads.delete(img);
+    processQueue();
+}
+
+/**
+ * Guarda los datos de una carga terminada (bytes según Resource Timing)
+ * @private
+ * @param {HTMLImageElement} img
+ * @param {'loaded'|'error'} status
+ * @param {string} [url] - Archivo realmente descargado (ej: la variante .avif)
+ * @returns {Object|null} Datos guardados (null si la imagen no pasó por la cola)
+ */
+function recordLoad(img, status, url) {
+    const record = loadRecords.get(img);
+    if (!record) return null;
+    
+    const absoluteUrl = url ? new URL(url, document.baseURI).href : null;
+    const timing = absoluteUrl ? performance.getEntriesByName(absoluteUrl).pop() : null;
+    
+    const load = {
+        src: record.src,
+        url: absoluteUrl,
+        status,
+        priority: record.priority === PRIORITY.HIGH ? 'high' : 'normal',
+        retries: record.retries,
+        // Espera en cola y tiempo desde la primera petición hasta el final
+        waited: Math.round((record.startedAt ?? record.queuedAt) - record.queuedAt),
+        duration: Math.round(performance.now() - (record.startedAt ?? record.queuedAt)),
+        // 0 o null: en caché o de otro dominio sin Timing-Allow-Origin
+        bytes: timing ? (timing.encodedBodySize || timing.transferSize || 0) : null
+    };
+    
+    completedLoads.push(load);
+    loadRecords.delete(img);
+    
+    return load;
+}
+
+/**
+ * Reajusta observer y cola cuando cambia la red
+ * @private
+ */
+function handleConnectionChange() {
+    if (!imageObserver) return;
+    
+    // Con red limitada las que solo estaban "a punto de entrar" esperan a verse
+    if (isConstrainedNetwork()) {
+        loadQueue
+            .filter(item => item.priority !== PRIORITY.HIGH)
+            .forEach(item => cancelQueuedImage(item.img));
+    }
+    
+    // Las que esperan un reintento vuelven a la cola por su cuenta
+    const pending = findLazyImages().filter(img => !activeLoads.has(img) && !retryMap.has(img));
+    
+    imageObserver.disconnect();
+    imageObserver = createObserver();
+    pending.forEach(img => imageObserver.observe(img));
+    
+    processQueue();
+}
+
 /**
  * Carga una imagen específica
  * @private
  * @param {HTMLImageElement} img - Elemento imagen a cargar
+ * @returns {boolean} false si no hay nada que cargar
  */
 function loadImage(img) {
     const src = img.dataset.src;
     const srcset = img.dataset.srcset;
+    const picture = getPicture(img);
+    const isHighPriority = loadRecords.get(img)?.priority === PRIORITY.HIGH;
     
-    if (!src) {
+    if (!src && !srcset && !picture) {
         console.warn('Imagen sin data-src:', img);
-        return;
+        return false;
     }
 
     // Marcar como cargando
     img.classList.remove(CONFIG.placeholderClass);
     img.classList.add(CONFIG.loadingClass);
 
+    // Con sizes="auto" el ancho se mide antes de elegir variante
+    applySizes(img);
+
+    // <picture>: la negociación de formato solo ocurre en el propio elemento
+    if (picture) {
+        if (isHighPriority) {
+            img.fetchPriority = 'high';
+        }
+        loadPicture(img, picture, src, srcset);
+        return true;
+    }
+
     // Crear imagen temporal para precargar
     const tempImage = new Image();
+    
+    if (isHighPriority) {
+        tempImage.fetchPriority = 'high';
+    }
 
     // Handler de carga exitosa
     tempImage.onload = () => {
-        handleImageLoaded(img, src, srcset);
+        handleImageLoaded(img, src, srcset, tempImage.currentSrc || src);
     };
 
     // Handler de error
@@ -151,9 +815,68 @@ function loadImage(img) {
 
     // Iniciar carga
     if (srcset) {
+        tempImage.sizes = img.sizes;
         tempImage.srcset = srcset;
     }
-    tempImage.src = src;
+    if (src) {
+        tempImage.src = src;
+    }
+    
+    return true;
+}
+
+/**
+ * Carga un <img> dentro de <picture>
+ * Si falla una variante moderna (AVIF/WebP inexistente o corrupta) se quitan
+ * las <source> y el navegador vuelve solo al JPEG del <img>, sin gastar reintentos
+ * @private
+ * @param {HTMLImageElement} img
+ * @param {HTMLPictureElement} picture
+ * @param {string} src
+ * @param {string} srcset
+ */
+function loadPicture(img, picture, src, srcset) {
+    const listen = () => {
+        const onLoad = () => {
+            img.removeEventListener('error', onError);
+            
+            // Load tardío del píxel transparente de la vista previa
+            if (img.currentSrc === TRANSPARENT_PIXEL) {
+                listen();
+                return;
+            }
+            
+            handleImageLoaded(img, src, srcset, img.currentSrc || src);
+        };
+        
+        const onError = () => {
+            img.removeEventListener('load', onLoad);
+            
+            const sources = picture.querySelectorAll('source');
+            if (sources.length > 0) {
+                console.warn('⚠️ Variante no disponible, usando JPEG:', img.currentSrc);
+                listen();
+                sources.forEach(source => source.remove());
+                return;
+            }
+            
+            handleImageError(img, src || srcset);
+        };
+        
+        img.addEventListener('load', onLoad, { once: true });
+        img.addEventListener('error', onError, { once: true });
+    };
+    
+    listen();
+    activateSources(picture);
+    
+    if (srcset) {
+        img.srcset = srcset;
+    }
+    if (src) {
+        // Reasignar aunque no cambie fuerza una nueva carga (reintentos)
+        img.src = src;
+    }
 }
 
 /**
@@ -162,12 +885,15 @@ function loadImage(img) {
  * @param {HTMLImageElement} img 
  * @param {string} src 
  * @param {string} srcset 
+ * @param {string} [loadedUrl] - Archivo descargado (para las estadísticas)
  */
-function handleImageLoaded(img, src, srcset) {
-    // Aplicar src
-    img.src = src;
+function handleImageLoaded(img, src, srcset, loadedUrl) {
+    // Aplicar src (en <picture> ya está aplicado: no se vuelve a pedir)
+    if (src && img.getAttribute('src') !== src) {
+        img.src = src;
+    }
     
-    if (srcset) {
+    if (srcset && img.getAttribute('srcset') !== srcset) {
         img.srcset = srcset;
     }
 
@@ -177,23 +903,36 @@ function handleImageLoaded(img, src, srcset) {
         img.alt = originalAlt;
     }
 
-    // Actualizar clases
+    // Actualizar clases (con vista previa, el CSS funde de ella a la imagen)
     img.classList.remove(CONFIG.loadingClass);
     img.classList.add(CONFIG.loadedClass);
+    
+    if (img.classList.contains(CONFIG.previewClass)) {
+        setTimeout(() => clearPlaceholder(img), CONFIG.revealDuration);
+    }
 
     // Limpiar data attributes
     delete img.dataset.src;
     delete img.dataset.srcset;
+    clearPictureData(img);
+
+    // Seguir ajustando sizes="auto" si la imagen crece
+    if (img.dataset.sizes === 'auto') {
+        autoSizedImages.add(img);
+    }
 
-    // Limpiar del mapa de reintentos
+    // Limpiar del mapa de reintentos y liberar el hueco en la cola
     retryMap.delete(img);
+    recordLoad(img, 'loaded', loadedUrl);
+    finishLoad(img);
 
-    // Trigger evento custom
+    // Trigger evento custom (currentSrc: la variante elegida, ej: .avif)
     img.dispatchEvent(new CustomEvent('imageLoaded', {
-        detail: { src, srcset }
+        bubbles: true,
+        detail: { src, srcset, currentSrc: img.currentSrc }
     }));
 
-    console.log('✅ Imagen cargada:', src);
+    console.log('✅ Imagen cargada:', img.currentSrc || src);
 }
 
 /**
@@ -211,10 +950,25 @@ function handleImageError(img, src) {
 
         console.warn(`⚠️ Error cargando imagen (intento ${retries + 1}/${CONFIG.maxRetries}):`, src);
 
-        // Reintentar después de delay
-        setTimeout(() => {
-            loadImage(img);
-        }, CONFIG.retryDelay * (retries + 1)); // Incrementar delay con cada reintento
+        const record = loadRecords.get(img);
+        if (record) {
+            record.retries = retries + 1;
+        }
+
+        // Liberar el hueco mientras espera: otras imágenes pueden cargar
+        finishLoad(img);
+
+        // Reintentar con espera exponencial y variación (evita reintentos en bloque)
+        const delay = getBackoffDelay(retries, { base: CONFIG.retryDelay, max: CONFIG.maxRetryDelay });
+        const timer = setTimeout(() => {
+            retryTimers.delete(timer);
+            
+            // Quitada del DOM mientras esperaba (unobserve)
+            if (!retryMap.has(img)) return;
+            
+            enqueueImage(img, record ? record.priority : PRIORITY.NORMAL);
+        }, delay);
+        retryTimers.add(timer);
 
     } else {
         // Máximo de reintentos alcanzado
@@ -224,49 +978,248 @@ function handleImageError(img, src) {
         img.classList.remove(CONFIG.loadingClass);
         img.classList.add(CONFIG.errorClass);
 
-        // Aplicar imagen fallback si existe
-        const fallback = img.dataset.fallback;
-        if (fallback) {
-            img.src = fallback;
-        } else {
-            // Usar placeholder genérico
-            img.alt = 'Error al cargar imagen';
-        }
+        const entry = reportError(img, src, retries);
+        applyFallback(img, entry.alt);
+
+        // Deja de ser lazy: moverla en el DOM (ordenar, filtrar) no la reintenta
+        // Un data-src nuevo sí vuelve a cargarla
+        img.dataset.failedSrc = img.dataset.src || img.dataset.srcset || src;
+        delete img.dataset.src;
+        delete img.dataset.srcset;
+        clearPictureData(img);
 
-        // Trigger evento custom
+        // Burbujea: main.js (y el overlay de depuración) escuchan en document
         img.dispatchEvent(new CustomEvent('imageError', {
-            detail: { src, retries }
+            bubbles: true,
+            detail: { ...entry }
         }));
 
         // Limpiar
         retryMap.delete(img);
+        finishLoad(img);
+    }
+}
+
+/**
+ * Texto alternativo previsto (no el provisional de carga)
+ * @private
+ * @param {HTMLImageElement} img
+ * @returns {string}
+ */
+function getIntendedAlt(img) {
+    if (img.dataset.alt) return img.dataset.alt;
+    return img.alt && img.alt !== LOADING_ALT ? img.alt : '';
+}
+
+/**
+ * Añade una imagen rota al informe de errores (o cuenta una repetición)
+ * @private
+ * @param {HTMLImageElement} img
+ * @param {string} src
+ * @param {number} retries
+ * @returns {Object} Entrada del informe
+ */
+function reportError(img, src, retries) {
+    const load = recordLoad(img, 'error', src);
+    
+    const entry = {
+        src,
+        url: load?.url ?? (src ? new URL(src, document.baseURI).href : null),
+        alt: getIntendedAlt(img),
+        page: window.location.pathname,
+        retries,
+        // ms en cola y desde la primera petición hasta el fallo definitivo
+        waited: load?.waited ?? null,
+        duration: load?.duration ?? null,
+        fallback: img.dataset.fallback ? 'data-fallback' : 'svg',
+        timestamp: new Date().toISOString()
+    };
+    
+    // Una entrada por imagen: si vuelve a fallar (ej: data-src reasignado) se cuenta
+    const existing = errorReport.find(item => item.src === src);
+    if (existing) {
+        Object.assign(existing, entry, { count: existing.count + 1 });
+        return existing;
+    }
+    
+    entry.count = 1;
+    errorReport.push(entry);
+    return entry;
+}
+
+/**
+ * Sustituye la imagen rota por data-fallback o por el SVG generado
+ * @private
+ * @param {HTMLImageElement} img
+ * @param {string} alt - Texto alternativo previsto
+ */
+function applyFallback(img, alt) {
+    const svg = createFallbackSvg(img, alt);
+    const fallback = img.dataset.fallback;
+    
+    // Sin vista previa detrás y sin variantes que tapen el fallback
+    clearPlaceholder(img);
+    img.removeAttribute('srcset');
+    getPicture(img)?.querySelectorAll('source').forEach(source => source.remove());
+    
+    if (fallback) {
+        img.addEventListener('error', () => {
+            img.src = svg;
+        }, { once: true });
+        img.src = fallback;
+    } else {
+        img.src = svg;
+    }
+    
+    img.alt = alt || ERROR_ALT;
+}
+
+/**
+ * SVG (data URI) con el texto alternativo, en la proporción de la imagen
+ * @private
+ * @param {HTMLImageElement} img
+ * @param {string} alt
+ * @returns {string}
+ */
+function createFallbackSvg(img, alt) {
+    const entry = getManifestEntry(img) || {};
+    const width = Number(img.getAttribute('width') || entry.width) || 4;
+    const height = Number(img.getAttribute('height') || entry.height) || 3;
+    
+    // viewBox de 400 de ancho: el texto escala con la imagen
+    const viewWidth = 400;
+    const viewHeight = Math.round(viewWidth * height / width);
+    const lines = wrapText(alt || ERROR_ALT, 30, 3);
+    
+    // Icono (36) + separación (12) + líneas de 22, centrado en vertical
+    const top = Math.max(8, Math.round((viewHeight - (48 + lines.length * 22)) / 2));
+    const text = lines.map((line, i) =>
+        `<text x="200" y="${top + 64 + i * 22}" text-anchor="middle">${escapeHtml(line)}</text>`
+    ).join('');
+    
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${viewWidth} ${viewHeight}">`
+        + '<rect width="100%" height="100%" fill="#F0F2F5"/>'
+        + `<g transform="translate(176 ${top})" fill="none" stroke="#95A5A6" stroke-width="3" stroke-linejoin="round">`
+        + '<rect x="1.5" y="1.5" width="45" height="33" rx="4"/><circle cx="15" cy="12" r="4"/>'
+        + '<path d="M4 31l14-13 10 9 6-5 11 9"/></g>'
+        + `<g fill="#5D6D7E" font-family="sans-serif" font-size="16">${text}</g>`
+        + '</svg>';
+    
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Parte un texto en líneas por palabras (con "…" si no cabe)
+ * @private
+ * @param {string} text
+ * @param {number} maxChars - Caracteres por línea
+ * @param {number} maxLines
+ * @returns {string[]}
+ */
+function wrapText(text, maxChars, maxLines) {
+    const lines = [];
+    
+    text.trim().split(/\s+/).forEach(word => {
+        const last = lines[lines.length - 1];
+        
+        if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word);
+        }
+    });
+    
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1)}…`;
     }
+    
+    return lines;
+}
+
+/**
+ * Quita data-srcset de las <source> de una imagen ya cargada
+ * @private
+ * @param {HTMLImageElement} img
+ */
+function clearPictureData(img) {
+    const picture = getPicture(img);
+    if (!picture) return;
+    
+    picture.querySelectorAll('source[data-srcset]').forEach(source => {
+        delete source.dataset.srcset;
+    });
 }
 
 /**
  * Carga todas las imágenes inmediatamente (fallback)
  * @private
+ * @param {ParentNode} [root=document]
+ * @returns {number} Imágenes cargadas
  */
-function loadAllImagesImmediately() {
-    const lazyImages = document.querySelectorAll('img[data-src]');
+function loadAllImagesImmediately(root = document) {
+    const lazyImages = findLazyImages(root);
     
     lazyImages.forEach(img => {
         const src = img.dataset.src;
         const srcset = img.dataset.srcset;
+        const picture = getPicture(img);
         
-        if (src) {
-            img.src = src;
+        applySizes(img);
+        
+        if (picture) {
+            activateSources(picture);
         }
         
         if (srcset) {
             img.srcset = srcset;
         }
         
+        if (src) {
+            img.src = src;
+        }
+        
         delete img.dataset.src;
         delete img.dataset.srcset;
+        clearPictureData(img);
     });
 
-    console.log('⚡ Cargadas todas las imágenes inmediatamente (fallback)');
+    if (root === document) {
+        console.log('⚡ Cargadas todas las imágenes inmediatamente (fallback)');
+    }
+    return lazyImages.length;
+}
+
+/**
+ * Carga el manifest de vistas previas y las aplica a las imágenes pendientes
+ * Si no existe (aún no se ha generado) se sigue con el placeholder de siempre
+ * @public
+ * @param {string} [path=CONFIG.manifestPath] - Ruta relativa a la raíz
+ * @returns {Promise<boolean>} true si se cargó
+ */
+export async function loadPlaceholderManifest(path = CONFIG.manifestPath) {
+    try {
+        const response = await fetch(resolveSitePath(path));
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const { images = {} } = await response.json();
+        
+        placeholderManifest = new Map(
+            Object.entries(images).map(([imagePath, entry]) => [resolveSitePath(imagePath), entry])
+        );
+    } catch (error) {
+        console.warn('⚠️ Image Loader: Manifest de vistas previas no disponible:', error.message);
+        return false;
+    }
+    
+    // Las imágenes observadas antes de tener el manifest
+    findLazyImages()
+        .filter(img => img.classList.contains(CONFIG.placeholderClass))
+        .forEach(applyPlaceholder);
+    
+    return true;
 }
 
 /**
@@ -303,8 +1256,9 @@ export function loadImagesInContainer(containerSelector) {
         return;
     }
 
-    const images = container.querySelectorAll('img[data-src]');
-    images.forEach(img => loadImage(img));
+    // Pedidas a mano: prioridad alta, pero respetando el límite de descargas
+    const images = findLazyImages(container);
+    images.forEach(img => enqueueImage(img, PRIORITY.HIGH));
 
     console.log(`📸 Cargadas ${images.length} imágenes en:`, containerSelector);
 }
@@ -338,22 +1292,55 @@ export function updateImageWithFade(img, newSrc) {
  */
 export function getLoadingStats() {
     const allImages = document.querySelectorAll('img');
-    const lazyImages = document.querySelectorAll(`img[data-src]`);
+    const lazyImages = findLazyImages();
     const loadedImages = document.querySelectorAll(`.${CONFIG.loadedClass}`);
     const errorImages = document.querySelectorAll(`.${CONFIG.errorClass}`);
     const loadingImages = document.querySelectorAll(`.${CONFIG.loadingClass}`);
 
+    const measured = completedLoads.filter(load => load.status === 'loaded');
+    const bytes = measured.reduce((sum, load) => sum + (load.bytes || 0), 0);
+
     return {
         total: allImages.length,
         lazy: lazyImages.length,
         loaded: loadedImages.length,
         loading: loadingImages.length,
         errors: errorImages.length,
-        pending: lazyImages.length - loadedImages.length - errorImages.length,
-        percentage: Math.round((loadedImages.length / allImages.length) * 100)
+        // Las cargadas y las rotas ya no tienen data-src: pendientes = lazy sin empezar
+        pending: lazyImages.length - loadingImages.length,
+        percentage: Math.round((loadedImages.length / allImages.length) * 100),
+        queue: {
+            depth: loadQueue.length,
+            active: activeLoads.size,
+            concurrency: getConcurrency(),
+            constrained: isConstrainedNetwork()
+        },
+        bytes,
+        averageTime: measured.length
+            ? Math.round(measured.reduce((sum, load) => sum + load.duration, 0) / measured.length)
+            : 0,
+        // Detalle por imagen: src, url, status, priority, retries, waited, duration (ms), bytes
+        images: completedLoads.map(load => ({ ...load }))
     };
 }
 
+/**
+ * Informe de imágenes rotas de esta página
+ * @public
+ * @returns {Object[]} { src, url, alt, page, retries, waited, duration, fallback, timestamp, count }
+ */
+export function getErrorReport() {
+    return errorReport.map(entry => ({ ...entry }));
+}
+
+/**
+ * Vacía el informe de imágenes rotas
+ * @public
+ */
+export function clearErrorReport() {
+    errorReport.length = 0;
+}
+
 /**
  * Limpia resources y observers
  * @public
@@ -364,7 +1351,27 @@ export function cleanup() {
         imageObserver = null;
     }
     
+    if (mutationObserver) {
+        mutationObserver.disconnect();
+        mutationObserver = null;
+    }
+    
+    document.removeEventListener('DOMContentLoaded', initImageLoader);
+    isInitialized = false;
+    
     retryMap.clear();
+    autoSizedImages.clear();
+    window.removeEventListener('resize', handleResize);
+    handleResize.cancel();
+    
+    loadQueue.length = 0;
+    activeLoads.clear();
+    retryTimers.forEach(timer => clearTimeout(timer));
+    retryTimers.clear();
+    
+    if (navigator.connection) {
+        navigator.connection.removeEventListener('change', handleConnectionChange);
+    }
     
     console.log('🧹 Image Loader limpiado');
 }
@@ -392,8 +1399,13 @@ export default {
     init: initImageLoader,
     loadPlaceholders,
     preloadCritical: preloadCriticalImages,
+    loadPlaceholderManifest,
     loadInContainer: loadImagesInContainer,
+    observe,
+    unobserve,
     updateWithFade: updateImageWithFade,
     getStats: getLoadingStats,
+    getErrorReport,
+    clearErrorReport,
     cleanup
 };
\ No newline at end of file
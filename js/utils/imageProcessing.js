@@ -0,0 +1,457 @@
+/* js/utils/imageProcessing.js */
+
+/**
+ * IMAGE PROCESSING - Preparación de fotos en el navegador
+ * Lectura de EXIF (orientación y GPS), eliminación de metadatos sin
+ * recomprimir y reducción/recodificación con canvas
+ *
+ * Formatos: JPEG, PNG y WebP
+ *
+ * @module imageProcessing
+ * @version 1.0.0
+ */
+
+/**
+ * Etiquetas EXIF que nos interesan (IFD0)
+ */
+const TAG_ORIENTATION = 0x0112;
+const TAG_GPS_POINTER = 0x8825;
+
+/**
+ * Marcadores JPEG
+ */
+const JPEG_SOI = 0xD8;
+const JPEG_SOS = 0xDA;
+const JPEG_APP1 = 0xE1;
+
+/**
+ * Chunks PNG con metadatos (EXIF y texto, donde va XMP)
+ */
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt'];
+
+/**
+ * Chunks WebP con metadatos y sus bits en la cabecera VP8X
+ */
+const WEBP_METADATA_CHUNKS = { 'EXIF': 0x08, 'XMP ': 0x04 };
+
+/**
+ * Calidades que se prueban al recodificar, de mejor a peor
+ */
+const QUALITY_STEPS = [0.85, 0.75, 0.65];
+
+/**
+ * Factor de reducción cuando ni la peor calidad cabe en el límite
+ */
+const SCALE_STEP = 0.8;
+
+/**
+ * Lee 4 caracteres ASCII
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {string}
+ */
+function readFourCC(view, offset) {
+    return String.fromCharCode(
+        view.getUint8(offset),
+        view.getUint8(offset + 1),
+        view.getUint8(offset + 2),
+        view.getUint8(offset + 3)
+    );
+}
+
+/**
+ * Lee orientación y presencia de GPS de un bloque TIFF (contenido EXIF)
+ * @param {DataView} view
+ * @param {number} start - Inicio del bloque TIFF ('II' o 'MM')
+ * @param {number} end - Fin del bloque
+ * @returns {{orientation: number, hasGps: boolean}}
+ */
+function parseTiff(view, start, end) {
+    const result = { orientation: 1, hasGps: false };
+    if (start + 8 > end) return result;
+
+    const byteOrder = view.getUint16(start);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return result;
+
+    const little = byteOrder === 0x4949;
+    const ifdOffset = start + view.getUint32(start + 4, little);
+    if (ifdOffset + 2 > end) return result;
+
+    const entries = view.getUint16(ifdOffset, little);
+
+    for (let i = 0; i < entries; i++) {
+        const entry = ifdOffset + 2 + i * 12;
+        if (entry + 12 > end) break;
+
+        const tag = view.getUint16(entry, little);
+
+        if (tag === TAG_ORIENTATION) {
+            const value = view.getUint16(entry + 8, little);
+            result.orientation = value >= 1 && value <= 8 ? value : 1;
+        } else if (tag === TAG_GPS_POINTER) {
+            result.hasGps = true;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Recorre los segmentos de un JPEG hasta el inicio de la imagen (SOS)
+ * @param {DataView} view
+ * @param {Function} callback - ({ marker, start, end }) por cada segmento
+ */
+function walkJpegSegments(view, callback) {
+    let offset = 2;
+
+    while (offset + 4 <= view.byteLength) {
+        if (view.getUint8(offset) !== 0xFF) return;
+
+        const marker = view.getUint8(offset + 1);
+        if (marker === JPEG_SOS) return;
+
+        const end = offset + 2 + view.getUint16(offset + 2);
+        if (end > view.byteLength) return;
+
+        callback({ marker, start: offset, end });
+        offset = end;
+    }
+}
+
+/**
+ * Recorre los chunks de un WebP (RIFF)
+ * @param {DataView} view
+ * @param {Function} callback - ({ type, start, dataStart, size, end }) por cada chunk
+ */
+function walkWebpChunks(view, callback) {
+    let offset = 12;
+
+    while (offset + 8 <= view.byteLength) {
+        const type = readFourCC(view, offset);
+        const size = view.getUint32(offset + 4, true);
+        const end = Math.min(offset + 8 + size + (size % 2), view.byteLength);
+
+        callback({ type, start: offset, dataStart: offset + 8, size, end });
+        offset = end;
+    }
+}
+
+/**
+ * Recorre los chunks de un PNG
+ * @param {DataView} view
+ * @param {Function} callback - ({ type, start, dataStart, size, end }) por cada chunk
+ */
+function walkPngChunks(view, callback) {
+    let offset = 8;
+
+    while (offset + 12 <= view.byteLength) {
+        const size = view.getUint32(offset);
+        const type = readFourCC(view, offset + 4);
+        const end = offset + 12 + size;
+        if (end > view.byteLength) return;
+
+        callback({ type, start: offset, dataStart: offset + 8, size, end });
+        offset = end;
+    }
+}
+
+/**
+ * Detecta el formato real por sus primeros bytes
+ * @public
+ * @param {ArrayBuffer} buffer
+ * @returns {'image/jpeg'|'image/png'|'image/webp'|null}
+ */
+export function detectImageType(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 12) return null;
+
+    if (view.getUint8(0) === 0xFF && view.getUint8(1) === JPEG_SOI) {
+        return 'image/jpeg';
+    }
+
+    if (view.getUint32(0) === 0x89504E47 && view.getUint32(4) === 0x0D0A1A0A) {
+        return 'image/png';
+    }
+
+    if (readFourCC(view, 0) === 'RIFF' && readFourCC(view, 8) === 'WEBP') {
+        return 'image/webp';
+    }
+
+    return null;
+}
+
+/**
+ * Lee los metadatos relevantes de una imagen
+ * @public
+ * @param {ArrayBuffer} buffer
+ * @returns {{type: string|null, orientation: number, hasGps: boolean, hasMetadata: boolean}}
+ */
+export function readImageMetadata(buffer) {
+    const type = detectImageType(buffer);
+    const view = new DataView(buffer);
+    const result = { type, orientation: 1, hasGps: false, hasMetadata: false };
+
+    const applyExif = (start, end) => {
+        // Algunos archivos incluyen la cabecera 'Exif\0\0' antes del bloque TIFF
+        const tiffStart = end - start >= 6 && readFourCC(view, start) === 'Exif' ? start + 6 : start;
+        Object.assign(result, parseTiff(view, tiffStart, end));
+    };
+
+    if (type === 'image/jpeg') {
+        walkJpegSegments(view, ({ marker, start, end }) => {
+            if (marker !== JPEG_APP1) return;
+
+            result.hasMetadata = true;
+            if (readFourCC(view, start + 4) === 'Exif') {
+                applyExif(start + 4, end);
+            }
+        });
+    } else if (type === 'image/png') {
+        walkPngChunks(view, ({ type: chunk, dataStart, size }) => {
+            if (!PNG_METADATA_CHUNKS.includes(chunk)) return;
+
+            result.hasMetadata = true;
+            if (chunk === 'eXIf') {
+                applyExif(dataStart, dataStart + size);
+            }
+        });
+    } else if (type === 'image/webp') {
+        walkWebpChunks(view, ({ type: chunk, dataStart, size }) => {
+            if (!(chunk in WEBP_METADATA_CHUNKS)) return;
+
+            result.hasMetadata = true;
+            if (chunk === 'EXIF') {
+                applyExif(dataStart, dataStart + size);
+            }
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Elimina EXIF/XMP (incluido el GPS) sin recomprimir la imagen
+ * Importante: también se pierde la orientación, usar solo si es 1
+ * @public
+ * @param {ArrayBuffer} buffer
+ * @returns {ArrayBuffer} - Copia sin metadatos (o el original si no es un formato conocido)
+ */
+export function stripMetadata(buffer) {
+    const type = detectImageType(buffer);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const removed = [];
+
+    if (type === 'image/jpeg') {
+        walkJpegSegments(view, ({ marker, start, end }) => {
+            if (marker === JPEG_APP1) removed.push([start, end]);
+        });
+    } else if (type === 'image/png') {
+        walkPngChunks(view, ({ type: chunk, start, end }) => {
+            if (PNG_METADATA_CHUNKS.includes(chunk)) removed.push([start, end]);
+        });
+    } else if (type === 'image/webp') {
+        walkWebpChunks(view, ({ type: chunk, start, end }) => {
+            if (chunk in WEBP_METADATA_CHUNKS) removed.push([start, end]);
+        });
+    }
+
+    if (removed.length === 0) return buffer;
+
+    const removedBytes = removed.reduce((total, [start, end]) => total + (end - start), 0);
+    const output = new Uint8Array(bytes.length - removedBytes);
+    let readOffset = 0;
+    let writeOffset = 0;
+
+    removed.forEach(([start, end]) => {
+        output.set(bytes.subarray(readOffset, start), writeOffset);
+        writeOffset += start - readOffset;
+        readOffset = end;
+    });
+    output.set(bytes.subarray(readOffset), writeOffset);
+
+    if (type === 'image/webp') {
+        const outputView = new DataView(output.buffer);
+
+        // Tamaño del contenedor RIFF
+        outputView.setUint32(4, output.length - 8, true);
+
+        // Quitar los flags de EXIF/XMP de la cabecera extendida
+        walkWebpChunks(outputView, ({ type: chunk, dataStart }) => {
+            if (chunk !== 'VP8X') return;
+
+            const flags = Object.values(WEBP_METADATA_CHUNKS).reduce((mask, bit) => mask | bit, 0);
+            outputView.setUint8(dataStart, outputView.getUint8(dataStart) & ~flags);
+        });
+    }
+
+    return output.buffer;
+}
+
+/**
+ * Carga una imagen ya girada según su orientación EXIF
+ * @param {Blob} blob
+ * @param {number} orientation - Orientación EXIF (1-8)
+ * @returns {Promise<{source: CanvasImageSource, width: number, height: number, transform: number, close: Function}>}
+ */
+async function loadOrientedImage(blob, orientation) {
+    // Navegadores actuales: el decodificador aplica la orientación
+    if (typeof createImageBitmap === 'function') {
+        try {
+            const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+            return {
+                source: bitmap,
+                width: bitmap.width,
+                height: bitmap.height,
+                transform: 1,
+                close: () => bitmap.close()
+            };
+        } catch (error) {
+            // Seguir con <img>
+        }
+    }
+
+    const url = URL.createObjectURL(blob);
+    const image = new Image();
+    image.decoding = 'async';
+    image.src = url;
+
+    try {
+        await image.decode();
+    } catch (error) {
+        URL.revokeObjectURL(url);
+        throw new Error('No se pudo leer la imagen');
+    }
+
+    // Si el navegador no gira las imágenes por su cuenta, lo hace el canvas
+    const autoRotates = typeof CSS !== 'undefined' && CSS.supports('image-orientation', 'from-image');
+    const transform = autoRotates ? 1 : orientation;
+    const swapsAxes = transform >= 5;
+
+    return {
+        source: image,
+        width: swapsAxes ? image.naturalHeight : image.naturalWidth,
+        height: swapsAxes ? image.naturalWidth : image.naturalHeight,
+        transform,
+        close: () => URL.revokeObjectURL(url)
+    };
+}
+
+/**
+ * Aplica al contexto la transformación de una orientación EXIF
+ * @param {CanvasRenderingContext2D} context
+ * @param {number} orientation
+ * @param {number} width - Ancho final (ya girado)
+ * @param {number} height - Alto final (ya girado)
+ */
+function applyOrientation(context, orientation, width, height) {
+    switch (orientation) {
+        case 2: context.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: context.transform(-1, 0, 0, -1, width, height); break;
+        case 4: context.transform(1, 0, 0, -1, 0, height); break;
+        case 5: context.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: context.transform(0, 1, -1, 0, width, 0); break;
+        case 7: context.transform(0, -1, -1, 0, width, height); break;
+        case 8: context.transform(0, -1, 1, 0, 0, height); break;
+        default: break;
+    }
+}
+
+/**
+ * Exporta un canvas a Blob
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} type
+ * @param {number} quality
+ * @returns {Promise<Blob|null>}
+ */
+function canvasToBlob(canvas, type, quality) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
+
+/**
+ * Recodifica una imagen con canvas: la gira, la reduce si supera
+ * maxDimension y baja calidad/tamaño hasta que quepa en maxBytes.
+ * El resultado no conserva ningún metadato (ni EXIF ni GPS).
+ * @public
+ * @param {Blob} blob - Imagen original
+ * @param {Object} options
+ * @param {number} options.maxBytes - Peso máximo del resultado
+ * @param {number} options.maxDimension - Lado largo máximo en px
+ * @param {number} [options.orientation=1] - Orientación EXIF del original
+ * @param {string} [options.type='image/jpeg'] - Formato de salida preferido
+ * @returns {Promise<{blob: Blob, width: number, height: number}>}
+ */
+export async function resizeImage(blob, { maxBytes, maxDimension, orientation = 1, type = 'image/jpeg' }) {
+    const image = await loadOrientedImage(blob, orientation);
+
+    try {
+        let scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+        let outputType = type;
+        let result = null;
+
+        // Como máximo unas pocas reducciones: una foto de 12 MP baja de sobra
+        for (let attempt = 0; attempt < 6; attempt++) {
+            const width = Math.max(1, Math.round(image.width * scale));
+            const height = Math.max(1, Math.round(image.height * scale));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+
+            const context = canvas.getContext('2d');
+
+            // JPEG no tiene transparencia: fondo blanco como el papel
+            if (outputType === 'image/jpeg') {
+                context.fillStyle = '#FFFFFF';
+                context.fillRect(0, 0, width, height);
+            }
+
+            applyOrientation(context, image.transform, width, height);
+
+            const swapsAxes = image.transform >= 5;
+            context.drawImage(image.source, 0, 0, swapsAxes ? height : width, swapsAxes ? width : height);
+
+            const qualities = outputType === 'image/png' ? [undefined] : QUALITY_STEPS;
+
+            for (const quality of qualities) {
+                result = await canvasToBlob(canvas, outputType, quality);
+
+                if (!result) {
+                    throw new Error('No se pudo procesar la imagen');
+                }
+
+                // Sin soporte para el formato pedido (ej: WebP en Safari): usar JPEG
+                if (result.type !== outputType) {
+                    outputType = 'image/jpeg';
+                    break;
+                }
+
+                if (result.size <= maxBytes) {
+                    return { blob: result, width, height };
+                }
+            }
+
+            // PNG sigue pesando demasiado: pasar a JPEG antes de reducir
+            if (outputType === 'image/png') {
+                outputType = 'image/jpeg';
+                continue;
+            }
+
+            if (result.type === outputType) {
+                scale *= SCALE_STEP;
+            }
+        }
+
+        return { blob: result, width: Math.round(image.width * scale), height: Math.round(image.height * scale) };
+    } finally {
+        image.close();
+    }
+}
+
+// Export default para uso flexible
+export default {
+    detectImageType,
+    readImageMetadata,
+    stripMetadata,
+    resizeImage
+};
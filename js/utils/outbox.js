@@ -0,0 +1,148 @@
+/* js/utils/outbox.js */
+
+/**
+ * OUTBOX - Cola de envíos pendientes sin conexión
+ * Guarda en IndexedDB porque los adjuntos (File/Blob) no caben en localStorage.
+ * Si IndexedDB no está disponible (modo privado antiguo), la cola vive en
+ * memoria y solo dura mientras la pestaña siga abierta.
+ *
+ * @module outbox
+ * @version 1.0.0
+ */
+
+/**
+ * Base de datos y almacén
+ */
+const DB_NAME = 'acuarelaArte';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+/**
+ * Cola en memoria cuando no hay IndexedDB
+ */
+const memoryQueue = new Map();
+
+/**
+ * Conexión compartida (se abre una sola vez)
+ */
+let databasePromise = null;
+
+/**
+ * Convierte una IDBRequest en promesa
+ * @private
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Abre (o crea) la base de datos
+ * @private
+ * @returns {Promise<IDBDatabase|null>} null si IndexedDB no se puede usar
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('⚠️ Outbox: IndexedDB no disponible, se usa memoria', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('⚠️ Outbox: IndexedDB no disponible, se usa memoria', error);
+                resolve(null);
+            }
+        });
+    }
+
+    return databasePromise;
+}
+
+/**
+ * Ejecuta una operación sobre el almacén
+ * @private
+ * @param {IDBTransactionMode} mode
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>}
+ */
+async function withStore(mode, operation) {
+    const database = await openDatabase();
+    if (!database) return undefined;
+
+    const store = database.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return promisify(operation(store));
+}
+
+/**
+ * Añade (o reemplaza) un envío pendiente
+ * @public
+ * @param {Object} entry - Debe tener un id único
+ * @returns {Promise<void>}
+ */
+export async function enqueue(entry) {
+    const database = await openDatabase();
+
+    if (!database) {
+        memoryQueue.set(entry.id, entry);
+        return;
+    }
+
+    await withStore('readwrite', store => store.put(entry));
+}
+
+/**
+ * Lista los envíos pendientes, del más antiguo al más reciente
+ * @public
+ * @returns {Promise<Object[]>}
+ */
+export async function getQueued() {
+    const database = await openDatabase();
+
+    const entries = database
+        ? await withStore('readonly', store => store.getAll())
+        : Array.from(memoryQueue.values());
+
+    return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+/**
+ * Elimina un envío pendiente (ya enviado o descartado)
+ * @public
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function dequeue(id) {
+    const database = await openDatabase();
+
+    if (!database) {
+        memoryQueue.delete(id);
+        return;
+    }
+
+    await withStore('readwrite', store => store.delete(id));
+}
+
+// Export default para uso flexible
+export default {
+    enqueue,
+    getQueued,
+    dequeue
+};
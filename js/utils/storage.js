@@ -1 +1,453 @@
-/* js/utils/storage.js */
\ No newline at end of file
+/* js/utils/storage.js */
+
+/**
+ * STORAGE - Acceso seguro a localStorage
+ * Claves con espacio de nombres y serialización JSON automática
+ * Nunca lanza errores: localStorage puede fallar en modo privado o sin cuota
+ *
+ * Funcionalidades:
+ * - Prefijo "acuarelaArte:" en todas las claves
+ * - Caducidad opcional (ttl) por valor
+ * - Versiones de esquema con migraciones por clave (defineSchema)
+ * - Memoria como respaldo si localStorage no se puede usar
+ * - Avisos de cambios hechos en otras pestañas (evento 'storage')
+ *
+ * Formato guardado: { "__storage": 1, "version": 1, "value": ..., "expiresAt": 1700000000000 }
+ * Los valores antiguos sin ese sobre se leen tal cual (versión 0).
+ *
+ * @module storage
+ * @version 2.0.0
+ */
+
+/**
+ * Prefijo de todas las claves del proyecto
+ */
+const NAMESPACE = 'acuarelaArte:';
+
+/**
+ * Marca del sobre que envuelve cada valor (formato del propio módulo)
+ */
+const ENVELOPE_MARKER = '__storage';
+const ENVELOPE_FORMAT = 1;
+
+/**
+ * Versión de los valores de claves sin esquema definido
+ */
+const DEFAULT_VERSION = 1;
+
+/**
+ * Esquemas registrados: clave → { version, migrations }
+ */
+const schemas = new Map();
+
+/**
+ * Suscriptores a cambios: clave → Set de callbacks
+ */
+const listeners = new Map();
+
+/**
+ * Respaldo en memoria (misma interfaz que Storage)
+ * Los datos duran lo que dure la pestaña
+ */
+const memoryStorage = {
+    data: new Map(),
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    },
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    },
+    removeItem(key) {
+        this.data.delete(key);
+    },
+    key(index) {
+        return Array.from(this.data.keys())[index] ?? null;
+    },
+    get length() {
+        return this.data.size;
+    }
+};
+
+/**
+ * Almacén en uso (se decide la primera vez que se necesita)
+ */
+let backend = null;
+
+/**
+ * ¿Hay ya un listener del evento 'storage'?
+ */
+let isListeningToStorageEvent = false;
+
+/**
+ * Construye la clave completa con el espacio de nombres
+ * @private
+ * @param {string} key
+ * @returns {string}
+ */
+function namespacedKey(key) {
+    return `${NAMESPACE}${key}`;
+}
+
+/**
+ * Devuelve localStorage si funciona de verdad, si no la memoria
+ * (en Safari privado antiguo existe pero setItem lanza QuotaExceededError)
+ * @private
+ * @returns {Storage|Object}
+ */
+function getBackend() {
+    if (backend) return backend;
+
+    try {
+        const probe = namespacedKey('__probe__');
+        window.localStorage.setItem(probe, '1');
+        window.localStorage.removeItem(probe);
+        backend = window.localStorage;
+    } catch (error) {
+        console.warn('⚠️ Storage: localStorage no disponible, se usa memoria', error);
+        backend = memoryStorage;
+    }
+
+    return backend;
+}
+
+/**
+ * Interpreta un valor guardado: sobre del módulo o valor antiguo
+ * @private
+ * @param {string|null} raw
+ * @returns {{version: number, value: *, expiresAt: number|null}|null}
+ */
+function parseRecord(raw) {
+    if (raw === null) return null;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (error) {
+        // Texto plano guardado sin JSON (ej: 'dark')
+        return { version: 0, value: raw, expiresAt: null };
+    }
+
+    if (parsed && typeof parsed === 'object' && parsed[ENVELOPE_MARKER] === ENVELOPE_FORMAT) {
+        return {
+            version: Number(parsed.version) || 0,
+            value: parsed.value,
+            expiresAt: parsed.expiresAt ?? null
+        };
+    }
+
+    return { version: 0, value: parsed, expiresAt: null };
+}
+
+/**
+ * Aplica las migraciones pendientes de una clave
+ * @private
+ * @param {string} key
+ * @param {{version: number, value: *, expiresAt: number|null}} record
+ * @returns {{value: *, migrated: boolean}|null} null si no se puede migrar
+ */
+function migrateRecord(key, record) {
+    const schema = schemas.get(key);
+    const targetVersion = schema ? schema.version : DEFAULT_VERSION;
+
+    if (record.version === targetVersion) {
+        return { value: record.value, migrated: false };
+    }
+
+    // Guardado por una versión más nueva del sitio: solo se acepta si la clave no tiene esquema
+    if (record.version > targetVersion) {
+        return schema ? null : { value: record.value, migrated: false };
+    }
+
+    let value = record.value;
+
+    for (let version = record.version + 1; version <= targetVersion; version++) {
+        const migration = schema ? schema.migrations[version] : null;
+
+        if (migration) {
+            try {
+                value = migration(value);
+            } catch (error) {
+                console.warn(`⚠️ Storage: Falló la migración de "${key}" a v${version}`, error);
+                return null;
+            }
+        } else if (version > 1) {
+            // De 0 a 1 el valor se acepta tal cual; entre versiones de esquema hace falta migración
+            return null;
+        }
+    }
+
+    return { value, migrated: true };
+}
+
+/**
+ * Avisa a los suscriptores de una clave
+ * @private
+ * @param {string} key - Clave sin prefijo
+ * @param {Object} change
+ */
+function notify(key, change) {
+    const callbacks = listeners.get(key);
+    if (!callbacks) return;
+
+    callbacks.forEach(callback => {
+        try {
+            callback(change);
+        } catch (error) {
+            console.error(`❌ Storage: Error en un suscriptor de "${key}"`, error);
+        }
+    });
+}
+
+/**
+ * Traduce el evento 'storage' (cambios de otras pestañas) a los suscriptores
+ * @private
+ * @param {StorageEvent} e
+ */
+function handleStorageEvent(e) {
+    // localStorage.clear() en otra pestaña: e.key es null
+    if (e.key === null) {
+        listeners.forEach((callbacks, key) => notify(key, { key, value: null, oldValue: null, external: true }));
+        return;
+    }
+
+    if (!e.key.startsWith(NAMESPACE)) return;
+
+    const key = e.key.slice(NAMESPACE.length);
+    if (!listeners.has(key)) return;
+
+    const readValue = (raw) => {
+        const record = parseRecord(raw);
+        if (!record || (record.expiresAt && Date.now() > record.expiresAt)) return null;
+
+        const migrated = migrateRecord(key, record);
+        return migrated ? migrated.value : null;
+    };
+
+    notify(key, {
+        key,
+        value: readValue(e.newValue),
+        oldValue: readValue(e.oldValue),
+        external: true
+    });
+}
+
+/**
+ * Lee un valor guardado
+ * - Caducado: se elimina y se devuelve defaultValue
+ * - De una versión anterior: se migra y se reescribe
+ * @public
+ * @param {string} key - Clave sin prefijo
+ * @param {*} defaultValue - Valor si no existe o no se puede leer
+ * @returns {*} Valor deserializado
+ */
+export function getItem(key, defaultValue = null) {
+    try {
+        const record = parseRecord(getBackend().getItem(namespacedKey(key)));
+        if (!record) return defaultValue;
+
+        if (record.expiresAt && Date.now() > record.expiresAt) {
+            removeItem(key);
+            return defaultValue;
+        }
+
+        const migrated = migrateRecord(key, record);
+
+        if (!migrated) {
+            console.warn(`⚠️ Storage: "${key}" v${record.version} no es compatible, se descarta`);
+            removeItem(key);
+            return defaultValue;
+        }
+
+        if (migrated.migrated) {
+            const ttl = record.expiresAt ? record.expiresAt - Date.now() : undefined;
+            setItem(key, migrated.value, { ttl, silent: true });
+        }
+
+        return migrated.value;
+    } catch (error) {
+        console.warn(`⚠️ Storage: No se pudo leer "${key}"`, error);
+        return defaultValue;
+    }
+}
+
+/**
+ * Guarda un valor (serializado como JSON)
+ * @public
+ * @param {string} key - Clave sin prefijo
+ * @param {*} value - Valor serializable
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Milisegundos hasta que caduca
+ * @param {boolean} [options.silent=false] - No avisar a los suscriptores de esta pestaña
+ * @returns {boolean} true si se guardó
+ */
+export function setItem(key, value, { ttl, silent = false } = {}) {
+    const schema = schemas.get(key);
+
+    const record = {
+        [ENVELOPE_MARKER]: ENVELOPE_FORMAT,
+        version: schema ? schema.version : DEFAULT_VERSION,
+        value
+    };
+
+    if (typeof ttl === 'number' && ttl > 0) {
+        record.expiresAt = Date.now() + ttl;
+    }
+
+    try {
+        getBackend().setItem(namespacedKey(key), JSON.stringify(record));
+    } catch (error) {
+        console.warn(`⚠️ Storage: No se pudo guardar "${key}"`, error);
+        return false;
+    }
+
+    if (!silent) {
+        notify(key, { key, value, oldValue: undefined, external: false });
+    }
+
+    return true;
+}
+
+/**
+ * Elimina un valor guardado
+ * @public
+ * @param {string} key - Clave sin prefijo
+ */
+export function removeItem(key) {
+    try {
+        getBackend().removeItem(namespacedKey(key));
+    } catch (error) {
+        console.warn(`⚠️ Storage: No se pudo eliminar "${key}"`, error);
+        return;
+    }
+
+    notify(key, { key, value: null, oldValue: undefined, external: false });
+}
+
+/**
+ * Claves guardadas del proyecto (sin prefijo)
+ * @public
+ * @param {string} [prefix=''] - Filtrar por inicio de clave (ej: 'drafts.')
+ * @returns {string[]}
+ */
+export function keys(prefix = '') {
+    const storage = getBackend();
+    const result = [];
+
+    try {
+        for (let i = 0; i < storage.length; i++) {
+            const fullKey = storage.key(i);
+            if (fullKey && fullKey.startsWith(NAMESPACE + prefix)) {
+                result.push(fullKey.slice(NAMESPACE.length));
+            }
+        }
+    } catch (error) {
+        console.warn('⚠️ Storage: No se pudieron listar las claves', error);
+    }
+
+    return result;
+}
+
+/**
+ * Declara la versión actual de una clave y cómo migrar desde las anteriores
+ * Llamar antes del primer getItem de la clave.
+ * @public
+ * @param {string} key - Clave sin prefijo
+ * @param {Object} schema
+ * @param {number} schema.version - Versión actual (entero ≥ 1)
+ * @param {Object<number, Function>} [schema.migrations] - { versión: (valorAnterior) => valorNuevo }
+ *        La migración 1 recibe valores antiguos sin sobre (versión 0)
+ *
+ * @example
+ * defineSchema('kits', {
+ *     version: 2,
+ *     migrations: { 2: kits => kits.map(kit => ({ ...kit, notes: '' })) }
+ * });
+ */
+export function defineSchema(key, { version, migrations = {} }) {
+    schemas.set(key, { version, migrations });
+}
+
+/**
+ * Mueve un valor guardado sin espacio de nombres (código antiguo) a su clave nueva
+ * No hace nada si la clave antigua no existe o la nueva ya tiene valor.
+ * @public
+ * @param {string} legacyKey - Clave completa antigua (ej: 'theme')
+ * @param {string} [key=legacyKey] - Clave nueva sin prefijo
+ * @returns {boolean} true si se migró algo
+ */
+export function migrateLegacyKey(legacyKey, key = legacyKey) {
+    const storage = getBackend();
+
+    try {
+        const raw = storage.getItem(legacyKey);
+        if (raw === null) return false;
+
+        storage.removeItem(legacyKey);
+
+        if (storage.getItem(namespacedKey(key)) !== null) return false;
+
+        const record = parseRecord(raw);
+        storage.setItem(namespacedKey(key), JSON.stringify({
+            [ENVELOPE_MARKER]: ENVELOPE_FORMAT,
+            version: 0,
+            value: record.value
+        }));
+
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ Storage: No se pudo migrar "${legacyKey}"`, error);
+        return false;
+    }
+}
+
+/**
+ * Se suscribe a los cambios de una clave
+ * - Otras pestañas (evento 'storage'): change.external === true
+ * - Esta pestaña (setItem/removeItem): change.external === false (sin oldValue)
+ * @public
+ * @param {string} key - Clave sin prefijo
+ * @param {Function} callback - ({ key, value, oldValue, external }) => void
+ * @returns {Function} Cancela la suscripción
+ */
+export function onChange(key, callback) {
+    if (!listeners.has(key)) {
+        listeners.set(key, new Set());
+    }
+    listeners.get(key).add(callback);
+
+    if (!isListeningToStorageEvent && typeof window !== 'undefined') {
+        window.addEventListener('storage', handleStorageEvent);
+        isListeningToStorageEvent = true;
+    }
+
+    return () => {
+        const callbacks = listeners.get(key);
+        if (!callbacks) return;
+
+        callbacks.delete(callback);
+        if (callbacks.size === 0) {
+            listeners.delete(key);
+        }
+    };
+}
+
+/**
+ * ¿Se guardan los datos de verdad? (false si se usa el respaldo en memoria)
+ * @public
+ * @returns {boolean}
+ */
+export function isPersistent() {
+    return getBackend() !== memoryStorage;
+}
+
+// Export default para uso flexible
+export default {
+    get: getItem,
+    set: setItem,
+    remove: removeItem,
+    keys,
+    defineSchema,
+    migrateLegacyKey,
+    onChange,
+    isPersistent
+};
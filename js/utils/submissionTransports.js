@@ -0,0 +1,240 @@
+/* js/utils/submissionTransports.js */
+
+/**
+ * SUBMISSION TRANSPORTS - Formas de enviar el formulario de contacto
+ * Todas cumplen la misma interfaz para que FormSubmission no dependa de ninguna:
+ *
+ *   {
+ *     name: string,
+ *     queueable: boolean,          // ¿se puede reenviar más tarde sin conexión?
+ *     isAvailable(): boolean,
+ *     send(payload): Promise<{ id?: string, manual?: boolean }>
+ *   }
+ *
+ * send() rechaza con SubmissionError; error.retryable indica si tiene
+ * sentido reintentar (red caída, 5xx, timeout) o no (4xx, datos rechazados).
+ *
+ * Formato del payload (ver FormSubmission.buildPayload):
+ *   { id, createdAt, fields: { nombre: string|string[] }, attachments: File[] }
+ *
+ * @module submissionTransports
+ * @version 1.0.0
+ */
+
+/**
+ * Tiempo máximo de espera de una petición (ms)
+ */
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Estados HTTP que merecen reintento
+ */
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Longitud máxima segura de un enlace mailto: (los clientes de correo cortan)
+ */
+const MAILTO_MAX_LENGTH = 1800;
+
+/**
+ * Error de envío
+ * @public
+ */
+export class SubmissionError extends Error {
+    /**
+     * @param {string} message - Mensaje para el usuario
+     * @param {Object} [options]
+     * @param {boolean} [options.retryable=false] - ¿Puede funcionar si se reintenta?
+     * @param {number} [options.status] - Estado HTTP si lo hubo
+     */
+    constructor(message, { retryable = false, status } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.retryable = retryable;
+        this.status = status;
+    }
+}
+
+/**
+ * Convierte el payload en multipart/form-data
+ * - Campos con varios valores se repiten (contactMethod=email&contactMethod=phone)
+ * - Los adjuntos van como 'attachments'
+ * @public
+ * @param {Object} payload
+ * @returns {FormData}
+ */
+export function toMultipart(payload) {
+    const formData = new FormData();
+
+    formData.append('submissionId', payload.id);
+    formData.append('createdAt', new Date(payload.createdAt).toISOString());
+
+    Object.entries(payload.fields).forEach(([name, value]) => {
+        (Array.isArray(value) ? value : [value]).forEach(item => formData.append(name, item));
+    });
+
+    payload.attachments.forEach(file => formData.append('attachments', file, file.name));
+
+    return formData;
+}
+
+/**
+ * Envío real: POST multipart a un endpoint
+ * @public
+ * @param {Object} options
+ * @param {string} options.endpoint - URL que recibe el formulario
+ * @param {number} [options.timeout=15000] - Tiempo máximo por intento (ms)
+ * @returns {Object} Transporte
+ */
+export function createFetchTransport({ endpoint, timeout = DEFAULT_TIMEOUT }) {
+    return {
+        name: 'fetch',
+        queueable: true,
+
+        isAvailable() {
+            return Boolean(endpoint) && typeof fetch === 'function';
+        },
+
+        async send(payload) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+
+            let response;
+
+            try {
+                response = await fetch(endpoint, {
+                    method: 'POST',
+                    body: toMultipart(payload),
+                    headers: {
+                        'Accept': 'application/json',
+                        // El servidor puede ignorar duplicados si un reintento llega dos veces
+                        'Idempotency-Key': payload.id
+                    },
+                    signal: controller.signal
+                });
+            } catch (error) {
+                throw new SubmissionError(
+                    error.name === 'AbortError'
+                        ? 'El servidor tardó demasiado en responder'
+                        : 'No se pudo conectar con el servidor',
+                    { retryable: true }
+                );
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (!response.ok) {
+                throw new SubmissionError(
+                    response.status === 413
+                        ? 'Los adjuntos superan el tamaño que acepta el servidor'
+                        : `El servidor rechazó el envío (HTTP ${response.status})`,
+                    { retryable: RETRYABLE_STATUS.includes(response.status), status: response.status }
+                );
+            }
+
+            const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+            const body = isJson ? await response.json().catch(() => ({})) : {};
+
+            return { id: body.id || payload.id };
+        }
+    };
+}
+
+/**
+ * Alternativa sin servidor: abre el programa de correo con la consulta
+ * Los adjuntos no viajan en un enlace mailto:, solo se listan sus nombres
+ * @public
+ * @param {Object} options
+ * @param {string} options.to - Dirección de destino
+ * @param {string} [options.subject='Consulta desde AcuarelaArte']
+ * @returns {Object} Transporte
+ */
+export function createMailtoTransport({ to, subject = 'Consulta desde AcuarelaArte' }) {
+    const buildBody = (payload) => {
+        const lines = Object.entries(payload.fields)
+            .filter(([, value]) => (Array.isArray(value) ? value.length > 0 : String(value).trim() !== ''))
+            .map(([name, value]) => `${name}: ${Array.isArray(value) ? value.join(', ') : value}`);
+
+        if (payload.attachments.length > 0) {
+            lines.push('', `Adjuntos (envíalos respondiendo a este correo): ${payload.attachments.map(file => file.name).join(', ')}`);
+        }
+
+        return lines.join('\n');
+    };
+
+    return {
+        name: 'mailto',
+        queueable: false,
+
+        isAvailable() {
+            return Boolean(to);
+        },
+
+        async send(payload) {
+            let body = buildBody(payload);
+            const base = `mailto:${to}?subject=${encodeURIComponent(subject)}&body=`;
+
+            // Recortar mensajes largos para no romper el enlace
+            while (base.length + encodeURIComponent(body).length > MAILTO_MAX_LENGTH && body.length > 1) {
+                body = `${body.slice(0, Math.floor(body.length * 0.9))}…`;
+            }
+
+            window.location.href = `${base}${encodeURIComponent(body)}`;
+
+            // Solo se abre el correo: el usuario termina el envío
+            return { id: payload.id, manual: true };
+        }
+    };
+}
+
+/**
+ * Transporte simulado para desarrollo: no sale nada del navegador
+ * @public
+ * @param {Object} [options]
+ * @param {number} [options.delay=800] - Latencia simulada (ms)
+ * @param {number} [options.failureRate=0] - Probabilidad (0-1) de error reintentable
+ * @returns {Object} Transporte (con .sent: payloads recibidos)
+ */
+export function createMockTransport({ delay = 800, failureRate = 0 } = {}) {
+    const sent = [];
+
+    return {
+        name: 'mock',
+        queueable: true,
+        sent,
+
+        isAvailable() {
+            return true;
+        },
+
+        async send(payload) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+
+            if (!navigator.onLine) {
+                throw new SubmissionError('No se pudo conectar con el servidor', { retryable: true });
+            }
+
+            if (Math.random() < failureRate) {
+                throw new SubmissionError('Error simulado del servidor (HTTP 503)', { retryable: true, status: 503 });
+            }
+
+            sent.push(payload);
+            console.log('📨 MockTransport: Consulta recibida', {
+                id: payload.id,
+                fields: payload.fields,
+                attachments: payload.attachments.map(file => `${file.name} (${file.size} B)`)
+            });
+
+            return { id: payload.id };
+        }
+    };
+}
+
+// Export default para uso flexible
+export default {
+    SubmissionError,
+    toMultipart,
+    createFetchTransport,
+    createMailtoTransport,
+    createMockTransport
+};
@@ -0,0 +1,209 @@
+/* js/utils/urlState.js */
+
+/**
+ * URL STATE - Estado de filtros compartible en la URL
+ * Refleja filtros y orden de la tabla de materiales en el query string
+ * y los restaura al cargar o al navegar con atrás/adelante
+ *
+ * Formato: ?category=pinceles&budget=economico&level=principiante&search=sable&sort=-price,name
+ * (en "sort" el prefijo "-" indica orden descendente)
+ *
+ * @module urlState
+ * @version 1.0.0
+ */
+
+/**
+ * Parámetros de filtro que se sincronizan con la URL
+ */
+const FILTER_PARAMS = ['category', 'budget', 'level', 'search'];
+
+/**
+ * Parámetro del orden
+ */
+const SORT_PARAM = 'sort';
+
+/**
+ * Convierte el orden a texto para la URL
+ * @public
+ * @param {Object[]} sort - [{ key, direction }]
+ * @returns {string} - Ej: "-price,name"
+ */
+export function serializeSort(sort = []) {
+    return sort
+        .map(({ key, direction }) => (direction === 'descending' ? `-${key}` : key))
+        .join(',');
+}
+
+/**
+ * Convierte el texto de la URL a criterios de orden
+ * @public
+ * @param {string} value - Ej: "-price,name"
+ * @returns {Object[]} - [{ key, direction }]
+ */
+export function parseSort(value) {
+    if (!value) return [];
+
+    return value
+        .split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => ({
+            key: part.replace(/^-/, ''),
+            direction: part.startsWith('-') ? 'descending' : 'ascending'
+        }));
+}
+
+/**
+ * Lee el estado de filtros desde un query string
+ * Solo incluye los parámetros presentes
+ * @public
+ * @param {string} search - location.search
+ * @returns {Object} - Estado parcial para MaterialsTable.setState()
+ */
+export function parseMaterialsQuery(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const state = {};
+
+    FILTER_PARAMS.forEach(name => {
+        if (params.has(name)) {
+            state[name] = params.get(name);
+        }
+    });
+
+    if (params.has(SORT_PARAM)) {
+        state.sort = parseSort(params.get(SORT_PARAM));
+    }
+
+    return state;
+}
+
+/**
+ * Construye el query string a partir del estado de la tabla
+ * Conserva los parámetros ajenos a los filtros
+ * @public
+ * @param {Object} state - Resultado de MaterialsTable.getState()
+ * @param {string} currentSearch - Query string actual
+ * @returns {string} - Query string con "?" o cadena vacía
+ */
+export function buildMaterialsQuery(state, currentSearch = window.location.search) {
+    const params = new URLSearchParams(currentSearch);
+
+    FILTER_PARAMS.forEach(name => {
+        const value = (state[name] || '').trim();
+        if (value) {
+            params.set(name, value);
+        } else {
+            params.delete(name);
+        }
+    });
+
+    const sort = serializeSort(state.sort);
+    if (sort) {
+        params.set(SORT_PARAM, sort);
+    } else {
+        params.delete(SORT_PARAM);
+    }
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Sincroniza una MaterialsTable con la URL
+ * - Restaura el estado al cargar
+ * - Agrega una entrada al historial por cada cambio de filtro u orden
+ *   (las búsquedas consecutivas reemplazan la entrada para no llenar el historial)
+ * - Atrás/adelante vuelve a aplicar el estado de cada entrada
+ * @public
+ * @param {Object} table - Instancia de MaterialsTable
+ * @returns {{cleanup: Function}} - Controlador para liberar listeners
+ */
+export function bindMaterialsUrlState(table) {
+    if (!table || !table.table) {
+        console.warn('urlState: Tabla de materiales no disponible');
+        return { cleanup() {} };
+    }
+
+    let isRestoring = false;
+    let lastState = table.getState();
+    let lastChangeWasSearch = false;
+
+    /**
+     * Aplica el estado de la URL actual a la tabla
+     */
+    const restoreFromUrl = () => {
+        isRestoring = true;
+        // Parámetros ausentes = filtro vacío
+        table.setState({
+            category: '',
+            budget: '',
+            level: '',
+            search: '',
+            sort: [],
+            ...parseMaterialsQuery(window.location.search)
+        });
+        isRestoring = false;
+
+        lastState = table.getState();
+        lastChangeWasSearch = false;
+    };
+
+    /**
+     * Escribe el estado en la URL cuando la tabla cambia
+     * @param {CustomEvent} e - Evento materialsFiltered
+     */
+    const onFiltered = (e) => {
+        if (isRestoring) return;
+
+        const state = e.detail.state;
+        const query = buildMaterialsQuery(state);
+
+        if (query === window.location.search) {
+            lastState = state;
+            return;
+        }
+
+        const onlySearchChanged = FILTER_PARAMS
+            .filter(name => name !== 'search')
+            .every(name => state[name] === lastState[name])
+            && serializeSort(state.sort) === serializeSort(lastState.sort);
+
+        const url = `${window.location.pathname}${query}${window.location.hash}`;
+        const historyState = { ...window.history.state, materialsFilters: true };
+
+        if (onlySearchChanged && lastChangeWasSearch) {
+            window.history.replaceState(historyState, '', url);
+        } else {
+            window.history.pushState(historyState, '', url);
+        }
+
+        lastChangeWasSearch = onlySearchChanged;
+        lastState = state;
+    };
+
+    // Restaurar estado inicial (solo si la URL trae parámetros)
+    if (Object.keys(parseMaterialsQuery()).length > 0) {
+        restoreFromUrl();
+    }
+
+    table.table.addEventListener('materialsFiltered', onFiltered);
+    window.addEventListener('popstate', restoreFromUrl);
+
+    console.log('🔗 Filtros de materiales sincronizados con la URL');
+
+    return {
+        cleanup() {
+            table.table.removeEventListener('materialsFiltered', onFiltered);
+            window.removeEventListener('popstate', restoreFromUrl);
+        }
+    };
+}
+
+// Export default para uso flexible
+export default {
+    bind: bindMaterialsUrlState,
+    parse: parseMaterialsQuery,
+    build: buildMaterialsQuery,
+    parseSort,
+    serializeSort
+};
@@ -1 +1,162 @@
-/* js/utils/validators.js */
\ No newline at end of file
+/* js/utils/validators.js */
+
+/**
+ * VALIDATORS - Funciones de validación reutilizables
+ * Predicados puros (sin DOM) que usa FormValidator para sus reglas
+ *
+ * @module validators
+ * @version 1.0.0
+ */
+
+/**
+ * Email: algo@dominio.ext (misma idea que type="email", con TLD obligatorio)
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+/**
+ * Caracteres de formato permitidos en un teléfono (se eliminan antes de validar)
+ */
+const PHONE_FORMAT_CHARS = /[\s\-().]/g;
+
+/**
+ * Celular peruano: 9 dígitos empezando por 9
+ */
+const PE_MOBILE_PATTERN = /^9\d{8}$/;
+
+/**
+ * Fijo peruano: Lima (01 + 7 dígitos) o provincias (0XX + 6 dígitos)
+ * Sin el 0 inicial cuando se marca con +51
+ */
+const PE_LANDLINE_PATTERN = /^0?(1\d{7}|[4-8]\d{7})$/;
+
+/**
+ * Internacional (no peruano): + código de país y 8 a 15 dígitos en total
+ */
+const INTERNATIONAL_PATTERN = /^\+(?!51)\d{8,15}$/;
+
+/**
+ * Fecha de un input type="date"
+ */
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Comprueba si un valor está vacío (texto en blanco, null o undefined)
+ * @public
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEmpty(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Valida un correo electrónico
+ * @public
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isEmail(value) {
+    return EMAIL_PATTERN.test(String(value).trim());
+}
+
+/**
+ * Deja solo los dígitos (y el + inicial) de un teléfono
+ * @public
+ * @param {string} value - Ej: '+51 (999) 123-456'
+ * @returns {string} - Ej: '+51999123456'
+ */
+export function normalizePhone(value) {
+    const compact = String(value).trim().replace(PHONE_FORMAT_CHARS, '');
+    return compact.startsWith('00') ? `+${compact.slice(2)}` : compact;
+}
+
+/**
+ * Valida un teléfono peruano: celular (9XX XXX XXX) o fijo (01 XXX XXXX, 0XX XXX XXX),
+ * con o sin prefijo +51 / 0051
+ * @public
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isPeruvianPhone(value) {
+    let digits = normalizePhone(value);
+
+    if (digits.startsWith('+51')) {
+        digits = digits.slice(3);
+        // Con prefijo de país el fijo se marca sin el 0 (ej: +51 1 234 5678)
+        return PE_MOBILE_PATTERN.test(digits) || (PE_LANDLINE_PATTERN.test(digits) && !digits.startsWith('0'));
+    }
+
+    return /^\d+$/.test(digits)
+        && (PE_MOBILE_PATTERN.test(digits) || (PE_LANDLINE_PATTERN.test(digits) && digits.startsWith('0')));
+}
+
+/**
+ * Valida un teléfono internacional de otro país (+código y número)
+ * @public
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isInternationalPhone(value) {
+    return INTERNATIONAL_PATTERN.test(normalizePhone(value));
+}
+
+/**
+ * Convierte 'AAAA-MM-DD' en una fecha local (sin desfase de zona horaria)
+ * @public
+ * @param {string} value
+ * @returns {Date|null} - null si el formato o la fecha no son válidos
+ */
+export function parseDate(value) {
+    const match = ISO_DATE_PATTERN.exec(String(value));
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+
+    // Rechazar fechas imposibles (ej: 2025-02-30)
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+
+    return date;
+}
+
+/**
+ * Comprueba que una fecha 'AAAA-MM-DD' sea hoy o posterior
+ * @public
+ * @param {string} value
+ * @param {Date} [today=new Date()] - Fecha de referencia
+ * @returns {boolean}
+ */
+export function isNotPastDate(value, today = new Date()) {
+    const date = parseDate(value);
+    if (!date) return false;
+
+    const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    return date >= startOfToday;
+}
+
+/**
+ * Comprueba la longitud de un texto (en caracteres, sin contar espacios extremos)
+ * @public
+ * @param {string} value
+ * @param {number} [min=0]
+ * @param {number} [max=Infinity]
+ * @returns {boolean}
+ */
+export function hasLength(value, min = 0, max = Infinity) {
+    const length = String(value).trim().length;
+    return length >= min && length <= max;
+}
+
+// Export default para uso flexible
+export default {
+    isEmpty,
+    isEmail,
+    normalizePhone,
+    isPeruvianPhone,
+    isInternationalPhone,
+    parseDate,
+    isNotPastDate,
+    hasLength
+};
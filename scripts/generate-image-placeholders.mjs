@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+/* scripts/generate-image-placeholders.mjs */
+
+/**
+ * GENERATE IMAGE PLACEHOLDERS - Manifest de vistas previas de imágenes
+ * Recorre assets/images/** y guarda por imagen:
+ * - width / height: para reservar el hueco (aspect-ratio) antes de cargar
+ * - color: color dominante (#RRGGBB)
+ * - lqip: vista previa diminuta en data URI (WebP, 16px de ancho)
+ *
+ * imageLoader.js lee el manifest y pinta la vista previa mientras carga.
+ *
+ * Uso (desde la raíz del proyecto, sin conexión):
+ *   node scripts/generate-image-placeholders.mjs
+ *   node scripts/generate-image-placeholders.mjs --out data/image-placeholders.json --size 16
+ *
+ * Color y LQIP necesitan sharp, que no forma parte del proyecto:
+ *   npm install --no-save sharp
+ * Sin sharp solo se leen las dimensiones de las cabeceras (JPEG, PNG, WebP)
+ * y se conservan el color y la LQIP que ya hubiera en el manifest.
+ *
+ * @version 1.0.0
+ */
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Raíz del proyecto (este script vive en /scripts)
+ */
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Carpeta de imágenes (relativa a la raíz)
+ */
+const IMAGES_DIR = 'assets/images';
+
+/**
+ * Opciones por defecto
+ */
+const DEFAULTS = {
+    out: 'data/image-placeholders.json',
+    size: 16
+};
+
+/**
+ * Formatos procesados (los SVG no necesitan vista previa)
+ */
+const EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp']);
+
+/**
+ * Lee --out y --size de la línea de comandos
+ * @param {string[]} argv
+ * @returns {{out: string, size: number}}
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') options.out = argv[++i];
+        if (argv[i] === '--size') options.size = parseInt(argv[++i], 10) || DEFAULTS.size;
+    }
+
+    return options;
+}
+
+/**
+ * Lista recursiva de imágenes (rutas relativas a la raíz, con '/')
+ * @param {string} dir - Relativa a la raíz
+ * @returns {Promise<string[]>}
+ */
+async function findImages(dir) {
+    const entries = await readdir(path.join(ROOT, dir), { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const relative = `${dir}/${entry.name}`;
+
+        if (entry.isDirectory()) {
+            files.push(...await findImages(relative));
+        } else if (EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+            files.push(relative);
+        }
+    }
+
+    return files.sort();
+}
+
+/**
+ * Dimensiones leídas de la cabecera del archivo (sin decodificar)
+ * No aplica la orientación EXIF: para eso hace falta sharp
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number}|null}
+ */
+function readDimensions(buffer) {
+    // PNG: IHDR justo después de la firma
+    if (buffer.readUInt32BE(0) === 0x89504E47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // WebP: RIFF....WEBP + VP8 / VP8L / VP8X
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+
+        if (chunk === 'VP8 ') {
+            return {
+                width: buffer.readUInt16LE(26) & 0x3FFF,
+                height: buffer.readUInt16LE(28) & 0x3FFF
+            };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+    }
+
+    // JPEG: buscar el marcador SOF (0xC0-0xCF salvo DHT, JPG y DAC)
+    if (buffer.readUInt16BE(0) === 0xFFD8) {
+        let offset = 2;
+
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xFF) {
+                offset++;
+                continue;
+            }
+
+            const marker = buffer[offset + 1];
+            const isSof = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+
+            if (isSof) {
+                return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+            }
+
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Importa sharp si está instalado
+ * @returns {Promise<Function|null>}
+ */
+async function loadSharp() {
+    try {
+        const module = await import('sharp');
+        return module.default;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Convierte { r, g, b } en #RRGGBB
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {string}
+ */
+function toHex({ r, g, b }) {
+    return `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+}
+
+/**
+ * Datos completos de una imagen con sharp
+ * @param {Function} sharp
+ * @param {Buffer} buffer
+ * @param {number} size - Ancho de la LQIP
+ * @returns {Promise<Object>}
+ */
+async function describeWithSharp(sharp, buffer, size) {
+    // rotate() sin argumentos aplica la orientación EXIF
+    const image = sharp(buffer).rotate();
+    const { info } = await image.clone().toBuffer({ resolveWithObject: true });
+    const { dominant } = await image.clone().stats();
+    const preview = await image.clone()
+        .resize(size, null, { fit: 'inside' })
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    return {
+        width: info.width,
+        height: info.height,
+        color: toHex(dominant),
+        lqip: `data:image/webp;base64,${preview.toString('base64')}`
+    };
+}
+
+/**
+ * Lee el manifest anterior (para conservar datos si no hay sharp)
+ * @param {string} file
+ * @returns {Promise<Object>}
+ */
+async function readPreviousManifest(file) {
+    try {
+        const manifest = JSON.parse(await readFile(file, 'utf8'));
+        return manifest.images || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Punto de entrada
+ */
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    // resolve: --out puede ser absoluta (ej: /tmp/placeholders.json)
+    const output = path.resolve(ROOT, options.out);
+    const sharp = await loadSharp();
+
+    // Sin sharp, color/LQIP salen del manifest del proyecto aunque --out sea otro
+    const previous = await readPreviousManifest(path.resolve(ROOT, DEFAULTS.out));
+    const images = {};
+    let failures = 0;
+
+    if (!sharp) {
+        console.warn('⚠️ sharp no está instalado: solo se generan dimensiones (npm install --no-save sharp)');
+    }
+
+    for (const file of await findImages(IMAGES_DIR)) {
+        try {
+            const buffer = await readFile(path.join(ROOT, file));
+
+            if (sharp) {
+                images[file] = await describeWithSharp(sharp, buffer, options.size);
+                continue;
+            }
+
+            const dimensions = readDimensions(buffer);
+            if (!dimensions) throw new Error('formato no reconocido');
+
+            // Conservar color/LQIP anteriores si la imagen no cambió de tamaño
+            const old = previous[file];
+            const unchanged = old && old.width === dimensions.width && old.height === dimensions.height;
+
+            images[file] = {
+                width: dimensions.width,
+                height: dimensions.height,
+                color: unchanged ? old.color ?? null : null,
+                lqip: unchanged ? old.lqip ?? null : null
+            };
+        } catch (error) {
+            failures++;
+            console.error(`❌ ${file}: ${error.message}`);
+        }
+    }
+
+    const manifest = {
+        version: 1,
+        generator: sharp ? 'sharp' : 'headers',
+        images
+    };
+
+    await writeFile(output, `${JSON.stringify(manifest, null, 4)}\n`);
+    console.log(`✅ ${Object.keys(images).length} imágenes → ${options.out}${failures ? ` (${failures} con error)` : ''}`);
+
+    if (failures) process.exitCode = 1;
+}
+
+main();